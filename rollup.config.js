@@ -1,4 +1,5 @@
 import dts from 'rollup-plugin-dts';
+import { nodeResolve } from '@rollup/plugin-node-resolve';
 
 export default [
 	{
@@ -28,6 +29,20 @@ export default [
 			sourcemap: true,
 		},
 
+	},
+	{
+		// Worker created by modifyAsync() of the build files (next to them), 'three' is bundled in
+		input: './src/LoopSubdivisionWorker.js',
+
+		plugins: [
+			nodeResolve(),
+		],
+
+		output: {
+			format: 'esm',
+			file: './build/LoopSubdivisionWorker.js',
+		},
+
 	},
 	{
 		input: './src/index.d.ts',
@@ -0,0 +1,750 @@
+/**
+ * @description Catmull-Clark Subdivision Surface
+ * @about       Smooth subdivision surface modifier for quad dominant three.js BufferGeometry.
+ * @author      Stephens Nunnally <@stevinz>
+ * @license     MIT - Copyright (c) 2022 Stephens Nunnally
+ * @source      https://github.com/stevinz/three-subdivide
+ */
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  Functions
+//      modify              Applies Catmull-Clark subdivision to BufferGeometry, returns new BufferGeometry
+//
+//  Info
+//      This modifier uses the Catmull-Clark (Edwin Catmull & Jim Clark, 1978) subdivision surface algorithm to
+//      smooth modern three.js BufferGeometry. Catmull-Clark works on polygons, it works best with quad dominant
+//      meshes, where Loop subdivision tends to pinch along the triangle diagonals.
+//
+//      three.js BufferGeometry only stores triangles, so before subdividing, quads are rebuilt from pairs of
+//      coplanar triangles that share their longest edge (the diagonal of the quad). Quads can also be provided
+//      explicitly with 'quads'. Triangles that are not paired are subdivided as triangles (into three quads).
+//
+//      After the first iteration every face is a quad. Each quad is split into two triangles on output.
+//
+//  Note(s)
+//      - This modifier returns a new BufferGeometry instance, it does not dispose() of the old geometry.
+//
+//      - Like LoopSubdivision, uv coordinates are interpolated (not averaged) unless 'uvSmooth' is true, and
+//        vertices split by uv / normal seams stay split. Attribute policies ('attributes') work the same way.
+//
+//      - Like LoopSubdivision, only triangles within 'drawRange' are subdivided, interleaved attributes are
+//        interleaved again, and attribute / geometry metadata is copied.
+//
+//      - Creases ('creases', 'creaseAngle'), limit normals and progress ('onProgress', 'signal') are not supported,
+//        these parameters are ignored with a warning ('normals: limit' recomputes normals instead).
+//
+//  Reference(s)
+//      - Catmull-Clark Subdivision Surface
+//          https://en.wikipedia.org/wiki/Catmull%E2%80%93Clark_subdivision_surface
+//
+//      - Original three.js SubdivisionModifier, r59 (Catmull-Clark)
+//          https://github.com/mrdoob/three.js/blob/r59/examples/js/modifiers/SubdivisionModifier.js
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import * as THREE from 'three';
+import {
+    createTupleTable, tupleIndex, tupleFind,
+    weldAttribute, gatherAttributes, geometryCorners, readAttribute, toTriangleSoup, verifyGeometry,
+    subdivideSkin, attributeMode, isDropped, verifyPolicies, typedValues, tangentSigns, compareValues, normalParams,
+    generateNormals, generateTangents, hashNumber, weldTolerance, verifyTolerance, workingGeometry, restoreLayout,
+    boundaryCorner,
+} from './LoopSubdivision.js';
+
+///// Constants
+
+const UNSUPPORTED_PARAMS = [ 'creases', 'creaseAngle', 'onProgress', 'signal' ];
+
+///// Local Variables
+
+const _vector0 = new THREE.Vector3();
+const _vector1 = new THREE.Vector3();
+const _vector2 = new THREE.Vector3();
+const _normal0 = new THREE.Vector3();
+const _normal1 = new THREE.Vector3();
+
+const _triangle = new THREE.Triangle();
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Catmull-Clark Subdivision Surface
+/////////////////////////////////////////////////////////////////////////////////////
+
+/** Catmull-Clark subdivision surface modifier for use with modern three.js BufferGeometry */
+export class CatmullClarkSubdivision {
+
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Modify
+    ////////////////////
+
+    /**
+     * Applies Catmull-Clark subdivision modifier to geometry
+     *
+     * @param {Object} bufferGeometry - Three.js geometry to be subdivided
+     * @param {Number} iterations - How many times to run subdividion
+     * @param {Object} params - Optional parameters object, see below
+     * @returns {Object} Returns new, subdivided, three.js BufferGeometry object
+     *
+     * Optional Parameters Object
+     * @param {Array} quads - Explicit quads as vertex index quadruples [ a, b, c, d ], replaces automatic pairing
+     * @param {Number} quadAngle - Maximum angle (degrees) between normals of triangles paired into a quad
+     * @param {Boolean} uvSmooth - Should UV values be averaged during subdivision? (face-varying, within uv seams)
+     * @param {String} uvBoundary - Seam rule of face-varying attributes, 'none', 'corners-only', 'corners-plus1', 'boundaries' or 'all'
+     * @param {Boolean} flatOnly - If true, subdivision generates faces, but does not modify positions
+     * @param {Number} maxTriangles - If geometry contains more than this many triangles, subdivision will not continue
+     * @param {String} boundary - Open mesh boundary rule, 'smooth' (B-spline boundary), 'sharp' (also keeps corners) or 'fixed'
+     * @param {Boolean} indexed - If true, returns indexed geometry (vertices split by uv / normal seams stay split)
+     * @param {Object} attributes - Subdivision policy by attribute name (see LoopSubdivision)
+     * @param {String} normals - How normals are found, 'interpolate' (averaged) or 'recompute' ('limit' is not supported, recomputes)
+     * @param {Boolean} tangents - If true, tangents are regenerated from uv coordinates after subdivision
+     * @param {Number|Object} tolerance - Distance positions are welded within, or { relative } (see LoopSubdivision)
+     */
+    static modify(bufferGeometry, iterations = 1, params = {}) {
+
+        if (typeof params !== 'object') params = {};
+
+        ///// Parameters
+        if (params.quadAngle === undefined) params.quadAngle = 1;
+        if (params.uvSmooth === undefined) params.uvSmooth = false;
+        if (params.uvBoundary === undefined) params.uvBoundary = 'corners-only';
+        if (params.flatOnly === undefined) params.flatOnly = false;
+        if (params.maxTriangles === undefined) params.maxTriangles = Infinity;
+        if (params.boundary === undefined) params.boundary = 'smooth';
+        if (params.indexed === undefined) params.indexed = false;
+        verifyPolicies(params, 'CatmullClarkSubdivision');
+        verifyTolerance(params, 'CatmullClarkSubdivision');
+        normalParams(params);
+        verifySupported(params);
+
+        ///// Geometries
+        if (! verifyGeometry(bufferGeometry, 'CatmullClarkSubdivision')) return bufferGeometry;
+        const existing = workingGeometry(bufferGeometry, 'CatmullClarkSubdivision', true /* indexed */);
+
+        ///// Polygon Mesh
+        let mesh = buildMesh(existing, bufferGeometry, params);
+
+        ///// Apply Subdivision
+        for (let i = 0; i < iterations; i++) {
+            if (meshTriangleCount(mesh) < params.maxTriangles) {
+                mesh = subdivideMesh(mesh, params);
+            }
+        }
+
+        ///// Return New Geometry
+        const modifiedGeometry = meshToGeometry(mesh, existing);
+        existing.dispose();
+        if (params.normals !== 'interpolate') generateNormals(modifiedGeometry, undefined, params);
+        if (params.tangents) generateTangents(modifiedGeometry, 'CatmullClarkSubdivision');
+        return restoreLayout((params.indexed) ? modifiedGeometry : toTriangleSoup(modifiedGeometry), bufferGeometry);
+    }
+
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Parameters
+/////////////////////////////////////////////////////////////////////////////////////
+
+/** Warns about LoopSubdivision parameters that Catmull-Clark ignores, limit normals are recomputed instead */
+function verifySupported(params) {
+    UNSUPPORTED_PARAMS.forEach((name) => {
+        if (params[name] !== undefined) console.warn(`CatmullClarkSubdivision: '${name}' is not supported and will be ignored`);
+    });
+    if (params.normals === 'limit') {
+        console.warn(`CatmullClarkSubdivision: Limit normals are not supported, normals will be recomputed instead`);
+        params.normals = 'recompute';
+    }
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Polygon Mesh
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Builds polygon mesh from indexed geometry, triangles are paired into quads
+ *
+ * Mesh Object
+ * @param {Int32Array} faceStart, faceCorners - Vertex (wedge) indices of each face, faces are any polygon
+ * @param {Int32Array} faceGroup - Index of geometry group each face belongs to (-1 for none)
+ * @param {Int32Array} wedgeVertex - Welded vertex index of each vertex (wedge), vertices split by seams share this
+ * @param {Array} attributes - Attribute values [ { name, morphIndex, relative (relative morph target), itemSize, values, ... } ]
+ */
+function buildMesh(geometry, source, params) {
+    const wedgeCount = geometry.attributes.position.count;
+    const corners = geometryCorners(geometry);
+    const triangleCount = corners.length / 3;
+    const weld = weldAttribute(geometry.getAttribute('position'), weldTolerance(geometry, params));
+
+    ///// Attributes
+    const attributes = [];
+    gatherAttributes(geometry).forEach((attributeName) => {
+        const attribute = geometry.getAttribute(attributeName);
+        if (attribute === undefined) return;
+        if (isDropped(attributeName, attribute, params)) return;
+        attributes.push(meshAttribute(attributeName, attribute, params));
+    });
+    for (const attributeName in geometry.morphAttributes) {
+        const base = geometry.getAttribute(attributeName);
+        if (base !== undefined && isDropped(attributeName, base, params)) continue;
+        geometry.morphAttributes[attributeName].forEach((attribute, morphIndex) => {
+            const morphAttribute = meshAttribute(attributeName, attribute, params, morphIndex);
+            morphAttribute.relative = geometry.morphTargetsRelative;
+            attributes.push(morphAttribute);
+        });
+    }
+
+    ///// Triangle Groups
+    const triangleGroup = new Int32Array(triangleCount).fill(-1);
+    geometry.groups.forEach((group, groupIndex) => {
+        const first = Math.floor(group.start / 3);
+        const last = Math.min(triangleCount, Math.floor((group.start + group.count) / 3));
+        for (let t = first; t < last; t++) triangleGroup[t] = groupIndex;
+    });
+
+    ///// Quads
+    const partner = pairTriangles(geometry, corners, weld, triangleGroup, source, params);
+
+    ///// Faces (in order of first triangle)
+    const faceStartList = [ 0 ];
+    const faceCornerList = [];
+    const faceGroupList = [];
+    for (let t = 0; t < triangleCount; t++) {
+        const u = partner.triangle[t];
+        if (u >= 0 && u < t) continue;
+        if (u >= 0) {
+            const shared = partner.edge[t];
+            const a = corners[(t * 3) + ((shared + 2) % 3)];
+            const b = corners[(t * 3) + shared];
+            const c = corners[(t * 3) + ((shared + 1) % 3)];
+            const d = corners[(u * 3) + ((partner.edge[u] + 2) % 3)];
+            faceCornerList.push(a, b, d, c);
+        } else {
+            faceCornerList.push(corners[(t * 3) + 0], corners[(t * 3) + 1], corners[(t * 3) + 2]);
+        }
+        faceStartList.push(faceCornerList.length);
+        faceGroupList.push(triangleGroup[t]);
+    }
+
+    return {
+        vertexCount: weld.count,
+        wedgeCount,
+        wedgeVertex: weld.ids,
+        faceStart: Int32Array.from(faceStartList),
+        faceCorners: Int32Array.from(faceCornerList),
+        faceGroup: Int32Array.from(faceGroupList),
+        attributes,
+    };
+}
+
+/** Copies attribute into mesh attribute object */
+function meshAttribute(name, attribute, params, morphIndex = -1) {
+    return {
+        name,
+        morphIndex,
+        mode: attributeMode(name, attribute, params),
+        itemSize: attribute.itemSize,
+        normalized: attribute.normalized,
+        arrayType: attribute.array.constructor,
+        values: readAttribute(attribute),
+    };
+}
+
+/** Converts mesh attribute back to BufferAttribute */
+function bufferAttribute(attribute) {
+    const array = typedValues(attribute.values, attribute.arrayType);
+    return new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized);
+}
+
+/**
+ * Pairs triangles into quads. Triangles are paired across their longest (shared) edge when both triangles belong
+ * to the same group and their normals are within 'quadAngle'. If 'quads' is provided, those quads are used instead.
+ *
+ * @returns {Object} { triangle: partner triangle index (or -1), edge: local index of shared edge (corner to next) }
+ */
+function pairTriangles(geometry, corners, weld, triangleGroup, source, params) {
+    const triangleCount = corners.length / 3;
+    const partnerTriangle = new Int32Array(triangleCount).fill(-1);
+    const partnerEdge = new Int32Array(triangleCount).fill(-1);
+    const positionAttribute = geometry.getAttribute('position');
+
+    ///// Edges (by vertex pair, so seams through the middle of a quad prevent pairing)
+    const edgeTable = createTupleTable(corners.length);
+    const edgeTriangles = new Int32Array(corners.length * 2).fill(-1);
+    const edgeCount = new Int32Array(corners.length);
+    for (let c = 0; c < corners.length; c++) {
+        const a = corners[c];
+        const b = corners[c - (c % 3) + ((c + 1) % 3)];
+        const edge = tupleIndex(edgeTable, Math.min(a, b), Math.max(a, b));
+        if (edgeCount[edge] < 2) edgeTriangles[(edge * 2) + edgeCount[edge]] = c;
+        edgeCount[edge]++;
+    }
+
+    function sharedCorner(c) {
+        const a = corners[c];
+        const b = corners[c - (c % 3) + ((c + 1) % 3)];
+        const edge = tupleFind(edgeTable, Math.min(a, b), Math.max(a, b));
+        if (edgeCount[edge] !== 2) return -1;
+        return (edgeTriangles[edge * 2] === c) ? edgeTriangles[(edge * 2) + 1] : edgeTriangles[edge * 2];
+    }
+
+    function pair(c, other) {
+        const t = Math.floor(c / 3);
+        const u = Math.floor(other / 3);
+        if (t === u || partnerTriangle[t] >= 0 || partnerTriangle[u] >= 0) return false;
+        partnerTriangle[t] = u; partnerEdge[t] = c % 3;
+        partnerTriangle[u] = t; partnerEdge[u] = other % 3;
+        return true;
+    }
+
+    ///// Explicit Quads
+    if (Array.isArray(params.quads)) {
+        const sourcePosition = source.getAttribute('position');
+        const sourceWeld = (vertex) => {
+            return weld.find(_vector0.fromBufferAttribute(sourcePosition, vertex));
+        };
+        const weldedTable = createTupleTable(corners.length);
+        const weldedCorner = [];
+        for (let c = 0; c < corners.length; c++) {
+            const a = weld.ids[corners[c]];
+            const b = weld.ids[corners[c - (c % 3) + ((c + 1) % 3)]];
+            const edge = tupleIndex(weldedTable, Math.min(a, b), Math.max(a, b));
+            if (weldedCorner[edge] === undefined) weldedCorner[edge] = c;
+        }
+        params.quads.forEach((quad) => {
+            if (quad.length !== 4 || quad.some((vertex) => vertex >= sourcePosition.count)) return;
+            const welded = quad.map(sourceWeld);
+            for (let diagonal = 0; diagonal < 2; diagonal++) {
+                const a = welded[diagonal];
+                const b = welded[diagonal + 2];
+                const c = weldedCorner[tupleFind(weldedTable, Math.min(a, b), Math.max(a, b))];
+                if (c === undefined) continue;
+                const other = sharedCorner(c);
+                if (other >= 0 && pair(c, other)) return;
+            }
+        });
+        return { triangle: partnerTriangle, edge: partnerEdge };
+    }
+
+    ///// Coplanar Pairs
+    const threshold = Math.cos(THREE.MathUtils.degToRad(params.quadAngle));
+    function longestEdge(t) {
+        let longest = 0, length = -1;
+        for (let j = 0; j < 3; j++) {
+            _vector0.fromBufferAttribute(positionAttribute, corners[(t * 3) + j]);
+            _vector1.fromBufferAttribute(positionAttribute, corners[(t * 3) + ((j + 1) % 3)]);
+            const distance = _vector0.distanceToSquared(_vector1);
+            if (distance > length * (1 + 1e-6)) { longest = j; length = distance; }
+        }
+        return longest;
+    }
+    function triangleNormal(t, target) {
+        _vector0.fromBufferAttribute(positionAttribute, corners[(t * 3) + 0]);
+        _vector1.fromBufferAttribute(positionAttribute, corners[(t * 3) + 1]);
+        _vector2.fromBufferAttribute(positionAttribute, corners[(t * 3) + 2]);
+        return _triangle.set(_vector0, _vector1, _vector2).getNormal(target);
+    }
+    for (let t = 0; t < triangleCount; t++) {
+        if (partnerTriangle[t] >= 0) continue;
+        const c = (t * 3) + longestEdge(t);
+        const other = sharedCorner(c);
+        if (other < 0) continue;
+        const u = Math.floor(other / 3);
+        if (triangleGroup[t] !== triangleGroup[u]) continue;
+        if (longestEdge(u) !== other % 3) continue;
+        if (triangleNormal(t, _normal0).dot(triangleNormal(u, _normal1)) < threshold) continue;
+        pair(c, other);
+    }
+
+    return { triangle: partnerTriangle, edge: partnerEdge };
+}
+
+/** Number of triangles polygon mesh produces on output */
+function meshTriangleCount(mesh) {
+    return mesh.faceCorners.length - (2 * (mesh.faceStart.length - 1));
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Catmull-Clark
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Applies one iteration of Catmull-Clark subdivision, every face with n sides is split into n quads. New vertices
+ * (wedges) are ordered as existing vertices, then face points, then edge points (one for each unique vertex pair).
+ */
+function subdivideMesh(mesh, params) {
+    const { vertexCount, wedgeCount, wedgeVertex, faceStart, faceCorners, faceGroup } = mesh;
+    const faceCount = faceStart.length - 1;
+    const cornerCount = faceCorners.length;
+
+    ///// Topology
+    const topology = meshTopology(mesh, wedgeVertex, vertexCount);
+    const { cornerFace, cornerPrev, cornerEdge, edgeCount, edgeWedgeList, cornerEdgeWedge } = topology;
+    if (params.boundary === 'sharp') topology.vertexCorner = meshCorners(mesh, topology);
+
+    ///// New Vertices (Wedges)
+    const edgeWedgeCount = edgeWedgeList.length / 3;
+    const nextWedgeCount = wedgeCount + faceCount + edgeWedgeCount;
+    const nextWedgeVertex = new Int32Array(nextWedgeCount);
+    nextWedgeVertex.set(wedgeVertex);
+    for (let f = 0; f < faceCount; f++) nextWedgeVertex[wedgeCount + f] = vertexCount + f;
+    for (let m = 0; m < edgeWedgeCount; m++) {
+        nextWedgeVertex[wedgeCount + faceCount + m] = vertexCount + faceCount + cornerEdge[edgeWedgeList[(m * 3) + 2]];
+    }
+
+    ///// New Faces (one quad for each corner)
+    const nextFaceStart = new Int32Array(cornerCount + 1);
+    const nextFaceCorners = new Int32Array(cornerCount * 4);
+    const nextFaceGroup = new Int32Array(cornerCount);
+    for (let c = 0; c < cornerCount; c++) {
+        nextFaceStart[c + 1] = (c + 1) * 4;
+        nextFaceCorners[(c * 4) + 0] = faceCorners[c];
+        nextFaceCorners[(c * 4) + 1] = cornerEdgeWedge[c];
+        nextFaceCorners[(c * 4) + 2] = wedgeCount + cornerFace[c];
+        nextFaceCorners[(c * 4) + 3] = cornerEdgeWedge[cornerPrev[c]];
+        nextFaceGroup[c] = faceGroup[cornerFace[c]];
+    }
+
+    ///// Attributes
+    const skinIndex = mesh.attributes.find((attribute) => attribute.name === 'skinIndex' && attribute.morphIndex < 0);
+    const skinWeight = mesh.attributes.find((attribute) => attribute.name === 'skinWeight' && attribute.morphIndex < 0);
+    const skinned = (skinIndex !== undefined && skinWeight !== undefined);
+    const attributes = mesh.attributes.map((attribute) => {
+        if (skinned && (attribute === skinIndex || attribute === skinWeight)) return attribute;
+        let mode = 'smooth';
+        if (attribute.mode === 'nearest') mode = 'nearest';
+        else if (params.flatOnly || attribute.mode === 'linear') mode = 'linear';
+        else if (attribute.mode === 'face-varying' && params.uvBoundary === 'all') mode = 'linear';
+        const values = (attribute.mode === 'face-varying' && mode === 'smooth') ?
+            subdivideValues(attribute, faceVaryingTopology(mesh, attribute, topology, params), mode, { boundary: 'smooth' }) :
+            subdivideValues(attribute, topology, mode, params);
+        if (attribute.mode === 'average' && ! attribute.relative) normalizeValues(values, attribute.itemSize);
+        if (attribute.name === 'tangent' && attribute.itemSize === 4) tangentSigns(values);
+        return Object.assign({}, attribute, { values });
+    });
+
+    ///// Skinning (bone influences are merged, see LoopSubdivision 'subdivideSkin()')
+    if (skinned) {
+        const mode = (params.flatOnly) ? 'linear' : 'smooth';
+        const skin = subdivideSkin(bufferAttribute(skinIndex), bufferAttribute(skinWeight), (attribute) => {
+            return subdivideValues(meshAttribute('skinWeight', attribute, params), topology, mode, params);
+        });
+        attributes[attributes.indexOf(skinIndex)] = meshAttribute('skinIndex', skin.skinIndex, params);
+        attributes[attributes.indexOf(skinWeight)] = meshAttribute('skinWeight', skin.skinWeight, params);
+    }
+
+    return {
+        vertexCount: vertexCount + faceCount + edgeCount,
+        wedgeCount: nextWedgeCount,
+        wedgeVertex: nextWedgeVertex,
+        faceStart: nextFaceStart,
+        faceCorners: nextFaceCorners,
+        faceGroup: nextFaceGroup,
+        attributes,
+    };
+}
+
+/**
+ * Builds adjacency of polygon mesh faces, vertices are joined by 'wedgeVertex' (welded position, or welded position
+ * and attribute value for face-varying attributes)
+ */
+function meshTopology(mesh, wedgeVertex, vertexCount) {
+    const { faceStart, faceCorners } = mesh;
+    const faceCount = faceStart.length - 1;
+    const cornerCount = faceCorners.length;
+
+    ///// Corner Connectivity
+    const cornerFace = new Int32Array(cornerCount);
+    const cornerNext = new Int32Array(cornerCount);
+    const cornerPrev = new Int32Array(cornerCount);
+    for (let f = 0; f < faceCount; f++) {
+        for (let c = faceStart[f]; c < faceStart[f + 1]; c++) {
+            cornerFace[c] = f;
+            cornerNext[c] = (c + 1 < faceStart[f + 1]) ? c + 1 : faceStart[f];
+            cornerPrev[c] = (c > faceStart[f]) ? c - 1 : faceStart[f + 1] - 1;
+        }
+    }
+
+    ///// Edges
+    const edgeTable = createTupleTable(cornerCount);
+    const cornerEdge = new Int32Array(cornerCount);
+    const edgeFaces = new Int32Array(cornerCount * 2).fill(-1);
+    const edgeFaceCount = new Int32Array(cornerCount);
+    for (let c = 0; c < cornerCount; c++) {
+        const a = wedgeVertex[faceCorners[c]];
+        const b = wedgeVertex[faceCorners[cornerNext[c]]];
+        const edge = tupleIndex(edgeTable, Math.min(a, b), Math.max(a, b));
+        if (edgeFaceCount[edge] < 2) edgeFaces[(edge * 2) + edgeFaceCount[edge]] = cornerFace[c];
+        edgeFaceCount[edge]++;
+        cornerEdge[c] = edge;
+    }
+    const edgeCount = edgeTable.count;
+
+    ///// Vertex Neighbors (grouped by neighboring vertex), Vertex Faces
+    const vertexCornerStart = new Int32Array(vertexCount + 1);
+    const vertexCorners = new Int32Array(cornerCount);
+    for (let c = 0; c < cornerCount; c++) vertexCornerStart[wedgeVertex[faceCorners[c]] + 1]++;
+    for (let v = 0; v < vertexCount; v++) vertexCornerStart[v + 1] += vertexCornerStart[v];
+    const fill = vertexCornerStart.slice(0, vertexCount);
+    for (let c = 0; c < cornerCount; c++) vertexCorners[fill[wedgeVertex[faceCorners[c]]]++] = c;
+
+    const neighborStart = new Int32Array(vertexCount + 1);
+    const neighborVertexList = [];
+    const neighborCornerList = [];
+    const vertexBoundary = new Int32Array(vertexCount);
+    const boundarySlots = new Int32Array(vertexCount * 2).fill(-1);
+    const slotStamp = new Int32Array(vertexCount).fill(-1);
+    const slotOf = new Int32Array(vertexCount);
+    for (let v = 0; v < vertexCount; v++) {
+        for (let j = vertexCornerStart[v]; j < vertexCornerStart[v + 1]; j++) {
+            const c = vertexCorners[j];
+            for (const neighborCorner of [ cornerNext[c], cornerPrev[c] ]) {
+                const neighborVertex = wedgeVertex[faceCorners[neighborCorner]];
+                if (slotStamp[neighborVertex] !== v) {
+                    slotStamp[neighborVertex] = v;
+                    slotOf[neighborVertex] = neighborVertexList.length;
+                    neighborVertexList.push(neighborVertex);
+                    neighborCornerList.push([]);
+
+                    // Boundary Neighbors
+                    const edge = cornerEdge[(neighborCorner === cornerNext[c]) ? c : neighborCorner];
+                    if (edgeFaceCount[edge] === 1) {
+                        if (vertexBoundary[v] < 2) boundarySlots[(v * 2) + vertexBoundary[v]] = slotOf[neighborVertex];
+                        vertexBoundary[v]++;
+                    }
+                }
+                neighborCornerList[slotOf[neighborVertex]].push(neighborCorner);
+            }
+        }
+        neighborStart[v + 1] = neighborVertexList.length;
+    }
+
+    ///// Edge Wedges (one new vertex for each unique pair of wedges)
+    const edgeWedgeTable = createTupleTable(cornerCount);
+    const edgeWedgeList = [];
+    const cornerEdgeWedge = new Int32Array(cornerCount);
+    for (let c = 0; c < cornerCount; c++) {
+        const a = faceCorners[c];
+        const b = faceCorners[cornerNext[c]];
+        const index = tupleIndex(edgeWedgeTable, Math.min(a, b), Math.max(a, b));
+        if (index === edgeWedgeList.length / 3) edgeWedgeList.push(a, b, c);
+        cornerEdgeWedge[c] = mesh.wedgeCount + faceCount + index;
+    }
+
+    return {
+        faceStart, faceCorners, cornerFace, cornerPrev, cornerEdge, edgeCount, edgeFaces, edgeFaceCount,
+        vertexCornerStart, vertexCorners, neighborStart, neighborCornerList,
+        vertexBoundary, boundarySlots, edgeWedgeList, cornerEdgeWedge, wedgeVertex,
+    };
+}
+
+/** Marks boundary vertices where the boundary turns sharply (see LoopSubdivision 'boundaryCorner()'), kept by 'sharp' */
+function meshCorners(mesh, topology) {
+    const { faceCorners, vertexCornerStart, vertexCorners, neighborCornerList, vertexBoundary, boundarySlots } = topology;
+    const position = mesh.attributes.find((attribute) => attribute.name === 'position' && attribute.morphIndex < 0);
+    const vertexCorner = new Uint8Array(vertexBoundary.length);
+    if (position === undefined) return vertexCorner;
+    for (let v = 0; v < vertexBoundary.length; v++) {
+        if (vertexBoundary[v] !== 2) continue;
+        const w = faceCorners[vertexCorners[vertexCornerStart[v]]];
+        const a = faceCorners[neighborCornerList[boundarySlots[(v * 2) + 0]][0]];
+        const b = faceCorners[neighborCornerList[boundarySlots[(v * 2) + 1]][0]];
+        if (boundaryCorner(position.values, position.itemSize, w, a, b)) vertexCorner[v] = 1;
+    }
+    return vertexCorner;
+}
+
+/**
+ * Builds topology of face-varying attribute, vertices are split where attribute values differ (seams). Seam vertices
+ * left in place by 'uvBoundary' are marked in 'vertexFixed' (see LoopSubdivision 'seamVertices()').
+ */
+function faceVaryingTopology(mesh, attribute, topology, params) {
+    const base = mesh.attributes.find((other) => other.name === attribute.name && other.morphIndex < 0) || attribute;
+    const step = base.itemSize;
+    const values = base.values;
+    const table = createTupleTable(mesh.wedgeCount);
+    const wedgeVertex = new Int32Array(mesh.wedgeCount);
+    for (let w = 0; w < mesh.wedgeCount; w++) {
+        let hashA = 0, hashB = 1;
+        for (let i = 0; i < step; i++) {
+            const hash = hashNumber(values[(w * step) + i]);
+            hashA = Math.imul(hashA ^ hash, 16777619);
+            hashB = Math.imul(hashB + hash, 2654435761) ^ (hashB >>> 15);
+        }
+        wedgeVertex[w] = tupleIndex(table, topology.wedgeVertex[w], hashA, hashB);
+    }
+    const faceTopology = meshTopology(mesh, wedgeVertex, table.count);
+
+    ///// Seam Rules (island corners use one face, junctions are shared by 3 or more islands)
+    const rule = params.uvBoundary;
+    const { vertexBoundary, vertexCornerStart } = faceTopology;
+    const positionVertex = new Int32Array(table.count);
+    const islands = new Int32Array(mesh.vertexCount);
+    for (let w = 0; w < mesh.wedgeCount; w++) positionVertex[wedgeVertex[w]] = topology.wedgeVertex[w];
+    for (let v = 0; v < table.count; v++) islands[positionVertex[v]]++;
+    faceTopology.vertexFixed = new Uint8Array(table.count);
+    for (let v = 0; v < table.count; v++) {
+        if (vertexBoundary[v] === 0 || rule === 'none') continue;
+        const faceCount = vertexCornerStart[v + 1] - vertexCornerStart[v];
+        if (rule === 'boundaries' || faceCount < 2) faceTopology.vertexFixed[v] = 1;
+        if (rule === 'corners-plus1' && islands[positionVertex[v]] > 2) faceTopology.vertexFixed[v] = 1;
+    }
+    return faceTopology;
+}
+
+/** Catmull-Clark subdivides attribute values, returns values of existing vertices, face points, then edge points */
+function subdivideValues(attribute, topology, mode, params) {
+    const {
+        faceStart, faceCorners, cornerFace, edgeFaces, edgeFaceCount,
+        vertexCornerStart, vertexCorners, neighborStart, neighborCornerList,
+        vertexBoundary, boundarySlots, edgeWedgeList, wedgeVertex, cornerEdge,
+    } = topology;
+    const step = attribute.itemSize;
+    const values = attribute.values;
+    const wedgeCount = values.length / step;
+    const isCorner = (v, faces) => (faces === 1 || (topology.vertexCorner !== undefined && topology.vertexCorner[v] === 1));
+    const faceCount = faceStart.length - 1;
+    const edgeWedgeCount = edgeWedgeList.length / 3;
+    const vertexCount = vertexCornerStart.length - 1;
+    const result = new Float64Array((wedgeCount + faceCount + edgeWedgeCount) * step);
+
+    ///// Face Points (average of face vertices, or first face vertex if 'nearest')
+    const facePoints = result.subarray(wedgeCount * step, (wedgeCount + faceCount) * step);
+    for (let f = 0; f < faceCount; f++) {
+        const n = faceStart[f + 1] - faceStart[f];
+        if (mode === 'nearest') {
+            for (let i = 0; i < step; i++) facePoints[(f * step) + i] = values[(faceCorners[faceStart[f]] * step) + i];
+            continue;
+        }
+        for (let c = faceStart[f]; c < faceStart[f + 1]; c++) {
+            for (let i = 0; i < step; i++) facePoints[(f * step) + i] += values[(faceCorners[c] * step) + i] / n;
+        }
+    }
+
+    ///// Vertex Contributions ((Q + R') / n, average face point and average neighbor)
+    const vertexSum = new Float64Array(vertexCount * step);
+    const slotAverage = (slot, i) => {
+        const neighborCorners = neighborCornerList[slot];
+        let sum = 0;
+        for (let j = 0; j < neighborCorners.length; j++) sum += values[(faceCorners[neighborCorners[j]] * step) + i];
+        return sum / neighborCorners.length;
+    };
+    if (mode === 'smooth') {
+        for (let v = 0; v < vertexCount; v++) {
+            if (vertexBoundary[v] > 0) continue;
+            const n = neighborStart[v + 1] - neighborStart[v];
+            const faces = vertexCornerStart[v + 1] - vertexCornerStart[v];
+            for (let i = 0; i < step; i++) {
+                let faceAverage = 0, neighborAverage = 0;
+                for (let j = vertexCornerStart[v]; j < vertexCornerStart[v + 1]; j++) {
+                    faceAverage += facePoints[(cornerFace[vertexCorners[j]] * step) + i] / faces;
+                }
+                for (let slot = neighborStart[v]; slot < neighborStart[v + 1]; slot++) {
+                    neighborAverage += slotAverage(slot, i) / n;
+                }
+                vertexSum[(v * step) + i] = (faceAverage + neighborAverage) / n;
+            }
+        }
+    }
+
+    ///// Existing Vertices
+    for (let w = 0; w < wedgeCount; w++) {
+        const v = wedgeVertex[w];
+        for (let i = 0; i < step; i++) {
+            const own = values[(w * step) + i];
+            let value = own;
+            if (mode === 'smooth' && ! (topology.vertexFixed && topology.vertexFixed[v])) {
+                const faces = vertexCornerStart[v + 1] - vertexCornerStart[v];
+                if (vertexBoundary[v] === 0) {
+                    // Interior: ((n - 2) * S + Q + R') / n
+                    const n = neighborStart[v + 1] - neighborStart[v];
+                    value = (own * ((n - 2) / n)) + vertexSum[(v * step) + i];
+                } else if (vertexBoundary[v] === 2 && params.boundary !== 'fixed' && ! (params.boundary === 'sharp' && isCorner(v, faces))) {
+                    // Boundary: 3/4, 1/8, 1/8
+                    value = (own * 0.75) + (slotAverage(boundarySlots[(v * 2) + 0], i) * 0.125)
+                                         + (slotAverage(boundarySlots[(v * 2) + 1], i) * 0.125);
+                }
+            }
+            result[(w * step) + i] = value;
+        }
+    }
+
+    ///// Edge Points
+    const edgeOffset = (wedgeCount + faceCount) * step;
+    for (let m = 0; m < edgeWedgeCount; m++) {
+        const a = edgeWedgeList[(m * 3) + 0] * step;
+        const b = edgeWedgeList[(m * 3) + 1] * step;
+        const edge = cornerEdge[edgeWedgeList[(m * 3) + 2]];
+        const interior = (mode === 'smooth' && edgeFaceCount[edge] === 2);
+        if (mode === 'nearest') {
+            const nearest = (compareValues(values, a, b, step) <= 0) ? a : b;
+            for (let i = 0; i < step; i++) result[edgeOffset + (m * step) + i] = values[nearest + i];
+            continue;
+        }
+        for (let i = 0; i < step; i++) {
+            const midpoint = (values[a + i] + values[b + i]) / 2.0;
+            if (interior) {
+                const face0 = facePoints[(edgeFaces[(edge * 2) + 0] * step) + i];
+                const face1 = facePoints[(edgeFaces[(edge * 2) + 1] * step) + i];
+                result[edgeOffset + (m * step) + i] = (midpoint * 0.5) + ((face0 + face1) * 0.25);
+            } else {
+                result[edgeOffset + (m * step) + i] = midpoint;
+            }
+        }
+    }
+
+    return result;
+}
+
+/** Normalizes each item of flat value array */
+function normalizeValues(values, step) {
+    for (let i = 0; i < values.length; i += step) {
+        let length = 0;
+        for (let j = 0; j < Math.min(step, 3); j++) length += values[i + j] * values[i + j];
+        length = Math.sqrt(length);
+        if (length === 0) continue;
+        for (let j = 0; j < Math.min(step, 3); j++) values[i + j] /= length;
+    }
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Geometry
+/////////////////////////////////////////////////////////////////////////////////////
+
+/** Converts polygon mesh to indexed BufferGeometry, quads are split into two triangles, larger faces are fanned */
+function meshToGeometry(mesh, source) {
+    const geometry = new THREE.BufferGeometry();
+    const { wedgeCount, faceStart, faceCorners, faceGroup } = mesh;
+    const faceCount = faceStart.length - 1;
+
+    ///// Attributes
+    mesh.attributes.forEach((attribute) => {
+        if (attribute.morphIndex < 0) {
+            geometry.setAttribute(attribute.name, bufferAttribute(attribute));
+        } else {
+            if (! geometry.morphAttributes[attribute.name]) geometry.morphAttributes[attribute.name] = [];
+            geometry.morphAttributes[attribute.name].push(bufferAttribute(attribute));
+        }
+    });
+    geometry.morphTargetsRelative = source.morphTargetsRelative;
+
+    ///// Index, Groups
+    const indexArray = (wedgeCount > 65535) ? new Uint32Array(meshTriangleCount(mesh) * 3) : new Uint16Array(meshTriangleCount(mesh) * 3);
+    let index = 0;
+    let groupStart = 0;
+    for (let f = 0; f < faceCount; f++) {
+        const first = faceStart[f];
+        for (let c = first + 1; c < faceStart[f + 1] - 1; c++) {
+            indexArray[index++] = faceCorners[first];
+            indexArray[index++] = faceCorners[c];
+            indexArray[index++] = faceCorners[c + 1];
+        }
+
+        // Groups (faces of the same group are contiguous)
+        if (f === faceCount - 1 || faceGroup[f + 1] !== faceGroup[f]) {
+            const group = source.groups[faceGroup[f]];
+            if (group) geometry.addGroup(groupStart, index - groupStart, group.materialIndex);
+            groupStart = index;
+        }
+    }
+    geometry.setIndex(new THREE.BufferAttribute(indexArray, 1));
+
+    return geometry;
+}
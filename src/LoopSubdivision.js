@@ -9,9 +9,15 @@
 //
 //  Functions
 //      modify              Applies Loop subdivision to BufferGeometry, returns new BufferGeometry
+//      modifyAsync         Applies Loop subdivision in a Web Worker, returns Promise of new BufferGeometry
+//      modifyObject        Applies Loop subdivision to every mesh of an Object3D (scene), replacing geometries
+//      prepare             Subdivides once, returns geometry with update() for changing positions (stencils)
 //      edgeSplit           Splits all triangles at edges shared by coplanar triangles
 //      flat                One iteration of Loop subdivision, without point averaging
 //      smooth              One iteration of Loop subdivision, with point averaging
+//      toLimit             Moves vertices to their position on the Loop limit surface
+//      analyze             Reports mesh problems (boundary, non-manifold, T-junctions, degenerate faces, winding)
+//      repair              Fixes T-junctions, degenerate / duplicate triangles and inconsistent winding
 //
 //  Info
 //      This modifier uses the Loop (Charles Loop, 1987) subdivision surface algorithm to smooth
@@ -32,15 +38,58 @@
 //      Also by default, this implementation inserts new uv coordinates, but does not average them using the Loop
 //      algorithm. In some cases (often in flat geometries) this will produce undesired results, a
 //      noticeable tearing will occur. In such cases, try passing 'uvSmooth' as true to enable uv averaging.
+//      Smoothed uvs are face-varying, uv seams (edges with different uvs on either side) are treated as boundaries
+//      of each uv island, and 'uvBoundary' picks which seam vertices stay in place (like OpenSubdiv).
+//
+//      Open meshes use the Loop boundary masks, boundary edges are treated the same as sharp creases (see 'boundary').
+//
+//      Pass 'adaptive' to only refine triangles where needed (curvature, edge length, or screen space error), then
+//      'iterations' is the maximum refinement depth. Red-green refinement keeps the mesh crack free. Pass 'mask' to
+//      only subdivide part of a mesh, the surface outside of the mask is left in place.
+//
+//      Sharp features can be kept with per edge crease values (see 'creases'). Edges with a sharpness greater than
+//      or equal to 1 use the crease masks, sharpness is reduced by 1 each iteration, and sharpness between 0 and 1
+//      blends from sharp to smooth.
 //
 //  Note(s)
 //      - This modifier returns a new BufferGeometry instance, it does not dispose() of the old geometry.
 //
-//      - This modifier returns a NonIndexed geometry. An Indexed geometry can be created by using the
-//        BufferGeometryUtils.mergeVertices() function, see:
-//        https://threejs.org/docs/?q=buffer#examples/en/utils/BufferGeometryUtils.mergeVertices
+//      - This modifier returns a NonIndexed geometry by default. Pass 'indexed' as true to return an Indexed geometry,
+//        vertices are shared through every subdivision pass (vertices split by uv / normal seams stay split).
+//
+//      - Attributes may have an item size from 1 to 4, and may use normalized or integer arrays. Integer attributes
+//        that aren't normalized (ids, indices) are copied from the nearest existing vertex instead of averaged. The
+//        4th component of 'tangent' (handedness) stays -1 or 1.
+//
+//      - Only triangles within 'drawRange' are subdivided. Attributes that were interleaved are interleaved again
+//        (same stride and offsets), attribute 'name' / 'usage' and geometry 'name' / 'userData' are copied, and
+//        bounding volumes are recomputed if they had been computed on the input.
+//
+//      - Each attribute can be given a policy with 'attributes' (e.g. { uv2: 'face-varying', normal: 'recompute' }).
+//        Face-varying attributes are smoothed on each side of their seams, seams are treated as boundaries.
+//
+//      - Normals can be recomputed from the final triangles (split at creases), or found from the tangent masks of
+//        the Loop limit surface (see 'normals'). Tangents can be regenerated from uvs afterwards (see 'tangents').
+//
+//      - Vertices can be moved onto the limit surface after subdivision (see 'limit' and 'toLimit()'), so the shape
+//        doesn't change with the number of iterations.
+//
+//      - Skinned geometry (with 'skinIndex' and 'skinWeight' attributes) keeps valid bone influences, the influences
+//        of contributing vertices are merged, and the largest 4 weights are kept (renormalized).
+//
+//      - Morph targets stay in the same order (matching 'morphTargetDictionary'). Relative targets are subdivided
+//        as base + delta, then the subdivided base is subtracted. Targets with the wrong vertex count are replaced
+//        by targets that have no effect (with a warning).
+//
+//      - Vertex positions are welded (rounded to POSITION_DECIMALS, or within 'tolerance') once, before subdivision.
+//        Neighbors, edges and edge opposites are then tracked with integer indices for every iteration (see
+//        'buildTopology()'). Set 'tolerance' for very small or very large models, as a distance or relative to size.
+//
+//      - Pass 'provenance' to find the input triangle of each output vertex ('sourceTriangle'), along with its
+//        barycentric coordinates within that triangle ('sourceBarycentric').
 //
 //      - This modifier works best with geometry whose triangles share edges AND edge vertices. See diagram below.
+//        Use 'analyze()' to find such problems, pass 'repair' as true to split triangles at T-junctions first.
 //
 //          OKAY          NOT OKAY
 //            O              O
@@ -72,35 +121,39 @@ import * as THREE from 'three';
 ///// Constants
 
 const POSITION_DECIMALS = 2;
+const MAX_INFLUENCES = 4;
+const BOUNDARY_CORNER_ANGLE = 60;
+const PROGRESS_INTERVAL = 4096;
+const SOURCE_ATTRIBUTE = '_subdivideSource';
+const SOURCE_PAIR_ATTRIBUTE = '_subdivideSourcePair';
+const PROVENANCE_TRIANGLE = 'sourceTriangle';
+const PROVENANCE_BARYCENTRIC = 'sourceBarycentric';
+const NORMAL_MODES = [ 'interpolate', 'recompute', 'limit' ];
+const UV_BOUNDARY_RULES = [ 'none', 'corners-only', 'corners-plus1', 'boundaries', 'all' ];
+const ATTRIBUTE_POLICIES = [ 'linear', 'smooth', 'average', 'face-varying', 'nearest', 'flat', 'drop', 'recompute' ];
 
 ///// Local Variables
 
-const _average = new THREE.Vector3();
 const _center = new THREE.Vector3();
 const _midpoint = new THREE.Vector3();
 const _normal = new THREE.Vector3();
 const _temp = new THREE.Vector3();
 
-const _vector0 = new THREE.Vector3(); // .Vector4();
-const _vector1 = new THREE.Vector3(); // .Vector4();
-const _vector2 = new THREE.Vector3(); // .Vector4();
-const _vec0to1 = new THREE.Vector3();
-const _vec1to2 = new THREE.Vector3();
-const _vec2to0 = new THREE.Vector3();
-
-const _position = [
-    new THREE.Vector3(),
-    new THREE.Vector3(),
-    new THREE.Vector3(),
-];
-
-const _vertex = [
-    new THREE.Vector3(),
-    new THREE.Vector3(),
-    new THREE.Vector3(),
-];
+const _vector0 = new THREE.Vector3();
+const _vector1 = new THREE.Vector3();
+const _vector2 = new THREE.Vector3();
+
+const _value0 = new THREE.Vector4();
+const _value1 = new THREE.Vector4();
+const _value2 = new THREE.Vector4();
+const _valueCenter = new THREE.Vector4();
+const _valueMidpoint = new THREE.Vector4();
+const _vec0to1 = new THREE.Vector4();
+const _vec1to2 = new THREE.Vector4();
+const _vec2to0 = new THREE.Vector4();
 
 const _triangle = new THREE.Triangle();
+const _box = new THREE.Box3();
 
 /////////////////////////////////////////////////////////////////////////////////////
 /////   Loop Subdivision Surface
@@ -123,11 +176,27 @@ export class LoopSubdivision {
      *
      * Optional Parameters Object
      * @param {Boolean} split - Should coplanar faces be divided along shared edges before running Loop subdivision?
-     * @param {Boolean} uvSmooth - Should UV values be averaged during subdivision?
+     * @param {Boolean} uvSmooth - Should UV values be averaged during subdivision? (face-varying, within uv seams)
+     * @param {String} uvBoundary - Seam rule of face-varying attributes, 'none', 'corners-only', 'corners-plus1', 'boundaries' or 'all'
      * @param {Boolean} preserveEdges - Should edges / breaks in geometry be ignored during subdivision?
      * @param {Boolean} flatOnly - If true, subdivision generates triangles, but does not modify positions
      * @param {Number} maxTriangles - If geometry contains more than this many triangles, subdivision will not continue
      * @param {Number} weight - How much to weigh favoring heavy corners vs favoring Loop's formula
+     * @param {Boolean} indexed - If true, returns indexed geometry (vertices split by uv / normal seams stay split)
+     * @param {Array|String} creases - Crease edges as vertex index pairs [ a, b, sharpness ], or name of crease attribute
+     * @param {Number} creaseAngle - Edges whose adjacent face normals differ by more than this angle (degrees) are sharp
+     * @param {String} boundary - Open mesh boundary rule, 'smooth' (Loop boundary masks), 'sharp' (also keeps corners) or 'fixed'
+     * @param {Object|Boolean} adaptive - Only refine where needed, { angle, edgeLength, camera, pixelTolerance, resolution, matrixWorld }
+     * @param {Array|Number|String} mask - Region to subdivide, per triangle booleans, material index, or name of weight attribute
+     * @param {Object} attributes - Subdivision policy by attribute name, e.g. { uv2: 'face-varying', myId: 'nearest' }
+     * @param {String} normals - How normals are found, 'interpolate' (averaged), 'recompute' (from faces) or 'limit' (limit surface)
+     * @param {Boolean} tangents - If true, tangents are regenerated from uv coordinates after subdivision
+     * @param {Boolean} limit - If true, vertices are moved to the limit surface after subdivision
+     * @param {Number|Object} tolerance - Distance positions are welded within, or { relative } (fraction of bounding box diagonal)
+     * @param {Boolean} repair - If true, T-junctions, degenerate / duplicate triangles and winding are fixed first (see repair())
+     * @param {Boolean} provenance - If true, adds 'sourceTriangle' and 'sourceBarycentric' attributes (input triangle of each vertex)
+     * @param {Function} onProgress - Called with { iteration, stage, fraction, total } between stages and during long loops
+     * @param {Object} signal - AbortSignal, if aborted subdivision stops and throws an 'AbortError'
      */
     static modify(bufferGeometry, iterations = 1, params = {}) {
         if (arguments.length > 3) console.warn(`LoopSubdivision.modify() now uses a parameter object. See readme for more info!`);
@@ -135,52 +204,447 @@ export class LoopSubdivision {
         if (typeof params !== 'object') params = {};
 
         ///// Parameters
-        if (params.split === undefined) params.split = true;
-        if (params.uvSmooth === undefined) params.uvSmooth = false;
-        if (params.preserveEdges === undefined) params.preserveEdges = false;
-        if (params.flatOnly === undefined) params.flatOnly = false;
-        if (params.maxTriangles === undefined) params.maxTriangles = Infinity;
-        if (params.weight === undefined) params.weight = 1;
-        if (isNaN(params.weight) || !isFinite(params.weight)) params.weight = 1;
-        params.weight = Math.max(0, (Math.min(1, params.weight)));
+        modifyParams(params);
 
         ///// Geometries
         if (! verifyGeometry(bufferGeometry)) return bufferGeometry;
-        let modifiedGeometry = bufferGeometry.clone();
+        const creases = gatherCreases(bufferGeometry, params);
+        const range = drawnRange(bufferGeometry);
+        let selection = gatherSelection(bufferGeometry, params);
+        if (selection) selection = selection.slice(Math.floor(range.start / 3), Math.floor((range.start + range.count) / 3));
+        let modifiedGeometry = workingGeometry(bufferGeometry);
+
+        ///// Progress (this call only, see progressContext())
+        params = Object.assign({}, params, { progress: progressContext(params, iterations) });
+
+        try {
+
+            ///// Provenance
+            if (params.provenance) {
+                const provenanceGeometry = addProvenance(modifiedGeometry, Math.floor(range.start / 3));
+                modifiedGeometry.dispose();
+                modifiedGeometry = provenanceGeometry;
+            }
+
+            ///// Repair
+            if (params.repair) {
+                const triangleParents = [];
+                const repairedGeometry = LoopSubdivision.repair(modifiedGeometry, triangleParents, params);
+                if (selection) selection = Uint8Array.from(triangleParents, (parent) => selection[parent]);
+                modifiedGeometry.dispose();
+                modifiedGeometry = repairedGeometry;
+            }
+
+            ///// Presplit
+            if (params.split) {
+                reportProgress(params, 'split', 0);
+                const triangleParents = [];
+                const splitGeometry = LoopSubdivision.edgeSplit(modifiedGeometry, triangleParents, params);
+                if (selection) selection = Uint8Array.from(triangleParents, (parent) => selection[parent]);
+                modifiedGeometry.dispose();
+                modifiedGeometry = splitGeometry;
+            }
+
+            ///// Share Vertices
+            if (params.indexed && modifiedGeometry.index === null) {
+                const indexedGeometry = indexGeometry(modifiedGeometry);
+                modifiedGeometry.dispose();
+                modifiedGeometry = indexedGeometry;
+            }
+
+            ///// Topology (positions are welded once, new vertices are indexed as they are created)
+            const selective = (params.adaptive || params.mask !== undefined);
+            const smoothNormals = (params.normals !== 'interpolate');
+            const finalTopology = (smoothNormals || params.limit);
+            // Flat only subdivision needs topology only for creased normals
+            const noTopology = (params.flatOnly && ! selective && ! smoothNormals);
+            let topology = (noTopology) ? undefined : weldTopology(modifiedGeometry, params);
+            if (topology) applyCreases(topology, modifiedGeometry, creases, params);
+
+            ///// Apply Subdivision
+            for (let i = 0; i < iterations; i++) {
+                params.progress.iteration = i + 1;
+                let currentTriangles = triangleCount(modifiedGeometry);
+                if (currentTriangles < params.maxTriangles) {
+
+                    // Adaptive / Masked
+                    if (selective) {
+                        const refined = adaptiveSubdivide(modifiedGeometry, topology, params, selection);
+                        if (refined === undefined) break;
+                        modifiedGeometry.dispose();
+                        modifiedGeometry = refined.geometry;
+                        topology = refined.topology;
+                        selection = refined.selection;
+                        continue;
+                    }
+
+                    // Subdivide
+                    const smoothTopology = (params.flatOnly) ? undefined : topology;
+                    const subdividedGeometry = subdivideGeometry(modifiedGeometry, smoothTopology, params);
+                    if (topology && (i < iterations - 1 || finalTopology)) topology = subdivideTopology(topology);
+
+                    // Copy and Resize Groups
+                    modifiedGeometry.groups.forEach((group) => {
+                        subdividedGeometry.addGroup(group.start * 4, group.count * 4, group.materialIndex);
+                    });
+
+                    // Clean Up
+                    modifiedGeometry.dispose();
+                    modifiedGeometry = subdividedGeometry;
+                }
+            }
+
+            ///// Limit Surface, Normals, Tangents (limit normals are found from control points, before vertices are moved)
+            reportProgress(params, 'finish', 0);
+            const limit = (params.limit && topology !== undefined && ! params.flatOnly);
+            if (limit && params.normals !== 'limit') limitPositions(modifiedGeometry, topology, params);
+            if (smoothNormals) generateNormals(modifiedGeometry, topology, params);
+            if (limit && params.normals === 'limit') limitPositions(modifiedGeometry, topology, params);
+            if (params.tangents) generateTangents(modifiedGeometry);
+
+            ///// Triangle Soup, Layout
+            if (! params.indexed) modifiedGeometry = toTriangleSoup(modifiedGeometry);
+            restoreLayout(modifiedGeometry, bufferGeometry);
+            reportProgress(params, 'finish', 1);
+
+        } catch (error) {
+
+            ///// Aborted (or failed), Clean Up (including geometry of the stage that was running)
+            modifiedGeometry.dispose();
+            params.progress.working.forEach((geometry) => geometry.dispose());
+            throw error;
+
+        }
+
+        ///// Return New Geometry
+        return modifiedGeometry;
+    }
+
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Modify Async
+    ////////////////////
+
+    /**
+     * Applies Loop subdivision modifier in a Web Worker, returns Promise that resolves with new geometry. Attributes,
+     * morph attributes and groups are copied into typed arrays and transferred to the worker and back. Without Worker
+     * support (or if the worker fails to start), subdivision runs on this thread after the Promise is returned. Errors
+     * thrown while the worker is subdividing reject the Promise.
+     *
+     * Additional Parameters
+     * @param {Object} signal - AbortSignal, aborting rejects the Promise (with an 'AbortError') and terminates the worker
+     * @param {Function} onProgress - Called with { iteration, stage, fraction, total } (see modify()), sent back from the worker
+     * @param {Function} worker - Returns new Worker running LoopSubdivisionWorker.js, replaces the default worker
+     */
+    static modifyAsync(bufferGeometry, iterations = 1, params = {}) {
+
+        if (typeof params !== 'object') params = {};
+
+        return new Promise((resolve, reject) => {
+            const signal = params.signal;
+            if (signal && signal.aborted) return reject(abortError(signal));
+            if (! verifyGeometry(bufferGeometry)) return resolve(bufferGeometry);
+
+            const onProgress = (typeof params.onProgress === 'function') ? params.onProgress : undefined;
+            const message = {
+                geometry: serializeGeometry(bufferGeometry, true /* copy */),
+                iterations,
+                params: serializeParams(params),
+                progress: (onProgress !== undefined),
+            };
+
+            ///// Main Thread
+            let worker;
+            let started = false;
+            let transferred = false;
+            function finish(data) {
+                if (worker) worker.terminate();
+                if (signal) signal.removeEventListener('abort', abort);
+                if (data.error !== undefined) reject(new Error(data.error));
+                else resolve(restoreLayout(deserializeGeometry(data.geometry), bufferGeometry));
+            }
+            function runInline() {
+                setTimeout(() => {
+                    if (signal && signal.aborted) return;
+                    try {
+                        // Arrays sent to a worker that failed to start were transferred (emptied), copy them again
+                        if (transferred) message.geometry = serializeGeometry(bufferGeometry, true /* copy */);
+                        finish({ geometry: subdivideMessage(message, { signal, onProgress }) });
+                    } catch (error) {
+                        if (signal && signal.aborted) return;
+                        finish({ error: error.message });
+                    }
+                }, 0);
+            }
+            function abort() {
+                if (worker) worker.terminate();
+                reject(abortError(signal));
+            }
+            if (signal) signal.addEventListener('abort', abort, { once: true });
+
+            ///// Worker
+            try {
+                worker = createWorker(params.worker);
+            } catch (error) {
+                worker = undefined;
+            }
+            if (! worker) return runInline();
+            worker.onmessage = (event) => {
+                if (event.data.ready) started = true;
+                else if (event.data.progress) onProgress(event.data.progress);
+                else finish(event.data);
+            };
+            worker.onerror = (event) => {
+                if (event && typeof event.preventDefault === 'function') event.preventDefault();
+
+                // Error after worker started (uncaught while subdividing)
+                if (started) return finish({ error: (event && event.message) ? event.message : 'Worker error' });
+
+                // Worker failed to load
+                console.warn(`LoopSubdivision: Worker failed to start, subdividing on main thread`);
+                worker.terminate();
+                worker = undefined;
+                runInline();
+            };
+            transferred = true;
+            worker.postMessage(message, transferList(message.geometry));
+        });
+    }
+
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Modify Object
+    ////////////////////
+
+    /**
+     * Applies Loop subdivision to the geometry of every mesh (including SkinnedMesh and InstancedMesh) in 'object'
+     * and its children, geometries are replaced in place. Geometries shared by several meshes are subdivided once.
+     * Points and lines are skipped. Meshes can override 'iterations' and other params with 'userData.subdivision'
+     * (e.g. { iterations: 2, creaseAngle: 30 }), or be skipped with 'userData.subdivision' set to false. Meshes with
+     * the same overrides share a result (numbers, strings and booleans are compared by value, arrays and objects by
+     * identity).
+     *
+     * Additional Parameters
+     * @param {Boolean} dispose - If true, replaced geometries are disposed (unless still used by a skipped mesh)
+     * @returns {Object} Returns 'object'
+     */
+    static modifyObject(object, iterations = 1, params = {}) {
+
+        if (typeof params !== 'object') params = {};
+        if (! object || ! object.isObject3D) {
+            console.warn(`LoopSubdivision.modifyObject(): Object provided is not 'Object3D' type`);
+            return object;
+        }
+
+        ///// Meshes
+        const meshes = [];
+        object.traverse((child) => {
+            if (child.isMesh === true && child.geometry && child.geometry.isBufferGeometry) meshes.push(child);
+        });
+
+        ///// Subdivide Unique Geometry / Settings Pairs
+        const results = new Map();
+        const replaced = new Set();
+        const kept = new Set();
+        const objectIds = new Map();
+        meshes.forEach((mesh) => {
+            const geometry = mesh.geometry;
+            const override = mesh.userData.subdivision;
+            if (override === false) return kept.add(geometry);
+
+            const settings = (override && typeof override === 'object') ? override : {};
+            if (! results.has(geometry)) results.set(geometry, new Map());
+            const cache = results.get(geometry);
+            const key = settingsKey(settings);
+            if (! cache.has(key)) {
+                const meshParams = Object.assign({}, params, settings);
+                const meshIterations = (settings.iterations !== undefined) ? settings.iterations : iterations;
+                delete meshParams.iterations;
+                delete meshParams.dispose;
+                cache.set(key, LoopSubdivision.modify(geometry, meshIterations, meshParams));
+            }
+
+            const subdivided = cache.get(key);
+            if (subdivided === geometry) return kept.add(geometry);
+            mesh.geometry = subdivided;
+            replaced.add(geometry);
+        });
+
+        ///// Clean Up
+        if (params.dispose) {
+            replaced.forEach((geometry) => { if (! kept.has(geometry)) geometry.dispose(); });
+        }
+        return object;
+
+        // Cache Key of Override Settings (in name order, scalar values by value, objects such as 'creases' by identity)
+        function settingsKey(settings) {
+            return JSON.stringify(Object.keys(settings).sort().map((name) => {
+                const value = settings[name];
+                if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+                    return [ name, typeof value, String(value) ];
+                }
+                if (! objectIds.has(value)) objectIds.set(value, objectIds.size);
+                return [ name, 'object', objectIds.get(value) ];
+            }));
+        }
+    }
+
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Prepare
+    ////////////////////
+
+    /**
+     * Subdivides geometry once, and stores the stencil (weights of input vertices) of every output position, so the
+     * same subdivision can be repeated quickly for changing positions (e.g. meshes deformed on the CPU every frame).
+     * Uses the same parameters as modify(), except 'adaptive' and 'mask'. Topology decisions ('split', 'creaseAngle')
+     * are made once, from the positions of 'bufferGeometry'.
+     *
+     * @returns {Object} { geometry, update(positionArray), stencils, outputVertex, controlCount }, update() moves
+     *                   vertices of 'geometry' from new input positions (same layout as the 'position' attribute of
+     *                   'bufferGeometry'), and sets normals from the cross product of two stencil tangents. 'stencils'
+     *                   ({ start, index, weight, tangentU, tangentV }) has one row per welded output vertex, and
+     *                   'outputVertex' is the row of each vertex of 'geometry' (used by SubdivisionShader)
+     */
+    static prepare(bufferGeometry, iterations = 1, params = {}) {
 
-        ///// Presplit
+        if (typeof params !== 'object') params = {};
+        if (params.adaptive || params.mask !== undefined) {
+            console.warn(`LoopSubdivision.prepare(): 'adaptive' and 'mask' are not supported, subdividing whole geometry`);
+        }
+
+        ///// Parameters
+        params = Object.assign({}, params, { adaptive: false, mask: undefined });
+        modifyParams(params);
+
+        ///// Geometries
+        if (! verifyGeometry(bufferGeometry)) return undefined;
+        const inputCount = bufferGeometry.attributes.position.count;
+        const creases = gatherCreases(bufferGeometry, params);
+        let modifiedGeometry = workingGeometry(bufferGeometry);
+
+        ///// Source Vertices (input vertex of each vertex, copied by repair(), split edge points get both ends from edgeSplit())
+        const vertices = drawnVertices(bufferGeometry);
+        const source = new Float64Array(modifiedGeometry.attributes.position.count);
+        for (let i = 0; i < source.length; i++) source[i] = (vertices) ? vertices[i] : i;
+        modifiedGeometry.setAttribute(SOURCE_ATTRIBUTE, new THREE.BufferAttribute(source, 1));
+
+        ///// Repair, Presplit, Share Vertices
+        if (params.repair) {
+            const repairedGeometry = LoopSubdivision.repair(modifiedGeometry, undefined, params);
+            modifiedGeometry.dispose();
+            modifiedGeometry = repairedGeometry;
+        }
+        const sources = readAttribute(modifiedGeometry.getAttribute(SOURCE_ATTRIBUTE));
+        let vertexParents = undefined;
         if (params.split) {
-            const splitGeometry = LoopSubdivision.edgeSplit(modifiedGeometry)
+            vertexParents = [];
+            modifiedGeometry.deleteAttribute(SOURCE_ATTRIBUTE);
+            const splitGeometry = LoopSubdivision.edgeSplit(modifiedGeometry, undefined, params, vertexParents);
             modifiedGeometry.dispose();
             modifiedGeometry = splitGeometry;
         }
+        const sourceCount = modifiedGeometry.attributes.position.count;
+        const sourceA = new Float64Array(sourceCount);
+        const sourceB = new Float64Array(sourceCount);
+        for (let i = 0; i < sourceCount; i++) {
+            sourceA[i] = (vertexParents) ? sources[vertexParents[(i * 2) + 0]] : sources[i];
+            sourceB[i] = (vertexParents) ? sources[vertexParents[(i * 2) + 1]] : sources[i];
+        }
+        modifiedGeometry.setAttribute(SOURCE_ATTRIBUTE, new THREE.BufferAttribute(sourceA, 1));
+        modifiedGeometry.setAttribute(SOURCE_PAIR_ATTRIBUTE, new THREE.BufferAttribute(sourceB, 1));
+        if (modifiedGeometry.index === null) {
+            shareSources(modifiedGeometry, params);
+            const indexedGeometry = indexGeometry(modifiedGeometry);
+            modifiedGeometry.dispose();
+            modifiedGeometry = indexedGeometry;
+        }
+
+        ///// Topology, Stencils of Welded Vertices
+        let topology = weldTopology(modifiedGeometry, params);
+        applyCreases(topology, modifiedGeometry, creases, params);
+        let stencils = sourceStencils(modifiedGeometry, topology);
+        modifiedGeometry.deleteAttribute(SOURCE_ATTRIBUTE);
+        modifiedGeometry.deleteAttribute(SOURCE_PAIR_ATTRIBUTE);
 
         ///// Apply Subdivision
         for (let i = 0; i < iterations; i++) {
-            let currentTriangles = modifiedGeometry.attributes.position.count / 3;
-            if (currentTriangles < params.maxTriangles) {
-                let subdividedGeometry;
-
-                // Subdivide
-                if (params.flatOnly) {
-                    subdividedGeometry = LoopSubdivision.flat(modifiedGeometry, params);
-                } else {
-                    subdividedGeometry = LoopSubdivision.smooth(modifiedGeometry, params);
-                }
+            if (triangleCount(modifiedGeometry) >= params.maxTriangles) break;
+            const smooth = ! params.flatOnly;
+            const subdividedGeometry = subdivideGeometry(modifiedGeometry, (smooth) ? topology : undefined, params);
+            modifiedGeometry.groups.forEach((group) => {
+                subdividedGeometry.addGroup(group.start * 4, group.count * 4, group.materialIndex);
+            });
+            stencils = multiplyStencils(subdivisionStencils(topology, params, smooth), stencils, inputCount);
+            topology = subdivideTopology(topology);
+            modifiedGeometry.dispose();
+            modifiedGeometry = subdividedGeometry;
+        }
 
-                // Copy and Resize Groups
-                modifiedGeometry.groups.forEach((group) => {
-                    subdividedGeometry.addGroup(group.start * 4, group.count * 4, group.materialIndex);
-                });
+        ///// Limit Surface, Tangents (limit tangent masks apply to points of last level, before moving to limit)
+        const levelStencils = stencils;
+        if (params.limit && ! params.flatOnly) {
+            limitPositions(modifiedGeometry, topology, params);
+            stencils = multiplyStencils(limitStencils(topology, params), stencils, inputCount);
+        }
+        if (params.tangents) generateTangents(modifiedGeometry);
+
+        ///// Output Vertices (welded vertex of each vertex of returned geometry)
+        const corners = geometryCorners(modifiedGeometry);
+        let outputVertex = new Int32Array(modifiedGeometry.attributes.position.count);
+        for (let c = 0; c < corners.length; c++) outputVertex[corners[c]] = topology.cornerVertex[c];
+        if (! params.indexed) {
+            modifiedGeometry = toTriangleSoup(modifiedGeometry);
+            outputVertex = Int32Array.from(topology.cornerVertex);
+        }
 
-                // Clean Up
-                modifiedGeometry.dispose();
-                modifiedGeometry = subdividedGeometry;
+        ///// Stencils of Positions and Tangents (weights of input vertices, for each welded vertex)
+        const geometry = modifiedGeometry;
+        const vertexCount = topology.vertexCount;
+        const positions = new Float64Array(vertexCount * 3);
+        const inputPositions = readAttribute(bufferGeometry.getAttribute('position'));
+        applyStencils(levelStencils, levelStencils.weight, inputPositions, 3, positions);
+        const tangents = tangentStencils(topology, positions);
+        const merged = mergeStencils([
+            stencils,
+            multiplyStencils(tangents.u, levelStencils, inputCount),
+            multiplyStencils(tangents.v, levelStencils, inputCount),
+        ], inputCount);
+        const table = {
+            start: merged.start,
+            index: merged.index,
+            weight: merged.weights[0],
+            tangentU: merged.weights[1],
+            tangentV: merged.weights[2],
+        };
+        const tangentU = new Float64Array(vertexCount * 3);
+        const tangentV = new Float64Array(vertexCount * 3);
+
+        function update(positionArray) {
+
+            ///// Positions, Tangents (weighted sums of input positions)
+            applyStencils(table, table.weight, positionArray, 3, positions);
+            applyStencils(table, table.tangentU, positionArray, 3, tangentU);
+            applyStencils(table, table.tangentV, positionArray, 3, tangentV);
+
+            ///// Geometry
+            const positionAttribute = geometry.getAttribute('position');
+            const normalAttribute = geometry.getAttribute('normal');
+            for (let i = 0; i < outputVertex.length; i++) {
+                const v = outputVertex[i];
+                positionAttribute.setXYZ(i, positions[(v * 3) + 0], positions[(v * 3) + 1], positions[(v * 3) + 2]);
+                if (normalAttribute) {
+                    _normal.crossVectors(_vector1.fromArray(tangentU, v * 3), _vector2.fromArray(tangentV, v * 3));
+                    if (_normal.lengthSq() < Number.EPSILON * Number.EPSILON) continue;
+                    _normal.normalize();
+                    normalAttribute.setXYZ(i, _normal.x, _normal.y, _normal.z);
+                }
             }
+            positionAttribute.needsUpdate = true;
+            if (normalAttribute) normalAttribute.needsUpdate = true;
+            geometry.computeBoundingSphere();
+            return geometry;
         }
 
-        ///// Return New Geometry
-        return modifiedGeometry;
+        ///// Clean Up
+        return { geometry, update, stencils: table, outputVertex, controlCount: inputCount };
     }
 
     /////////////////////////////////////////////////////////////////////////////////////
@@ -190,111 +654,123 @@ export class LoopSubdivision {
     /**
      * Applies one iteration of split subdivision. Splits all triangles at edges shared by coplanar triangles.
      * Starts by splitting at longest shared edge, followed by splitting from that new center edge point to the
-     * center of any other shared edges.
+     * center of any other shared edges. If 'triangleParents' array is provided, it is filled with the index of the source
+     * triangle of each new triangle. If 'vertexParents' array is provided, it is filled with two source vertex indices
+     * for each new vertex (ends of the split edge, or the same vertex twice for copied vertices). Attribute policies
+     * ('params.attributes') are used to copy or drop attributes.
      */
-    static edgeSplit(geometry) {
+    static edgeSplit(geometry, triangleParents = undefined, params = {}, vertexParents = undefined) {
 
         ///// Geometries
         if (! verifyGeometry(geometry)) return geometry;
-        const existing = (geometry.index !== null) ? geometry.toNonIndexed() : geometry.clone();
+        const working = workingGeometry(geometry, 'LoopSubdivision.edgeSplit()');
+        const workingCorners = (vertexParents) ? geometryCorners(working) : undefined;
+        const existing = (working.index !== null) ? working.toNonIndexed() : working;
+        if (existing !== working) working.dispose();
         const split = new THREE.BufferGeometry();
+        holdGeometry(params, existing, split);
 
         ///// Attributes
         const attributeList = gatherAttributes(existing);
         const vertexCount = existing.attributes.position.count;
         const posAttribute = existing.getAttribute('position');
-        const norAttribute = existing.getAttribute('normal');
-        const edgeHashToTriangle = {};
-        const triangleEdgeHashes = [];
-        const edgeLength = {};
-        const triangleExist = [];
+        const tolerance = weldTolerance(existing, params);
+        const weld = weldAttribute(posAttribute, tolerance);
+        const normalTable = createTupleTable(vertexCount / 3);
+        const edgeTable = createTupleTable(vertexCount);
+        const edgeTriangleCount = new Int32Array(vertexCount);
+        const edgeLength = new Float64Array(vertexCount);
+        const triangleEdges = new Int32Array(vertexCount).fill(-1);
+        const triangleExist = new Uint8Array(vertexCount / 3);
 
         ///// Edges
         for (let i = 0; i < vertexCount; i += 3) {
+            if ((i % PROGRESS_INTERVAL) === 0) reportProgress(params, 'split', (i / vertexCount) / 2);
 
             // Positions
             _vector0.fromBufferAttribute(posAttribute, i + 0);
             _vector1.fromBufferAttribute(posAttribute, i + 1);
             _vector2.fromBufferAttribute(posAttribute, i + 2);
-            _normal.fromBufferAttribute(norAttribute, i);
-            const vecHash0 = hashFromVector(_vector0);
-            const vecHash1 = hashFromVector(_vector1);
-            const vecHash2 = hashFromVector(_vector2);
 
             // Verify Area
             const triangleSize = _triangle.set(_vector0, _vector1, _vector2).getArea();
-            triangleExist.push(! fuzzy(triangleSize, 0));
-            if (! triangleExist[i / 3]) {
-                triangleEdgeHashes.push([]);
-                continue;
-            }
+            triangleExist[i / 3] = (fuzzy(triangleSize, 0, (tolerance) ? tolerance * tolerance : undefined)) ? 0 : 1;
+            if (! triangleExist[i / 3]) continue;
 
             // Calculate Normals
             calcNormal(_normal, _vector0, _vector1, _vector2);
-            const normalHash = hashFromVector(_normal);
-
-            // Vertex Hashes
-            const hashes = [
-                `${vecHash0}_${vecHash1}_${normalHash}`, // [0]: 0to1
-                `${vecHash1}_${vecHash0}_${normalHash}`, // [1]: 1to0
-                `${vecHash1}_${vecHash2}_${normalHash}`, // [2]: 1to2
-                `${vecHash2}_${vecHash1}_${normalHash}`, // [3]: 2to1
-                `${vecHash2}_${vecHash0}_${normalHash}`, // [4]: 2to0
-                `${vecHash0}_${vecHash2}_${normalHash}`, // [5]: 0to2
-            ];
-
-            // Store Edge Hashes
-            const index = i / 3;
-            for (let j = 0; j < hashes.length; j++) {
-                // Attach Triangle Index to Edge Hash
-                if (! edgeHashToTriangle[hashes[j]]) edgeHashToTriangle[hashes[j]] = [];
-                edgeHashToTriangle[hashes[j]].push(index);
+            const normalId = tupleIndex(normalTable, roundShift(_normal.x), roundShift(_normal.y), roundShift(_normal.z));
+
+            // Edges, Keyed by Welded Vertex Pair and Face Normal
+            for (let j = 0; j < 3; j++) {
+                const a = weld.ids[i + j];
+                const b = weld.ids[i + ((j + 1) % 3)];
+                const edge = tupleIndex(edgeTable, Math.min(a, b), Math.max(a, b), normalId);
+                triangleEdges[i + j] = edge;
+                edgeTriangleCount[edge]++;
 
                 // Edge Length
-                if (! edgeLength[hashes[j]]) {
-                    if (j === 0 || j === 1) edgeLength[hashes[j]] = _vector0.distanceTo(_vector1);
-                    if (j === 2 || j === 3) edgeLength[hashes[j]] = _vector1.distanceTo(_vector2);
-                    if (j === 4 || j === 5) edgeLength[hashes[j]] = _vector2.distanceTo(_vector0);
+                if (edgeTriangleCount[edge] === 1) {
+                    if (j === 0) edgeLength[edge] = _vector0.distanceTo(_vector1);
+                    if (j === 1) edgeLength[edge] = _vector1.distanceTo(_vector2);
+                    if (j === 2) edgeLength[edge] = _vector2.distanceTo(_vector0);
                 }
             }
-
-            // Triangle Edge Reference
-            triangleEdgeHashes.push([ hashes[0], hashes[2], hashes[4] ]);
         }
 
         ///// Build Geometry, Set Attributes
-        attributeList.forEach((attributeName) => {
+        const skinned = isSkinned(existing);
+        attributeList.forEach((attributeName, a) => {
             const attribute = existing.getAttribute(attributeName);
             if (! attribute) return;
+            if (skinned && (attributeName === 'skinIndex' || attributeName === 'skinWeight')) return;
+            if (isDropped(attributeName, attribute, params)) return;
+            reportProgress(params, 'split', 0.5 + ((a / attributeList.length) / 2));
             const floatArray = splitAttribute(attribute, attributeName);
-            split.setAttribute(attributeName, new THREE.BufferAttribute(floatArray, attribute.itemSize));
+            split.setAttribute(attributeName, new THREE.BufferAttribute(floatArray, attribute.itemSize, attribute.normalized));
         });
 
-        ///// Morph Attributes
-        const morphAttributes = existing.morphAttributes;
-        for (const attributeName in morphAttributes) {
-            const array = [];
-            const morphAttribute = morphAttributes[attributeName];
+        ///// Skinning
+        if (skinned) {
+            const skin = subdivideSkin(existing.getAttribute('skinIndex'), existing.getAttribute('skinWeight'), (attribute) => {
+                return splitAttribute(attribute, 'skinWeight');
+            });
+            split.setAttribute('skinIndex', skin.skinIndex);
+            split.setAttribute('skinWeight', skin.skinWeight);
+        }
 
-            // Process Array of Float32BufferAttributes
-            for (let i = 0, l = morphAttribute.length; i < l; i++) {
-                if (morphAttribute[i].count !== vertexCount) continue;
-                const floatArray = splitAttribute(morphAttribute[i], attributeName, true);
-                array.push(new THREE.BufferAttribute(floatArray, morphAttribute[i].itemSize));
+        ///// Morph Attributes
+        subdivideMorphTargets(existing, split, (attribute, attributeName) => {
+            return splitAttribute(attribute, attributeName, true);
+        }, params);
+
+        ///// Vertex Parents (pairs of source vertices are split like an attribute, midpoints keep both ends)
+        if (vertexParents) {
+            const drawn = drawnVertices(geometry);
+            const pairArray = new Float64Array(vertexCount * 2);
+            for (let i = 0; i < vertexCount; i++) {
+                const vertex = (drawn) ? drawn[workingCorners[i]] : workingCorners[i];
+                pairArray[(i * 2) + 0] = vertex;
+                pairArray[(i * 2) + 1] = vertex;
             }
-            split.morphAttributes[attributeName] = array;
+            const pairs = splitAttribute(new THREE.BufferAttribute(pairArray, 2), undefined, false, true);
+            for (let i = 0; i < pairs.length; i++) vertexParents.push(pairs[i]);
         }
-        split.morphTargetsRelative = existing.morphTargetsRelative;
 
         // Clean Up, Return New Geometry
+        releaseGeometry(params, existing, split);
         existing.dispose();
         return split;
 
-        // Loop Subdivide Function
-        function splitAttribute(attribute, attributeName, morph = false) {
+        // Loop Subdivide Function ('pairs' attribute holds a vertex pair, midpoints keep the first value of each end)
+        function splitAttribute(attribute, attributeName, morph = false, pairs = false) {
             const newTriangles = 4; /* maximum number of new triangles */
             const arrayLength = (vertexCount * attribute.itemSize) * newTriangles;
-            const floatArray = new attribute.array.constructor(arrayLength);
+            const floatArray = new Float64Array(arrayLength);
+            const nearest = (attributeMode(attributeName, attribute, params) === 'nearest');
+            const midpoint = (pairs) ?
+                (target, a, b) => target.set(a.x, b.x, 0, 0) :
+                (target, a, b) => midpointValue(target, a, b, nearest);
 
             const processGroups = (attributeName === 'position' && ! morph && existing.groups.length > 0);
             let groupStart = undefined, groupMaterial = undefined;
@@ -303,6 +779,7 @@ export class LoopSubdivision {
             let skipped = 0;
             let step = attribute.itemSize;
             for (let i = 0; i < vertexCount; i += 3) {
+                if ((i % PROGRESS_INTERVAL) === 0) checkAbort(params);
 
                 // Verify Triangle is Valid
                 if (! triangleExist[i / 3]) {
@@ -311,19 +788,18 @@ export class LoopSubdivision {
                 }
 
                 // Get Triangle Points
-                _vector0.fromBufferAttribute(attribute, i + 0);
-                _vector1.fromBufferAttribute(attribute, i + 1);
-                _vector2.fromBufferAttribute(attribute, i + 2);
+                readValue(_value0, attribute, i + 0);
+                readValue(_value1, attribute, i + 1);
+                readValue(_value2, attribute, i + 2);
 
                 // Check for Shared Edges
-                const existingIndex = i / 3;
-                const edgeHash0to1 = triangleEdgeHashes[existingIndex][0];
-                const edgeHash1to2 = triangleEdgeHashes[existingIndex][1];
-                const edgeHash2to0 = triangleEdgeHashes[existingIndex][2];
-
-                const edgeCount0to1 = edgeHashToTriangle[edgeHash0to1].length;
-                const edgeCount1to2 = edgeHashToTriangle[edgeHash1to2].length;
-                const edgeCount2to0 = edgeHashToTriangle[edgeHash2to0].length;
+                const edge0to1 = triangleEdges[i + 0];
+                const edge1to2 = triangleEdges[i + 1];
+                const edge2to0 = triangleEdges[i + 2];
+
+                const edgeCount0to1 = edgeTriangleCount[edge0to1];
+                const edgeCount1to2 = edgeTriangleCount[edge1to2];
+                const edgeCount2to0 = edgeTriangleCount[edge2to0];
                 const sharedCount = (edgeCount0to1 + edgeCount1to2 + edgeCount2to0) - 3;
 
                 // New Index (Before New Triangles, used for Groups)
@@ -331,72 +807,77 @@ export class LoopSubdivision {
 
                 // No Shared Edges
                 if (sharedCount === 0) {
-                    setTriangle(floatArray, index, step, _vector0, _vector1, _vector2); index += (step * 3);
+                    setTriangle(floatArray, index, step, _value0, _value1, _value2); index += (step * 3);
 
                 // Shared Edges
                 } else {
-                    const length0to1 = edgeLength[edgeHash0to1];
-                    const length1to2 = edgeLength[edgeHash1to2];
-                    const length2to0 = edgeLength[edgeHash2to0];
+                    const length0to1 = edgeLength[edge0to1];
+                    const length1to2 = edgeLength[edge1to2];
+                    const length2to0 = edgeLength[edge2to0];
 
                     // Add New Triangle Positions
                     if ((length0to1 > length1to2 || edgeCount1to2 <= 1) &&
                         (length0to1 > length2to0 || edgeCount2to0 <= 1) && edgeCount0to1 > 1) {
-                        _center.copy(_vector0).add(_vector1).divideScalar(2.0);
+                        midpoint(_valueCenter, _value0, _value1);
                         if (edgeCount2to0 > 1) {
-                            _midpoint.copy(_vector2).add(_vector0).divideScalar(2.0);
-                            setTriangle(floatArray, index, step, _vector0, _center, _midpoint); index += (step * 3);
-                            setTriangle(floatArray, index, step, _center, _vector2, _midpoint); index += (step * 3);
+                            midpoint(_valueMidpoint, _value2, _value0);
+                            setTriangle(floatArray, index, step, _value0, _valueCenter, _valueMidpoint); index += (step * 3);
+                            setTriangle(floatArray, index, step, _valueCenter, _value2, _valueMidpoint); index += (step * 3);
                         } else {
-                            setTriangle(floatArray, index, step, _vector0, _center, _vector2); index += (step * 3);
+                            setTriangle(floatArray, index, step, _value0, _valueCenter, _value2); index += (step * 3);
                         }
                         if (edgeCount1to2 > 1) {
-                            _midpoint.copy(_vector1).add(_vector2).divideScalar(2.0);
-                            setTriangle(floatArray, index, step, _center, _vector1, _midpoint); index += (step * 3);
-                            setTriangle(floatArray, index, step, _midpoint, _vector2, _center); index += (step * 3);
+                            midpoint(_valueMidpoint, _value1, _value2);
+                            setTriangle(floatArray, index, step, _valueCenter, _value1, _valueMidpoint); index += (step * 3);
+                            setTriangle(floatArray, index, step, _valueMidpoint, _value2, _valueCenter); index += (step * 3);
                         } else {
-                            setTriangle(floatArray, index, step, _vector1, _vector2, _center); index += (step * 3);
+                            setTriangle(floatArray, index, step, _value1, _value2, _valueCenter); index += (step * 3);
                         }
 
                     } else if ((length1to2 > length2to0 || edgeCount2to0 <= 1) && edgeCount1to2 > 1) {
-                        _center.copy(_vector1).add(_vector2).divideScalar(2.0);
+                        midpoint(_valueCenter, _value1, _value2);
                         if (edgeCount0to1 > 1) {
-                            _midpoint.copy(_vector0).add(_vector1).divideScalar(2.0);
-                            setTriangle(floatArray, index, step, _center, _midpoint, _vector1); index += (step * 3);
-                            setTriangle(floatArray, index, step, _midpoint, _center, _vector0); index += (step * 3);
+                            midpoint(_valueMidpoint, _value0, _value1);
+                            setTriangle(floatArray, index, step, _valueCenter, _valueMidpoint, _value1); index += (step * 3);
+                            setTriangle(floatArray, index, step, _valueMidpoint, _valueCenter, _value0); index += (step * 3);
                         } else {
-                            setTriangle(floatArray, index, step, _vector1, _center, _vector0); index += (step * 3);
+                            setTriangle(floatArray, index, step, _value1, _valueCenter, _value0); index += (step * 3);
                         }
                         if (edgeCount2to0 > 1) {
-                            _midpoint.copy(_vector2).add(_vector0).divideScalar(2.0);
-                            setTriangle(floatArray, index, step, _center, _vector2, _midpoint); index += (step * 3);
-                            setTriangle(floatArray, index, step, _midpoint, _vector0, _center); index += (step * 3);
+                            midpoint(_valueMidpoint, _value2, _value0);
+                            setTriangle(floatArray, index, step, _valueCenter, _value2, _valueMidpoint); index += (step * 3);
+                            setTriangle(floatArray, index, step, _valueMidpoint, _value0, _valueCenter); index += (step * 3);
                         } else {
-                            setTriangle(floatArray, index, step, _vector2, _vector0, _center); index += (step * 3);
+                            setTriangle(floatArray, index, step, _value2, _value0, _valueCenter); index += (step * 3);
                         }
 
                     } else if (edgeCount2to0 > 1) {
-                        _center.copy(_vector2).add(_vector0).divideScalar(2.0);
+                        midpoint(_valueCenter, _value2, _value0);
                         if (edgeCount1to2 > 1) {
-                            _midpoint.copy(_vector1).add(_vector2).divideScalar(2.0);
-                            setTriangle(floatArray, index, step, _vector2, _center, _midpoint); index += (step * 3);
-                            setTriangle(floatArray, index, step, _center, _vector1, _midpoint); index += (step * 3);
+                            midpoint(_valueMidpoint, _value1, _value2);
+                            setTriangle(floatArray, index, step, _value2, _valueCenter, _valueMidpoint); index += (step * 3);
+                            setTriangle(floatArray, index, step, _valueCenter, _value1, _valueMidpoint); index += (step * 3);
                         } else {
-                            setTriangle(floatArray, index, step, _vector2, _center, _vector1); index += (step * 3);
+                            setTriangle(floatArray, index, step, _value2, _valueCenter, _value1); index += (step * 3);
                         }
                         if (edgeCount0to1 > 1) {
-                            _midpoint.copy(_vector0).add(_vector1).divideScalar(2.0);
-                            setTriangle(floatArray, index, step, _vector0, _midpoint, _center); index += (step * 3);
-                            setTriangle(floatArray, index, step, _midpoint, _vector1, _center); index += (step * 3);
+                            midpoint(_valueMidpoint, _value0, _value1);
+                            setTriangle(floatArray, index, step, _value0, _valueMidpoint, _valueCenter); index += (step * 3);
+                            setTriangle(floatArray, index, step, _valueMidpoint, _value1, _valueCenter); index += (step * 3);
                         } else {
-                            setTriangle(floatArray, index, step, _vector0, _vector1, _center); index += (step * 3);
+                            setTriangle(floatArray, index, step, _value0, _value1, _valueCenter); index += (step * 3);
                         }
 
                     } else {
-                        setTriangle(floatArray, index, step, _vector0, _vector1, _vector2); index += (step * 3);
+                        setTriangle(floatArray, index, step, _value0, _value1, _value2); index += (step * 3);
                     }
                 }
 
+                // Source Triangles
+                if (triangleParents && attributeName === 'position' && ! morph) {
+                    for (let j = loopStartIndex / 3; j < index / (step * 3); j++) triangleParents.push(i / 3);
+                }
+
                 // Process Groups
                 if (processGroups) {
                     existing.groups.forEach((group) => {
@@ -415,11 +896,8 @@ export class LoopSubdivision {
             }
 
             // Resize Array
-            const reducedCount = (index * 3) / step;
-            const reducedArray = new attribute.array.constructor(reducedCount);
-            for (let i = 0; i < reducedCount; i++) {
-                reducedArray[i] = floatArray[i];
-            }
+            if (attributeName === 'tangent' && step === 4) tangentSigns(floatArray);
+            const reducedArray = typedValues(floatArray, attribute.array.constructor, index);
 
             // Final Group
             if (processGroups && groupStart !== undefined && groupMaterial !== undefined) {
@@ -437,70 +915,65 @@ export class LoopSubdivision {
     /** Applies one iteration of Loop (flat) subdivision (1 triangle split into 4 triangles) */
     static flat(geometry, params = {}) {
 
-        ///// Geometries
-        if (! verifyGeometry(geometry)) return geometry;
-        const existing = (geometry.index !== null) ? geometry.toNonIndexed() : geometry.clone();
-        const loop = new THREE.BufferGeometry();
-
-        ///// Attributes
-        const attributeList = gatherAttributes(existing);
-        const vertexCount = existing.attributes.position.count;
-
-        ///// Build Geometry
-        attributeList.forEach((attributeName) => {
-            const attribute = existing.getAttribute(attributeName);
-            if (! attribute) return;
-
-            loop.setAttribute(attributeName, LoopSubdivision.flatAttribute(attribute, vertexCount, params));
-        });
+        if (typeof params !== 'object') params = {};
 
-        ///// Morph Attributes
-        const morphAttributes = existing.morphAttributes;
-        for (const attributeName in morphAttributes) {
-            const array = [];
-            const morphAttribute = morphAttributes[attributeName];
+        ///// Parameters
+        if (params.indexed === undefined) params.indexed = false;
+        normalParams(params);
 
-            // Process Array of Float32BufferAttributes
-			for (let i = 0, l = morphAttribute.length; i < l; i++) {
-                if (morphAttribute[i].count !== vertexCount) continue;
-                array.push(LoopSubdivision.flatAttribute(morphAttribute[i], vertexCount, params));
-            }
-            loop.morphAttributes[attributeName] = array;
+        ///// Geometries
+        if (! verifyGeometry(geometry)) return geometry;
+        const existing = workingGeometry(geometry, 'LoopSubdivision.flat()', params.indexed);
+
+        ///// Subdivide
+        const loop = subdivideGeometry(existing, undefined, params);
+        if (params.normals !== 'interpolate') {
+            // Creases are kept by normals (found from the topology of the existing geometry)
+            const topology = weldTopology(existing, params);
+            applyCreases(topology, existing, gatherCreases(geometry, params), params);
+            generateNormals(loop, subdivideTopology(topology), params);
         }
-        loop.morphTargetsRelative = existing.morphTargetsRelative;
+        if (params.tangents) generateTangents(loop);
 
         ///// Clean Up
         existing.dispose();
-        return loop;
+        return restoreLayout((params.indexed) ? loop : toTriangleSoup(loop), geometry);
     }
 
+    /**
+     * Applies one iteration of flat subdivision to a single attribute of non-indexed geometry, every 3 of the first
+     * 'vertexCount' items are a triangle, split into 4 triangles. Returns new BufferAttribute. Integer attributes
+     * that aren't normalized are copied from an existing vertex instead of averaged.
+     */
     static flatAttribute(attribute, vertexCount, params = {}) {
         const newTriangles = 4;
         const arrayLength = (vertexCount * attribute.itemSize) * newTriangles;
-        const floatArray = new attribute.array.constructor(arrayLength);
+        const floatArray = new Float64Array(arrayLength);
+        const nearest = (attributeMode(undefined, attribute, params) === 'nearest');
 
         let index = 0;
         let step = attribute.itemSize;
         for (let i = 0; i < vertexCount; i += 3) {
 
             // Original Vertices
-            _vector0.fromBufferAttribute(attribute, i + 0);
-            _vector1.fromBufferAttribute(attribute, i + 1);
-            _vector2.fromBufferAttribute(attribute, i + 2);
+            readValue(_value0, attribute, i + 0);
+            readValue(_value1, attribute, i + 1);
+            readValue(_value2, attribute, i + 2);
 
             // Midpoints
-            _vec0to1.copy(_vector0).add(_vector1).divideScalar(2.0);
-            _vec1to2.copy(_vector1).add(_vector2).divideScalar(2.0);
-            _vec2to0.copy(_vector2).add(_vector0).divideScalar(2.0);
+            midpointValue(_vec0to1, _value0, _value1, nearest);
+            midpointValue(_vec1to2, _value1, _value2, nearest);
+            midpointValue(_vec2to0, _value2, _value0, nearest);
 
             // Add New Triangle Positions
-            setTriangle(floatArray, index, step, _vector0, _vec0to1, _vec2to0); index += (step * 3);
-            setTriangle(floatArray, index, step, _vector1, _vec1to2, _vec0to1); index += (step * 3);
-            setTriangle(floatArray, index, step, _vector2, _vec2to0, _vec1to2); index += (step * 3);
+            setTriangle(floatArray, index, step, _value0, _vec0to1, _vec2to0); index += (step * 3);
+            setTriangle(floatArray, index, step, _value1, _vec1to2, _vec0to1); index += (step * 3);
+            setTriangle(floatArray, index, step, _value2, _vec2to0, _vec1to2); index += (step * 3);
             setTriangle(floatArray, index, step, _vec0to1, _vec1to2, _vec2to0); index += (step * 3);
         }
 
-        return new THREE.BufferAttribute(floatArray, attribute.itemSize);
+        const array = typedValues(floatArray, attribute.array.constructor);
+        return new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized);
     }
 
     /////////////////////////////////////////////////////////////////////////////////////
@@ -514,272 +987,2827 @@ export class LoopSubdivision {
 
         ///// Parameters
         if (params.uvSmooth === undefined) params.uvSmooth = false;
+        if (! UV_BOUNDARY_RULES.includes(params.uvBoundary)) params.uvBoundary = 'corners-only';
         if (params.preserveEdges === undefined) params.preserveEdges = false;
+        if (params.weight === undefined) params.weight = 1;
+        if (params.indexed === undefined) params.indexed = false;
+        if (params.boundary === undefined) params.boundary = 'smooth';
+        normalParams(params);
 
         ///// Geometries
         if (! verifyGeometry(geometry)) return geometry;
-        const existing = (geometry.index !== null) ? geometry.toNonIndexed() : geometry.clone();
-        const flat = LoopSubdivision.flat(existing, params);
-        const loop = new THREE.BufferGeometry();
-
-        ///// Attributes
-        const attributeList = gatherAttributes(existing);
-        const vertexCount = existing.attributes.position.count;
-        const posAttribute = existing.getAttribute('position');
-        const flatPosition = flat.getAttribute('position');
-        const hashToIndex = {};             // Position hash mapped to index values of same position
-        const existingNeighbors = {};       // Position hash mapped to existing vertex neighbors
-        const flatOpposites = {};           // Position hash mapped to new edge point opposites
-        const existingEdges = {};
+        const existing = workingGeometry(geometry, 'LoopSubdivision.smooth()', params.indexed);
 
-        function addNeighbor(posHash, neighborHash, index) {
-            if (! existingNeighbors[posHash]) existingNeighbors[posHash] = {};
-            if (! existingNeighbors[posHash][neighborHash]) existingNeighbors[posHash][neighborHash] = [];
-            existingNeighbors[posHash][neighborHash].push(index);
-        }
+        ///// Topology
+        const topology = weldTopology(existing, params);
+        applyCreases(topology, existing, gatherCreases(geometry, params), params);
 
-        function addOpposite(posHash, index) {
-            if (! flatOpposites[posHash]) flatOpposites[posHash] = [];
-            flatOpposites[posHash].push(index);
-        }
+        ///// Subdivide
+        const loop = subdivideGeometry(existing, topology, params);
+        if (params.normals !== 'interpolate') generateNormals(loop, subdivideTopology(topology), params);
+        if (params.tangents) generateTangents(loop);
 
-        function addEdgePoint(posHash, edgeHash) {
-            if (! existingEdges[posHash]) existingEdges[posHash] = new Set();
-            existingEdges[posHash].add(edgeHash);
-        }
+        ///// Clean Up
+        existing.dispose();
+        return restoreLayout((params.indexed) ? loop : toTriangleSoup(loop), geometry);
+    }
 
-        ///// Existing Vertex Hashes
-        for (let i = 0; i < vertexCount; i += 3) {
-            const posHash0 = hashFromVector(_vertex[0].fromBufferAttribute(posAttribute, i + 0));
-            const posHash1 = hashFromVector(_vertex[1].fromBufferAttribute(posAttribute, i + 1));
-            const posHash2 = hashFromVector(_vertex[2].fromBufferAttribute(posAttribute, i + 2));
-
-            // Neighbors (of Existing Geometry)
-            addNeighbor(posHash0, posHash1, i + 1);
-            addNeighbor(posHash0, posHash2, i + 2);
-            addNeighbor(posHash1, posHash0, i + 0);
-            addNeighbor(posHash1, posHash2, i + 2);
-            addNeighbor(posHash2, posHash0, i + 0);
-            addNeighbor(posHash2, posHash1, i + 1);
-
-            // Opposites (of new FlatSubdivided vertices)
-            _vec0to1.copy(_vertex[0]).add(_vertex[1]).divideScalar(2.0);
-            _vec1to2.copy(_vertex[1]).add(_vertex[2]).divideScalar(2.0);
-            _vec2to0.copy(_vertex[2]).add(_vertex[0]).divideScalar(2.0);
-            const hash0to1 = hashFromVector(_vec0to1);
-            const hash1to2 = hashFromVector(_vec1to2);
-            const hash2to0 = hashFromVector(_vec2to0);
-            addOpposite(hash0to1, i + 2);
-            addOpposite(hash1to2, i + 0);
-            addOpposite(hash2to0, i + 1);
-
-            // Track Edges for 'edgePreserve'
-            addEdgePoint(posHash0, hash0to1);
-            addEdgePoint(posHash0, hash2to0);
-            addEdgePoint(posHash1, hash0to1);
-            addEdgePoint(posHash1, hash1to2);
-            addEdgePoint(posHash2, hash1to2);
-            addEdgePoint(posHash2, hash2to0);
-        }
-
-        ///// Flat Position to Index Map
-        for (let i = 0; i < flat.attributes.position.count; i++) {
-            const posHash = hashFromVector(_temp.fromBufferAttribute(flatPosition, i));
-            if (! hashToIndex[posHash]) hashToIndex[posHash] = [];
-            hashToIndex[posHash].push(i);
-        }
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Limit
+    ////////////////////
 
-        ///// Build Geometry, Set Attributes
-        attributeList.forEach((attributeName) => {
-            const existingAttribute = existing.getAttribute(attributeName);
-            const flattenedAttribute = flat.getAttribute(attributeName);
-            if (existingAttribute === undefined || flattenedAttribute === undefined) return;
+    /**
+     * Moves vertices to their position on the Loop limit surface, returns new geometry. Geometry is not subdivided,
+     * so this is usually used after modify() (or pass 'limit' as true to modify()). Uses 'creases', 'creaseAngle',
+     * 'boundary', 'weight' and 'preserveEdges' from 'params', see modify().
+     */
+    static toLimit(geometry, params = {}) {
 
-            const floatArray = subdivideAttribute(attributeName, existingAttribute, flattenedAttribute);
-            loop.setAttribute(attributeName, new THREE.BufferAttribute(floatArray, flattenedAttribute.itemSize));
-        });
+        if (typeof params !== 'object') params = {};
 
-        ///// Morph Attributes
-        const morphAttributes = existing.morphAttributes;
-        for (const attributeName in morphAttributes) {
-            const array = [];
-            const morphAttribute = morphAttributes[attributeName];
+        ///// Parameters (copied, caller's object is not changed)
+        params = Object.assign({}, params);
+        if (params.preserveEdges === undefined) params.preserveEdges = false;
+        if (params.weight === undefined) params.weight = 1;
+        if (params.boundary === undefined) params.boundary = 'smooth';
 
-            // Process Array of Float32BufferAttributes
-            for (let i = 0, l = morphAttribute.length; i < l; i++) {
-                if (morphAttribute[i].count !== vertexCount) continue;
-                const existingAttribute = morphAttribute[i];
-                const flattenedAttribute = LoopSubdivision.flatAttribute(morphAttribute[i], morphAttribute[i].count, params)
+        ///// Geometries
+        if (! verifyGeometry(geometry)) return geometry;
+        const limit = geometry.clone();
 
-                const floatArray = subdivideAttribute(attributeName, existingAttribute, flattenedAttribute);
-                array.push(new THREE.BufferAttribute(floatArray, flattenedAttribute.itemSize));
-            }
-            loop.morphAttributes[attributeName] = array;
-        }
-        loop.morphTargetsRelative = existing.morphTargetsRelative;
+        ///// Topology
+        const topology = weldTopology(limit, params);
+        applyCreases(topology, limit, gatherCreases(geometry, params), params);
 
-        ///// Clean Up
-        flat.dispose();
-        existing.dispose();
-        return loop;
+        return limitPositions(limit, topology, params);
+    }
 
-        //////////
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Analyze
+    ////////////////////
 
-        // Loop Subdivide Function
-        function subdivideAttribute(attributeName, existingAttribute, flattenedAttribute) {
-            const arrayLength = (flat.attributes.position.count * flattenedAttribute.itemSize);
-            const floatArray = new existingAttribute.array.constructor(arrayLength);
+    /**
+     * Checks geometry for problems that affect subdivision, positions are welded the same way as modify() (see
+     * 'tolerance'). Vertices are reported as vertex indices (first vertex at each welded position), edges as [ a, b ]
+     * vertex pairs, triangles as triangle indices. Degenerate and duplicate triangles are left out of the other checks.
+     *
+     * @returns {Object} { triangleCount, vertexCount, boundaryEdges, nonManifoldEdges, nonManifoldVertices,
+     *                   tJunctions ([ { vertex, edge } ]), degenerateTriangles, duplicateTriangles, inconsistentEdges
+     *                   (shared by triangles with opposite winding), valid (true if only boundary edges were found) }
+     */
+    static analyze(geometry, params = {}) {
 
-            // Process Triangles
-            let index = 0;
-            for (let i = 0; i < flat.attributes.position.count; i += 3) {
+        if (typeof params !== 'object') params = {};
+        const report = {
+            triangleCount: 0,
+            vertexCount: 0,
+            boundaryEdges: [],
+            nonManifoldEdges: [],
+            nonManifoldVertices: [],
+            tJunctions: [],
+            degenerateTriangles: [],
+            duplicateTriangles: [],
+            inconsistentEdges: [],
+            valid: false,
+        };
+
+        ///// Geometry, Welded Positions
+        if (! verifyGeometry(geometry, 'LoopSubdivision.analyze()')) return report;
+        verifyTolerance(params, 'LoopSubdivision.analyze()');
+        const positionAttribute = geometry.getAttribute('position');
+        const tolerance = weldTolerance(geometry, params);
+        const weld = weldAttribute(positionAttribute, tolerance);
+        const { positions, firstVertex } = weldedPositions(positionAttribute, weld);
+        const corners = geometryCorners(geometry);
+        const cornerVertex = Int32Array.from(corners, (corner) => weld.ids[corner]);
+        report.triangleCount = corners.length / 3;
+        report.vertexCount = weld.count;
+
+        ///// Triangles
+        const sorted = sortTriangles(cornerVertex, positions, tolerance);
+        report.degenerateTriangles = sorted.degenerate;
+        report.duplicateTriangles = sorted.duplicate;
+        const keptVertex = new Int32Array(sorted.kept.length * 3);
+        sorted.kept.forEach((t, i) => keptVertex.set(cornerVertex.subarray(t * 3, (t * 3) + 3), i * 3));
+        const topology = buildTopology(keptVertex, weld.count);
 
-                // Process Triangle Points
-                for (let v = 0; v < 3; v++) {
+        ///// Edges
+        const { edgeCount, edgeVertices, edgeOppositeStart, edgeOpposites } = topology;
+        const edgePair = (e) => [ firstVertex[edgeVertices[(e * 2) + 0]], firstVertex[edgeVertices[(e * 2) + 1]] ];
+        const from = (o) => keptVertex[o - (o % 3) + ((o + 1) % 3)];
+        for (let e = 0; e < edgeCount; e++) {
+            const count = edgeOppositeStart[e + 1] - edgeOppositeStart[e];
+            if (count === 1) report.boundaryEdges.push(edgePair(e));
+            if (count > 2) report.nonManifoldEdges.push(edgePair(e));
+            if (count === 2) {
+                const o0 = edgeOpposites[edgeOppositeStart[e] + 0];
+                const o1 = edgeOpposites[edgeOppositeStart[e] + 1];
+                if (from(o0) === from(o1)) report.inconsistentEdges.push(edgePair(e));
+            }
+        }
 
-                    if (attributeName === 'uv' && ! params.uvSmooth) {
+        ///// Vertices
+        report.nonManifoldVertices = nonManifoldVertices(topology).map((v) => firstVertex[v]);
+        report.tJunctions = findJunctions(topology, positions, junctionDistance(tolerance)).map((junction) => {
+            return { vertex: firstVertex[junction.vertex], edge: edgePair(junction.edge) };
+        });
 
-                        _vertex[v].fromBufferAttribute(flattenedAttribute, i + v);
+        report.valid = (report.nonManifoldEdges.length === 0 && report.nonManifoldVertices.length === 0 &&
+            report.tJunctions.length === 0 && report.degenerateTriangles.length === 0 &&
+            report.duplicateTriangles.length === 0 && report.inconsistentEdges.length === 0);
+        return report;
+    }
 
-                    } else if (attributeName === 'normal') { // && params.normalSmooth) {
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Repair
+    ////////////////////
 
-                        _position[v].fromBufferAttribute(flatPosition, i + v);
-                        const positionHash = hashFromVector(_position[v]);
-                        const positions = hashToIndex[positionHash];
+    /**
+     * Repairs geometry before subdivision (used by modify() with 'repair' as true), returns new non-indexed geometry.
+     * Removes degenerate and duplicate triangles (same vertices, either winding), splits triangles at vertices
+     * lying inside their boundary edges (T-junctions), and flips triangles so each connected part winds the same way
+     * (the smaller set of triangles is flipped). If 'triangleParents' array is provided, it is filled with the index
+     * of the source triangle of each new triangle.
+     */
+    static repair(geometry, triangleParents = undefined, params = {}) {
 
-                        const k = Object.keys(positions).length;
-                        const beta = 0.75 / k;
-                        const startWeight = 1.0 - (beta * k);
+        if (typeof params !== 'object') params = {};
 
-                        _vertex[v].fromBufferAttribute(flattenedAttribute, i + v);
-                        _vertex[v].multiplyScalar(startWeight);
+        ///// Geometries
+        if (! verifyGeometry(geometry, 'LoopSubdivision.repair()')) return geometry;
+        verifyTolerance(params, 'LoopSubdivision.repair()');
+        const working = workingGeometry(geometry, 'LoopSubdivision.repair()');
+        const existing = (working.index !== null) ? working.toNonIndexed() : working;
+        if (existing !== working) working.dispose();
+        const positionAttribute = existing.getAttribute('position');
+        const tolerance = weldTolerance(existing, params);
+        const weld = weldAttribute(positionAttribute, tolerance);
+        const { positions, firstVertex } = weldedPositions(positionAttribute, weld);
+
+        ///// Triangles (corners are weighted sums of existing vertices, positions are copied from existing vertex 'p')
+        const corner = (i) => ({ weights: [ [ i, 1 ] ], p: i, v: weld.ids[i] });
+        let triangles = [];
+        for (let i = 0; i < positionAttribute.count; i += 3) {
+            triangles.push({ parent: i / 3, corners: [ corner(i + 0), corner(i + 1), corner(i + 2) ] });
+        }
 
-                        positions.forEach(positionIndex => {
-                            _average.fromBufferAttribute(flattenedAttribute, positionIndex);
-                            _average.multiplyScalar(beta);
-                            _vertex[v].add(_average);
-                        });
+        ///// Degenerate, Duplicate Triangles
+        const sorted = sortTriangles(triangleVertices(triangles), positions, tolerance);
+        triangles = Array.from(sorted.kept, (t) => triangles[t]);
+
+        ///// T-Junctions (one edge of each triangle is split per pass)
+        const distance = junctionDistance(tolerance);
+        for (let pass = 0; pass < 3; pass++) {
+            const topology = buildTopology(triangleVertices(triangles), weld.count);
+            const junctions = findJunctions(topology, positions, distance);
+            if (junctions.length === 0) break;
+
+            // Vertices Inside First Split Edge of each Triangle
+            const splits = new Map();
+            junctions.forEach((junction) => {
+                const opposite = topology.edgeOpposites[topology.edgeOppositeStart[junction.edge]];
+                const start = opposite - (opposite % 3) + ((opposite + 1) % 3);
+                const t = (start - (start % 3)) / 3;
+                if (! splits.has(t)) splits.set(t, { start, list: [] });
+                const split = splits.get(t);
+                if (split.start !== start) return;
+                const forward = (topology.cornerVertex[start] === topology.edgeVertices[junction.edge * 2]);
+                split.list.push({ vertex: junction.vertex, s: (forward) ? junction.s : 1 - junction.s });
+            });
+
+            // Fan of Triangles along Split Edge
+            const nextTriangles = [];
+            triangles.forEach((triangle, t) => {
+                const split = splits.get(t);
+                if (split === undefined) return nextTriangles.push(triangle);
+                split.list.sort((a, b) => a.s - b.s);
+                const k = split.start % 3;
+                const c0 = triangle.corners[k];
+                const c1 = triangle.corners[(k + 1) % 3];
+                const c2 = triangle.corners[(k + 2) % 3];
+                let previous = c0;
+                split.list.forEach(({ vertex, s }) => {
+                    const middle = { weights: blendWeights(c0.weights, c1.weights, s), p: firstVertex[vertex], v: vertex };
+                    nextTriangles.push({ parent: triangle.parent, corners: [ previous, middle, c2 ] });
+                    previous = middle;
+                });
+                nextTriangles.push({ parent: triangle.parent, corners: [ previous, c1, c2 ] });
+            });
+            triangles = nextTriangles;
+        }
 
+        ///// Winding
+        const flips = windingFlips(buildTopology(triangleVertices(triangles), weld.count));
+        triangles.forEach((triangle, t) => {
+            if (flips[t]) triangle.corners = [ triangle.corners[0], triangle.corners[2], triangle.corners[1] ];
+        });
 
-                    } else { // 'position', 'color', etc...
+        ///// Build Geometry (position values are copied, other attributes are interpolated)
+        const repaired = new THREE.BufferGeometry();
+        const copied = [ 'position', SOURCE_ATTRIBUTE ];
+        for (const attributeName in existing.attributes) {
+            const attribute = existing.getAttribute(attributeName);
+            const copy = copied.includes(attributeName);
+            repaired.setAttribute(attributeName, repairAttribute(attribute, triangles, copy, attributeMode(attributeName, attribute, params)));
+        }
+        for (const attributeName in existing.morphAttributes) {
+            repaired.morphAttributes[attributeName] = existing.morphAttributes[attributeName].map((attribute) => {
+                return repairAttribute(attribute, triangles, attributeName === 'position', attributeMode(attributeName, attribute, params));
+            });
+        }
+        repaired.morphTargetsRelative = existing.morphTargetsRelative;
+
+        ///// Groups, Parents
+        if (existing.groups.length > 0) {
+            const parentMaterial = new Array(positionAttribute.count / 3).fill(undefined);
+            existing.groups.forEach((group) => {
+                for (let t = group.start / 3; t < (group.start + group.count) / 3; t++) parentMaterial[t] = group.materialIndex;
+            });
+            let groupStart = 0;
+            for (let t = 1; t <= triangles.length; t++) {
+                const material = parentMaterial[triangles[groupStart].parent];
+                if (t < triangles.length && parentMaterial[triangles[t].parent] === material) continue;
+                if (material !== undefined) repaired.addGroup(groupStart * 3, (t - groupStart) * 3, material);
+                groupStart = t;
+            }
+        }
+        if (triangleParents) triangles.forEach((triangle) => triangleParents.push(triangle.parent));
 
-                        _vertex[v].fromBufferAttribute(flattenedAttribute, i + v);
-                        _position[v].fromBufferAttribute(flatPosition, i + v);
+        existing.dispose();
+        return repaired;
+    }
 
-                        const positionHash = hashFromVector(_position[v]);
-                        const neighbors = existingNeighbors[positionHash];
-                        const opposites = flatOpposites[positionHash];
+}
 
-                        ///// Adjust Source Vertex
-                        if (neighbors) {
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Loop
+/////////////////////////////////////////////////////////////////////////////////////
 
-                            // Check Edges have even Opposite Points
-                            if (params.preserveEdges) {
-                                const edgeSet = existingEdges[positionHash];
-                                let hasPair = true;
-                                for (const edgeHash of edgeSet) {
-                                    if (flatOpposites[edgeHash].length % 2 !== 0) hasPair = false;
-                                }
-                                if (! hasPair) continue;
-                            }
+/** Fills in default values of modify() parameters */
+function modifyParams(params) {
+    if (params.split === undefined) params.split = true;
+    if (params.uvSmooth === undefined) params.uvSmooth = false;
+    if (! UV_BOUNDARY_RULES.includes(params.uvBoundary)) params.uvBoundary = 'corners-only';
+    if (params.preserveEdges === undefined) params.preserveEdges = false;
+    if (params.flatOnly === undefined) params.flatOnly = false;
+    if (params.maxTriangles === undefined) params.maxTriangles = Infinity;
+    if (params.weight === undefined) params.weight = 1;
+    if (isNaN(params.weight) || !isFinite(params.weight)) params.weight = 1;
+    params.weight = Math.max(0, (Math.min(1, params.weight)));
+    if (params.indexed === undefined) params.indexed = false;
+    if (params.boundary === undefined) params.boundary = 'smooth';
+    if (params.limit === undefined) params.limit = false;
+    if (params.repair === undefined) params.repair = false;
+    if (params.provenance === undefined) params.provenance = false;
+    params.adaptive = adaptiveParams(params.adaptive);
+    verifyPolicies(params);
+    verifyTolerance(params);
+    normalParams(params);
+}
 
-                            // Number of Neighbors
-                            const k = Object.keys(neighbors).length;
+/**
+ * Applies one iteration of Loop subdivision (1 triangle split into 4 triangles) to geometry, returns new indexed
+ * geometry. Vertices of the existing geometry keep their index, new edge points are added once for each unique pair
+ * of vertices (so vertices split by uv / normal seams stay split). If 'topology' is undefined, no smoothing is applied.
+ */
+function subdivideGeometry(existing, topology, params) {
+    const loop = new THREE.BufferGeometry();
+    holdGeometry(params, loop);
+
+    ///// Attributes
+    const attributeList = gatherAttributes(existing);
+    const vertexCount = existing.attributes.position.count;
+    const corners = geometryCorners(existing);
+    const subdivision = subdivideCorners(corners, vertexCount);
+
+    ///// Loop Weights
+    let weights, cornerVertex, wedgeVertex;
+    if (topology) {
+        weights = vertexWeights(topology, params);
+        cornerVertex = topology.cornerVertex;
+        wedgeVertex = new Int32Array(vertexCount).fill(-1);
+        for (let c = 0; c < corners.length; c++) wedgeVertex[corners[c]] = cornerVertex[c];
+    }
+    const creases = (topology) ? creaseMasks(topology, params) : undefined;
+    const loopData = { geometry: existing, topology, corners, subdivision, weights, wedgeVertex, creases, faceVarying: {} };
+
+    ///// Build Geometry, Set Attributes
+    const skinned = isSkinned(existing);
+    const stage = (topology) ? 'smooth' : 'flat';
+    attributeList.forEach((attributeName, a) => {
+        const attribute = existing.getAttribute(attributeName);
+        if (attribute === undefined) return;
+        if (skinned && (attributeName === 'skinIndex' || attributeName === 'skinWeight')) return;
+        if (isDropped(attributeName, attribute, params)) return;
+        reportProgress(params, stage, a / attributeList.length);
+
+        const floatArray = subdivideAttribute(attributeName, attribute, loopData, params);
+        loop.setAttribute(attributeName, new THREE.BufferAttribute(floatArray, attribute.itemSize, attribute.normalized));
+    });
+
+    ///// Skinning
+    if (skinned) {
+        const skin = subdivideSkin(existing.getAttribute('skinIndex'), existing.getAttribute('skinWeight'), (attribute) => {
+            return subdivideAttribute('skinWeight', attribute, loopData, params);
+        });
+        loop.setAttribute('skinIndex', skin.skinIndex);
+        loop.setAttribute('skinWeight', skin.skinWeight);
+    }
 
-                            ///// Loop's Formula
-                            const beta = 1 / k * ((5/8) - Math.pow((3/8) + (1/4) * Math.cos(2 * Math.PI / k), 2));
+    ///// Morph Attributes
+    subdivideMorphTargets(existing, loop, (attribute, attributeName) => {
+        return subdivideAttribute(attributeName, attribute, loopData, params);
+    }, params);
 
-                            ///// Warren's Formula
-                            // const beta = (k > 3) ? 3 / (8 * k) : ((k === 3) ? 3 / 16 : 0);
+    ///// Index
+    const indexArray = (subdivision.count > 65535) ? new Uint32Array(subdivision.corners) : new Uint16Array(subdivision.corners);
+    loop.setIndex(new THREE.BufferAttribute(indexArray, 1));
+    reportProgress(params, stage, 1);
 
-                            ///// Stevinz' Formula
-                            // const beta = 0.5 / k;
+    releaseGeometry(params, loop);
+    return loop;
+}
 
-                            ///// Corners
-                            const heavy = (1 / k) / k;
+/** Calculates Loop neighbor weight of each welded vertex, a weight of -1 marks vertices left in place */
+function vertexWeights(topology, params) {
+    const { vertexCount, neighborStart } = topology;
+    const weights = new Float64Array(vertexCount);
 
-                            ///// Interpolate Beta -> Heavy
-                            const weight = lerp(heavy, beta, params.weight);
+    for (let v = 0; v < vertexCount; v++) {
 
-                            ///// Average with Neighbors
-                            const startWeight = 1.0 - (weight * k);
-                            _vertex[v].multiplyScalar(startWeight);
+        // Number of Neighbors
+        const k = neighborStart[v + 1] - neighborStart[v];
 
-                            for (let neighborHash in neighbors) {
-                                const neighborIndices = neighbors[neighborHash];
+        ///// Loop's Formula
+        const beta = 1 / k * ((5/8) - Math.pow((3/8) + (1/4) * Math.cos(2 * Math.PI / k), 2));
 
-                                _average.set(0, 0, 0);
-                                for (let j = 0; j < neighborIndices.length; j++) {
-                                    _average.add(_temp.fromBufferAttribute(existingAttribute, neighborIndices[j]));
-                                }
-                                _average.divideScalar(neighborIndices.length);
+        ///// Warren's Formula
+        // const beta = (k > 3) ? 3 / (8 * k) : ((k === 3) ? 3 / 16 : 0);
 
-                                _average.multiplyScalar(weight);
-                                _vertex[v].add(_average);
-                            }
+        ///// Stevinz' Formula
+        // const beta = 0.5 / k;
 
-                        ///// Newly Added Edge Vertex
-                        } else if (opposites && opposites.length === 2) {
-                            const k = opposites.length;
-                            const beta = 0.125; /* 1/8 */
-                            const startWeight = 1.0 - (beta * k);
-                            _vertex[v].multiplyScalar(startWeight);
-
-                            opposites.forEach(oppositeIndex => {
-                                _average.fromBufferAttribute(existingAttribute, oppositeIndex);
-                                _average.multiplyScalar(beta);
-                                _vertex[v].add(_average);
-                            });
-                        }
-                    }
-                }
+        ///// Corners
+        const heavy = (1 / k) / k;
 
-                // Add New Triangle Position
-                setTriangle(floatArray, index, flattenedAttribute.itemSize, _vertex[0], _vertex[1], _vertex[2]);
-                index += (flattenedAttribute.itemSize * 3);
-            }
+        ///// Interpolate Beta -> Heavy
+        weights[v] = lerp(heavy, beta, params.weight);
+    }
 
-            return floatArray;
+    // Check Edges have even Opposite Points
+    if (params.preserveEdges) {
+        const { cornerVertex, triangleEdges, edgeOppositeStart } = topology;
+        for (let c = 0; c < cornerVertex.length; c++) {
+            const edge = triangleEdges[c];
+            if ((edgeOppositeStart[edge + 1] - edgeOppositeStart[edge]) % 2 === 0) continue;
+            const next = (c - (c % 3)) + ((c + 1) % 3);
+            weights[cornerVertex[c]] = -1;
+            weights[cornerVertex[next]] = -1;
         }
-
     }
 
+    return weights;
 }
 
-/////////////////////////////////////////////////////////////////////////////////////
-/////   Local Functions, Hash
-/////////////////////////////////////////////////////////////////////////////////////
-
-const _positionShift = Math.pow(10, POSITION_DECIMALS);
+/** Loop subdivides one attribute, returns array of existing vertices followed by new edge points */
+function subdivideAttribute(attributeName, attribute, loopData, params) {
+    let { topology, weights, wedgeVertex, creases } = loopData;
+    const { corners, subdivision } = loopData;
 
-/** Compares two numbers to see if they're almost the same */
-function fuzzy(a, b, tolerance = 0.00001) {
-    return ((a < (b + tolerance)) && (a > (b - tolerance)));
-}
+    const step = attribute.itemSize;
+    const values = readAttribute(attribute);
+    const existingCount = subdivision.count - (subdivision.midpoints.length / 3);
+    const floatArray = new Float64Array(subdivision.count * step);
 
-/** Generates hash strong from Number */
-function hashFromNumber(num, shift = _positionShift) {
-    let roundedNumber = round(num * shift);
-    if (roundedNumber == 0) roundedNumber = 0; /* prevent -0 (signed 0 can effect Math.atan2(), etc.) */
-    return `${roundedNumber}`;
-}
+    let mode = attributeMode(attributeName, attribute, params);
+    if (! topology && mode !== 'nearest') mode = 'linear';
 
-/** Generates hash strong from Vector3 */
-function hashFromVector(vector, shift = _positionShift) {
-    return `${hashFromNumber(vector.x, shift)},${hashFromNumber(vector.y, shift)},${hashFromNumber(vector.z, shift)}`;
-}
+    ///// Face-Varying (smoothed separately on each side of attribute seams)
+    if (mode === 'face-varying' && params.uvBoundary === 'all') mode = 'linear';
+    if (mode === 'face-varying') {
+        ({ topology, weights, wedgeVertex, creases } = faceVaryingData(loopData, attributeName, params));
+        mode = 'loop';
+    }
 
-function lerp(x, y, t) {
-    return (1 - t) * x + t * y;
-}
+    ///// Vertex / Edge Contributions
+    let vertexSum, edgeSum;
+    if (mode === 'average') {
+        const { vertexCount, vertexCornerStart, vertexCorners, edgeCount, edgeOppositeStart, edgeOpposites } = topology;
+        vertexSum = new Float64Array(vertexCount * step);
+        edgeSum = new Float64Array(edgeCount * step);
+
+        // Average of all Corners at Vertex
+        for (let v = 0; v < vertexCount; v++) {
+            const k = vertexCornerStart[v + 1] - vertexCornerStart[v];
+            for (let j = vertexCornerStart[v]; j < vertexCornerStart[v + 1]; j++) {
+                addScaled(vertexSum, v * step, values, corners[vertexCorners[j]] * step, step, 0.75 / k);
+            }
+        }
 
-function round(x) {
-    return (x + ((x > 0) ? 0.5 : -0.5)) << 0;
-}
+        // Average of all Edge Midpoints
+        for (let e = 0; e < edgeCount; e++) {
+            const k = edgeOppositeStart[e + 1] - edgeOppositeStart[e];
+            for (let j = edgeOppositeStart[e]; j < edgeOppositeStart[e + 1]; j++) {
+                const opposite = edgeOpposites[j];
+                const first = opposite - (opposite % 3);
+                const a = corners[first + ((opposite + 1) % 3)];
+                const b = corners[first + ((opposite + 2) % 3)];
+                addScaled(edgeSum, e * step, values, a * step, step, 0.375 / k);
+                addScaled(edgeSum, e * step, values, b * step, step, 0.375 / k);
+            }
+        }
 
-/////////////////////////////////////////////////////////////////////////////////////
-/////   Local Functions, Geometry
-/////////////////////////////////////////////////////////////////////////////////////
+    } else if (mode === 'loop') {
+        const { vertexCount, neighborStart, neighborCornerStart, neighborCorners, edgeCount, edgeOppositeStart, edgeOpposites } = topology;
+        vertexSum = new Float64Array(vertexCount * step);
+        edgeSum = new Float64Array(edgeCount * step);
+
+        // Average with Neighbors
+        for (let v = 0; v < vertexCount; v++) {
+            const weight = weights[v];
+            if (weight < 0) continue;
+            for (let n = neighborStart[v]; n < neighborStart[v + 1]; n++) {
+                const count = neighborCornerStart[n + 1] - neighborCornerStart[n];
+                for (let j = neighborCornerStart[n]; j < neighborCornerStart[n + 1]; j++) {
+                    addScaled(vertexSum, v * step, values, corners[neighborCorners[j]] * step, step, weight / count);
+                }
+            }
+        }
+
+        // Opposite Points of Shared Edges
+        for (let e = 0; e < edgeCount; e++) {
+            if (edgeOppositeStart[e + 1] - edgeOppositeStart[e] !== 2) continue;
+            for (let j = edgeOppositeStart[e]; j < edgeOppositeStart[e + 1]; j++) {
+                addScaled(edgeSum, e * step, values, corners[edgeOpposites[j]] * step, step, 0.125);
+            }
+        }
+    }
+
+    ///// Existing Vertices
+    for (let w = 0; w < existingCount; w++) {
+        if ((w % PROGRESS_INTERVAL) === 0) checkAbort(params);
+        const vertex = (mode === 'linear' || mode === 'nearest') ? -1 : wedgeVertex[w];
+        let startWeight = 1.0;
+        if (mode === 'average') {
+            startWeight = 0.25;
+        } else if (vertex >= 0 && weights[vertex] >= 0) {
+            const k = topology.neighborStart[vertex + 1] - topology.neighborStart[vertex];
+            startWeight = 1.0 - (weights[vertex] * k);
+        }
+        for (let i = 0; i < step; i++) {
+            floatArray[(w * step) + i] = values[(w * step) + i] * startWeight;
+            if (vertex >= 0) floatArray[(w * step) + i] += vertexSum[(vertex * step) + i];
+        }
+
+        // Crease (and Corner) Rules
+        if (mode === 'loop' && creases && vertex >= 0 && weights[vertex] >= 0 && creases.vertexBlend[vertex] > 0) {
+            const blend = creases.vertexBlend[vertex];
+            const slot0 = creases.vertexSlots[(vertex * 2) + 0];
+            const slot1 = creases.vertexSlots[(vertex * 2) + 1];
+            for (let i = 0; i < step; i++) {
+                const own = values[(w * step) + i];
+                let sharp = own;
+                if (slot1 >= 0) {
+                    sharp = (own * 0.75) + (slotAverage(topology, corners, values, step, slot0, i) * 0.125)
+                                         + (slotAverage(topology, corners, values, step, slot1, i) * 0.125);
+                }
+                floatArray[(w * step) + i] = lerp(floatArray[(w * step) + i], sharp, blend);
+            }
+        }
+
+        // Mask
+        if (vertex >= 0 && topology.vertexMask && topology.vertexMask[vertex] < 1) {
+            for (let i = 0; i < step; i++) {
+                floatArray[(w * step) + i] = lerp(values[(w * step) + i], floatArray[(w * step) + i], topology.vertexMask[vertex]);
+            }
+        }
+    }
+
+    ///// New Edge Points
+    const { midpoints } = subdivision;
+    for (let m = 0; m < midpoints.length / 3; m++) {
+        if ((m % PROGRESS_INTERVAL) === 0) checkAbort(params);
+        const a = midpoints[(m * 3) + 0] * step;
+        const b = midpoints[(m * 3) + 1] * step;
+        const edge = (mode === 'linear' || mode === 'nearest') ? -1 : topology.triangleEdges[midpoints[(m * 3) + 2]];
+        let startWeight = 1.0;
+        if (mode === 'average') {
+            startWeight = 0.25;
+        } else if (edge >= 0 && (topology.edgeOppositeStart[edge + 1] - topology.edgeOppositeStart[edge]) === 2) {
+            startWeight = 0.75;
+        }
+        const index = (existingCount + m) * step;
+        if (mode === 'nearest') {
+            const nearest = (compareValues(values, a, b, step) <= 0) ? a : b;
+            for (let i = 0; i < step; i++) floatArray[index + i] = values[nearest + i];
+            continue;
+        }
+        const sharpness = (mode === 'loop' && creases) ? creases.edgeBlend[edge] : 0;
+        for (let i = 0; i < step; i++) {
+            const midpoint = (values[a + i] + values[b + i]) / 2.0;
+            floatArray[index + i] = midpoint * startWeight;
+            if (edge >= 0) floatArray[index + i] += edgeSum[(edge * step) + i];
+            if (sharpness > 0) floatArray[index + i] = lerp(floatArray[index + i], midpoint, sharpness);
+            if (edge >= 0 && topology.edgeMask) floatArray[index + i] = lerp(midpoint, floatArray[index + i], topology.edgeMask[edge]);
+        }
+    }
+
+    if (attributeName === 'tangent' && step === 4) tangentSigns(floatArray);
+    return typedValues(floatArray, attribute.array.constructor);
+}
+
+/**
+ * Subdivision mode of attribute, 'loop' (smoothed with Loop weights), 'average' (normals, tangents), 'linear'
+ * (interpolated), 'face-varying' (smoothed within attribute seams), 'nearest' (copied from an existing vertex, used
+ * for integer attributes that aren't normalized), 'drop' or 'recompute'. Policies in 'params.attributes' come first.
+ */
+function attributeMode(attributeName, attribute, params) {
+    if (attributeName === PROVENANCE_TRIANGLE) return 'nearest';
+    if (attributeName === PROVENANCE_BARYCENTRIC) return 'linear';
+    if (attributeName === 'normal' && (params.normals === 'recompute' || params.normals === 'limit')) return 'recompute';
+    if (attributeName === 'tangent' && params.tangents === true) return 'recompute';
+    const policy = (params.attributes) ? params.attributes[attributeName] : undefined;
+    if (policy === 'smooth') return 'loop';
+    if (policy === 'flat') return 'nearest';
+    if (policy === 'recompute' && attributeName !== 'normal' && attributeName !== 'tangent') return 'drop';
+    if (ATTRIBUTE_POLICIES.includes(policy)) return policy;
+    if (attribute === undefined) return undefined;
+
+    const array = (attribute.isInterleavedBufferAttribute === true) ? attribute.data.array : attribute.array;
+    const integer = ! (array instanceof Float32Array || array instanceof Float64Array);
+    if (integer && ! attribute.normalized) return 'nearest';
+    if (attributeName === 'uv') return (params.uvSmooth) ? 'face-varying' : 'linear';
+    if (attributeName === params.creases || attributeName === params.mask) return 'linear';
+    if (attributeName === 'normal' || attributeName === 'tangent') return 'average';
+    return 'loop';
+}
+
+/** Checks if attribute is left out of subdivided geometry ('drop' and 'recompute' policies) */
+function isDropped(attributeName, attribute, params) {
+    const mode = attributeMode(attributeName, attribute, params);
+    return (mode === 'drop' || mode === 'recompute');
+}
+
+/** Warns about unknown attribute policies in 'params.attributes' */
+function verifyPolicies(params, source = 'LoopSubdivision') {
+    if (typeof params.attributes !== 'object' || params.attributes === null) {
+        params.attributes = {};
+        return;
+    }
+    for (const attributeName in params.attributes) {
+        const policy = params.attributes[attributeName];
+        if (! ATTRIBUTE_POLICIES.includes(policy)) {
+            console.warn(`${source}: Unknown policy '${policy}' for attribute '${attributeName}'`);
+        } else if (policy === 'recompute' && attributeName !== 'normal' && attributeName !== 'tangent') {
+            console.warn(`${source}: Only 'normal' and 'tangent' can be recomputed, attribute '${attributeName}' will be dropped`);
+        }
+    }
+}
+
+/** Warns about an invalid 'tolerance' parameter, which is then removed (positions are rounded to POSITION_DECIMALS) */
+function verifyTolerance(params, source = 'LoopSubdivision') {
+    const tolerance = params.tolerance;
+    if (tolerance === undefined) return;
+    const relative = (typeof tolerance === 'object' && tolerance !== null) ? tolerance.relative : undefined;
+    if ((typeof tolerance === 'number') ? tolerance > 0 : relative > 0) return;
+    console.warn(`${source}: Tolerance should be a positive distance or { relative }, positions will be rounded instead`);
+    params.tolerance = undefined;
+}
+
+/** Sets 'normals' and 'tangents' parameters, a 'recompute' policy for 'normal' or 'tangent' turns them on */
+function normalParams(params) {
+    const policies = params.attributes || {};
+    if (params.normals === undefined && policies.normal === 'recompute') params.normals = 'recompute';
+    if (params.tangents === undefined && policies.tangent === 'recompute') params.tangents = true;
+    if (! NORMAL_MODES.includes(params.normals)) params.normals = 'interpolate';
+    params.tangents = (params.tangents === true);
+}
+
+/**
+ * Builds topology of attribute values (face-varying), vertices are split where the attribute has different values on
+ * either side of an edge (seams), so seams become boundaries. Crease sharpness and masks are copied from positions.
+ *
+ * @returns {Object} { topology, weights, wedgeVertex, creases } used in place of the position topology
+ */
+function faceVaryingData(loopData, attributeName, params) {
+    if (loopData.faceVarying[attributeName]) return loopData.faceVarying[attributeName];
+    const { geometry, topology, corners } = loopData;
+    const attribute = geometry.getAttribute(attributeName);
+    const step = attribute.itemSize;
+    const values = readAttribute(attribute);
+
+    ///// Split Welded Vertices by Attribute Value
+    const table = createTupleTable(corners.length);
+    const cornerVertex = new Int32Array(corners.length);
+    for (let c = 0; c < corners.length; c++) {
+        let hashA = 0, hashB = 1;
+        for (let i = 0; i < step; i++) {
+            const hash = hashNumber(values[(corners[c] * step) + i]);
+            hashA = Math.imul(hashA ^ hash, 16777619);
+            hashB = Math.imul(hashB + hash, 2654435761) ^ (hashB >>> 15);
+        }
+        cornerVertex[c] = tupleIndex(table, topology.cornerVertex[c], hashA, hashB);
+    }
+    const faceTopology = buildTopology(cornerVertex, table.count);
+    const positionVertex = new Int32Array(table.count);
+    for (let c = 0; c < corners.length; c++) positionVertex[cornerVertex[c]] = topology.cornerVertex[c];
+
+    ///// Creases, Masks
+    const { edgeCount, edgeVertices } = faceTopology;
+    const positionEdge = new Int32Array(edgeCount);
+    for (let e = 0; e < edgeCount; e++) {
+        const a = positionVertex[edgeVertices[(e * 2) + 0]];
+        const b = positionVertex[edgeVertices[(e * 2) + 1]];
+        positionEdge[e] = tupleFind(topology.edgeTable, Math.min(a, b), Math.max(a, b));
+    }
+    if (topology.edgeSharpness) faceTopology.edgeSharpness = Float64Array.from(positionEdge, (e) => topology.edgeSharpness[e]);
+    if (topology.edgeMask) faceTopology.edgeMask = Float64Array.from(positionEdge, (e) => topology.edgeMask[e]);
+    if (topology.vertexMask) faceTopology.vertexMask = Float64Array.from(positionVertex, (v) => topology.vertexMask[v]);
+    if (topology.vertexCorner) faceTopology.vertexCorner = Uint8Array.from(positionVertex, (v) => topology.vertexCorner[v]);
+
+    ///// Loop Data
+    const wedgeVertex = new Int32Array(geometry.attributes.position.count).fill(-1);
+    for (let c = 0; c < corners.length; c++) wedgeVertex[corners[c]] = cornerVertex[c];
+    const seamParams = Object.assign({}, params, { boundary: 'smooth' });
+    const weights = vertexWeights(faceTopology, seamParams);
+    const faceVarying = {
+        topology: faceTopology,
+        weights,
+        wedgeVertex,
+        creases: creaseMasks(faceTopology, seamParams),
+    };
+
+    ///// Seam Rules (vertices left in place)
+    const pinned = seamVertices(faceTopology, positionVertex, topology.vertexCount, 3, params.uvBoundary);
+    for (let v = 0; v < faceTopology.vertexCount; v++) {
+        if (pinned[v]) weights[v] = -1;
+    }
+    loopData.faceVarying[attributeName] = faceVarying;
+    return faceVarying;
+}
+
+/**
+ * Finds face-varying vertices left in place by seam rule ('uvBoundary'), similar to OpenSubdiv's face-varying linear
+ * interpolation. Island corners are seam vertices used by fewer faces than a regular boundary vertex ('regularFaces').
+ *
+ * @param {Object} topology - Face-varying topology, vertices split by seams
+ * @param {Int32Array} positionVertex - Welded position vertex of each face-varying vertex
+ * @param {Number} positionCount - Total number of welded position vertices
+ * @param {Number} regularFaces - Faces used by a boundary vertex that isn't a corner (3 triangles, or 2 quads)
+ * @param {String} rule - 'none', 'corners-only', 'corners-plus1' (also junctions of 3 or more islands) or 'boundaries'
+ * @returns {Uint8Array} 1 for each vertex left in place
+ */
+function seamVertices(topology, positionVertex, positionCount, regularFaces, rule = 'corners-only') {
+    const { vertexCount, vertexCornerStart, edgeCount, edgeVertices, edgeOppositeStart } = topology;
+    const pinned = new Uint8Array(vertexCount);
+    if (rule === 'none' || rule === 'all') return pinned;
+
+    ///// Seam (Boundary) Vertices
+    const seam = new Uint8Array(vertexCount);
+    for (let e = 0; e < edgeCount; e++) {
+        if (edgeOppositeStart[e + 1] - edgeOppositeStart[e] !== 1) continue;
+        seam[edgeVertices[(e * 2) + 0]] = 1;
+        seam[edgeVertices[(e * 2) + 1]] = 1;
+    }
+
+    ///// Islands Meeting at each Position
+    const islands = new Int32Array(positionCount);
+    for (let v = 0; v < vertexCount; v++) islands[positionVertex[v]]++;
+
+    for (let v = 0; v < vertexCount; v++) {
+        if (! seam[v]) continue;
+        const faceCount = vertexCornerStart[v + 1] - vertexCornerStart[v];
+        if (rule === 'boundaries') pinned[v] = 1;
+        if (faceCount < regularFaces) pinned[v] = 1;
+        if (rule === 'corners-plus1' && islands[positionVertex[v]] > 2) pinned[v] = 1;
+    }
+    return pinned;
+}
+
+/** Average value (component 'i') of the corners found at a vertex neighbor slot */
+function slotAverage(topology, corners, values, step, slot, i) {
+    const { neighborCornerStart, neighborCorners } = topology;
+    let sum = 0;
+    for (let j = neighborCornerStart[slot]; j < neighborCornerStart[slot + 1]; j++) {
+        sum += values[(corners[neighborCorners[j]] * step) + i];
+    }
+    return sum / (neighborCornerStart[slot + 1] - neighborCornerStart[slot]);
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Adaptive
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Applies one iteration of adaptive Loop subdivision, only triangles with edges marked by 'markEdges()' are split.
+ * With a mask ('selection'), only edges of selected triangles are marked, and the surface outside the selection is
+ * left in place (see 'applySelection()').
+ * Red-green closure keeps the mesh free of cracks (t-junctions): triangles with two or more marked edges are split
+ * into 4 triangles (red), triangles with one marked edge are split from the edge midpoint to the opposite vertex
+ * (green, same as 'edgeSplit()'). Green triangles are not merged back before being refined again.
+ *
+ * @returns {Object} { geometry, topology, selection } of next level, or undefined if no edges needed refining
+ */
+function adaptiveSubdivide(existing, topology, params, selection) {
+    const { vertexCount, triangleCount, cornerVertex, triangleEdges, edgeCount, edgeOppositeStart, edgeOpposites } = topology;
+
+    ///// Mask
+    if (typeof params.mask === 'string') selection = attributeSelection(existing, params.mask);
+    if (selection) applySelection(topology, existing, selection, params);
+
+    ///// Smooth Every Edge (unused edge points are removed below)
+    const loop = subdivideGeometry(existing, (params.flatOnly) ? undefined : topology, params);
+    const loopCorners = loop.index.array;
+    holdGeometry(params, loop);
+
+    ///// Mark Edges
+    const split = markEdges(existing, loop, topology, params, selection);
+
+    ///// Red-Green Closure
+    const stack = [];
+    for (let t = triangleCount - 1; t >= 0; t--) stack.push(t);
+    while (stack.length > 0) {
+        const t = stack.pop();
+        let marked = 0;
+        for (let j = 0; j < 3; j++) marked += split[triangleEdges[(t * 3) + j]];
+        if (marked !== 2) continue;
+        for (let j = 0; j < 3; j++) {
+            const edge = triangleEdges[(t * 3) + j];
+            if (split[edge]) continue;
+            split[edge] = 1;
+            for (let k = edgeOppositeStart[edge]; k < edgeOppositeStart[edge + 1]; k++) {
+                stack.push(Math.floor(edgeOpposites[k] / 3));
+            }
+        }
+    }
+    if (split.indexOf(1) === -1) {
+        releaseGeometry(params, loop);
+        loop.dispose();
+        return undefined;
+    }
+
+    ///// New Triangles (vertices are loop vertices, welded vertices are existing vertices, then edge midpoints)
+    const wedgeList = [];
+    const vertexList = [];
+    const triangleStart = new Int32Array(triangleCount + 1);
+    const points = new Int32Array(6);
+    const welded = new Int32Array(6);
+    function addTriangle(a, b, c) {
+        wedgeList.push(points[a], points[b], points[c]);
+        vertexList.push(welded[a], welded[b], welded[c]);
+    }
+    for (let t = 0; t < triangleCount; t++) {
+        if ((t % PROGRESS_INTERVAL) === 0) checkAbort(params);
+        const corner = t * 3;
+        const index = t * 12;
+        let marked = 0, edgeIndex = 0;
+        for (let j = 0; j < 3; j++) {
+            points[j] = loopCorners[index + (j * 3)];
+            points[j + 3] = loopCorners[index + 1 + (j * 3)];
+            welded[j] = cornerVertex[corner + j];
+            welded[j + 3] = vertexCount + triangleEdges[corner + j];
+            if (split[triangleEdges[corner + j]]) { marked++; edgeIndex = j; }
+        }
+
+        // Red (0, 1, 2 are vertices, 3: 0to1, 4: 1to2, 5: 2to0, matches order of 'subdivideCorners()')
+        if (marked === 3) {
+            addTriangle(0, 3, 5); addTriangle(1, 4, 3); addTriangle(2, 5, 4); addTriangle(3, 4, 5);
+
+        // Green
+        } else if (marked === 1) {
+            const next = (edgeIndex + 1) % 3;
+            const opposite = (edgeIndex + 2) % 3;
+            addTriangle(edgeIndex, edgeIndex + 3, opposite);
+            addTriangle(edgeIndex + 3, next, opposite);
+
+        // Unchanged
+        } else {
+            addTriangle(0, 1, 2);
+        }
+        triangleStart[t + 1] = wedgeList.length / 3;
+    }
+
+    ///// Remove Unused Vertices
+    const wedgeRemap = new Int32Array(loop.attributes.position.count).fill(-1);
+    const vertexRemap = new Int32Array(vertexCount + edgeCount).fill(-1);
+    const usedWedges = [];
+    const usedVertices = [];
+    const nextCorners = new Int32Array(wedgeList.length);
+    const nextCornerVertex = new Int32Array(vertexList.length);
+    for (let c = 0; c < wedgeList.length; c++) {
+        if (wedgeRemap[wedgeList[c]] === -1) {
+            wedgeRemap[wedgeList[c]] = usedWedges.length;
+            usedWedges.push(wedgeList[c]);
+        }
+        if (vertexRemap[vertexList[c]] === -1) {
+            vertexRemap[vertexList[c]] = usedVertices.length;
+            usedVertices.push(vertexList[c]);
+        }
+        nextCorners[c] = wedgeRemap[wedgeList[c]];
+        nextCornerVertex[c] = vertexRemap[vertexList[c]];
+    }
+
+    ///// Build Geometry
+    const refined = new THREE.BufferGeometry();
+    for (const attributeName in loop.attributes) {
+        refined.setAttribute(attributeName, selectAttribute(loop.attributes[attributeName], usedWedges));
+    }
+    for (const attributeName in loop.morphAttributes) {
+        refined.morphAttributes[attributeName] = loop.morphAttributes[attributeName].map((attribute) => {
+            return selectAttribute(attribute, usedWedges);
+        });
+    }
+    refined.morphTargetsRelative = loop.morphTargetsRelative;
+    const indexArray = (usedWedges.length > 65535) ? new Uint32Array(nextCorners) : new Uint16Array(nextCorners);
+    refined.setIndex(new THREE.BufferAttribute(indexArray, 1));
+    existing.groups.forEach((group) => {
+        const first = triangleStart[Math.min(triangleCount, Math.floor(group.start / 3))];
+        const last = triangleStart[Math.min(triangleCount, Math.floor((group.start + group.count) / 3))];
+        refined.addGroup(first * 3, (last - first) * 3, group.materialIndex);
+    });
+    releaseGeometry(params, loop);
+    loop.dispose();
+
+    ///// Next Selection (new triangles inherit selection of their source triangle)
+    let nextSelection = undefined;
+    if (selection) {
+        nextSelection = new Uint8Array(wedgeList.length / 3);
+        for (let t = 0; t < triangleCount; t++) {
+            if (selection[t]) nextSelection.fill(1, triangleStart[t], triangleStart[t + 1]);
+        }
+    }
+
+    ///// Next Topology
+    const nextTopology = buildTopology(nextCornerVertex, usedVertices.length);
+
+    // Crease Sharpness (unsplit edges, and both halves of split edges, keep sharpness reduced by one)
+    if (topology.edgeSharpness) {
+        const { edgeVertices } = topology;
+        const edgeSharpness = new Float64Array(nextTopology.edgeCount);
+        let creased = false;
+        for (let e = 0; e < nextTopology.edgeCount; e++) {
+            const a = usedVertices[nextTopology.edgeVertices[(e * 2) + 0]];
+            const b = usedVertices[nextTopology.edgeVertices[(e * 2) + 1]];
+            let parentEdge = -1;
+            if (a < vertexCount && b < vertexCount) {
+                parentEdge = tupleFind(topology.edgeTable, Math.min(a, b), Math.max(a, b));
+            } else if ((a < vertexCount) !== (b < vertexCount)) {
+                const midpointEdge = Math.max(a, b) - vertexCount;
+                const vertex = Math.min(a, b);
+                if (edgeVertices[midpointEdge * 2] === vertex || edgeVertices[(midpointEdge * 2) + 1] === vertex) {
+                    parentEdge = midpointEdge;
+                }
+            }
+            if (parentEdge < 0) continue;
+            edgeSharpness[e] = Math.max(0, topology.edgeSharpness[parentEdge] - 1);
+            if (edgeSharpness[e] > 0) creased = true;
+        }
+        if (creased) nextTopology.edgeSharpness = edgeSharpness;
+    }
+
+    // Boundary Corners
+    if (topology.vertexCorner) {
+        nextTopology.vertexCorner = Uint8Array.from(usedVertices, (v) => (v < vertexCount) ? topology.vertexCorner[v] : 0);
+    }
+
+    return { geometry: refined, topology: nextTopology, selection: nextSelection };
+}
+
+/** Fills in defaults of 'params.adaptive', returns false if adaptive subdivision is disabled */
+function adaptiveParams(adaptive) {
+    if (adaptive === true) adaptive = {};
+    if (! adaptive || typeof adaptive !== 'object') return false;
+    if (adaptive.angle === undefined && adaptive.edgeLength === undefined && ! adaptive.camera) adaptive.angle = 10;
+    if (adaptive.pixelTolerance === undefined) adaptive.pixelTolerance = 1;
+    if (adaptive.resolution === undefined) adaptive.resolution = new THREE.Vector2(1920, 1080);
+    return adaptive;
+}
+
+/**
+ * Marks edges needing refinement (see 'params.adaptive'). Edges are marked if the angle between adjacent face normals
+ * is greater than 'angle', if longer than 'edgeLength', or if the distance (in pixels, as seen by 'camera') between
+ * the edge midpoint and its smoothed Loop edge point is greater than 'pixelTolerance'. Without 'params.adaptive' every
+ * edge is marked. With a 'selection', only edges of selected triangles can be marked.
+ *
+ * @returns {Uint8Array} 1 for each edge to be split, otherwise 0
+ */
+function markEdges(existing, loop, topology, params, selection) {
+    const { edgeCount, triangleEdges, edgeOppositeStart, edgeOpposites } = topology;
+    const split = new Uint8Array(edgeCount);
+
+    ///// Selected Edges
+    if (selection) {
+        const selected = new Uint8Array(edgeCount);
+        for (let c = 0; c < triangleEdges.length; c++) {
+            if (selection[Math.floor(c / 3)]) selected[triangleEdges[c]] = 1;
+        }
+        if (params.adaptive) {
+            const adaptive = markEdges(existing, loop, topology, params);
+            for (let e = 0; e < edgeCount; e++) split[e] = selected[e] & adaptive[e];
+            return split;
+        }
+        return selected;
+    }
+    if (! params.adaptive) return split.fill(1);
+    const { angle, edgeLength, camera, pixelTolerance, resolution, matrixWorld } = params.adaptive;
+
+    ///// Normal Deviation (angle between adjacent faces)
+    if (angle !== undefined) {
+        const threshold = Math.cos(THREE.MathUtils.degToRad(angle));
+        const normals = faceNormals(existing);
+        for (let e = 0; e < edgeCount; e++) {
+            for (let j = edgeOppositeStart[e]; j < edgeOppositeStart[e + 1] && ! split[e]; j++) {
+                const a = Math.floor(edgeOpposites[j] / 3) * 3;
+                for (let k = j + 1; k < edgeOppositeStart[e + 1]; k++) {
+                    const b = Math.floor(edgeOpposites[k] / 3) * 3;
+                    const dot = (normals[a] * normals[b]) + (normals[a + 1] * normals[b + 1]) + (normals[a + 2] * normals[b + 2]);
+                    if (dot < threshold) split[e] = 1;
+                }
+            }
+        }
+    }
+
+    ///// Edge Length, Screen Space Error
+    if (edgeLength !== undefined || camera) {
+        const corners = geometryCorners(existing);
+        const loopCorners = loop.index.array;
+        const positionAttribute = existing.getAttribute('position');
+        const loopPosition = loop.getAttribute('position');
+        for (let c = 0; c < corners.length; c++) {
+            const edge = triangleEdges[c];
+            if (split[edge]) continue;
+            const local = c % 3;
+            _vector0.fromBufferAttribute(positionAttribute, corners[c]);
+            _vector1.fromBufferAttribute(positionAttribute, corners[c - local + ((local + 1) % 3)]);
+            if (edgeLength !== undefined && _vector0.distanceTo(_vector1) > edgeLength) {
+                split[edge] = 1;
+            } else if (camera) {
+                _midpoint.copy(_vector0).add(_vector1).divideScalar(2.0);
+                _center.fromBufferAttribute(loopPosition, loopCorners[((c - local) * 4) + 1 + (local * 3)]);
+                if (matrixWorld) {
+                    _midpoint.applyMatrix4(matrixWorld);
+                    _center.applyMatrix4(matrixWorld);
+                }
+                _midpoint.project(camera);
+                _center.project(camera);
+                const x = (_midpoint.x - _center.x) * resolution.x / 2;
+                const y = (_midpoint.y - _center.y) * resolution.y / 2;
+                if (Math.sqrt((x * x) + (y * y)) > pixelTolerance) split[edge] = 1;
+            }
+        }
+    }
+
+    return split;
+}
+
+/** Reads 'params.mask' as selected triangles (per triangle booleans, or triangles of groups with material index) */
+function gatherSelection(geometry, params) {
+    const mask = params.mask;
+    const triangles = triangleCount(geometry);
+    if (Array.isArray(mask) || ArrayBuffer.isView(mask)) {
+        return Uint8Array.from({ length: triangles }, (value, t) => (mask[t]) ? 1 : 0);
+    } else if (typeof mask === 'number') {
+        const selection = new Uint8Array(triangles);
+        geometry.groups.forEach((group) => {
+            if (group.materialIndex !== mask) return;
+            const first = Math.floor(group.start / 3);
+            const last = Math.min(triangles, Math.floor((group.start + group.count) / 3));
+            selection.fill(1, first, last);
+        });
+        return selection;
+    } else if (typeof mask === 'string' && geometry.getAttribute(mask) === undefined) {
+        console.warn(`LoopSubdivision: Mask attribute '${mask}' not found`);
+    }
+    return undefined;
+}
+
+/** Selects triangles with any vertex weight (of mask attribute) greater than zero */
+function attributeSelection(geometry, attributeName) {
+    const attribute = geometry.getAttribute(attributeName);
+    if (attribute === undefined) return undefined;
+    const corners = geometryCorners(geometry);
+    const selection = new Uint8Array(corners.length / 3);
+    for (let c = 0; c < corners.length; c++) {
+        if (attribute.getX(corners[c]) > 0) selection[Math.floor(c / 3)] = 1;
+    }
+    return selection;
+}
+
+/**
+ * Calculates how much each vertex / edge point is smoothed when using a mask. Vertices and edges touching an unselected
+ * triangle are left in place (edge points stay at the edge midpoint), so the mesh outside of the mask is not changed.
+ * With a mask attribute, smoothing is scaled by vertex weight.
+ */
+function applySelection(topology, geometry, selection, params) {
+    const { vertexCount, edgeCount, cornerVertex, edgeVertices, edgeOppositeStart, edgeOpposites } = topology;
+    const weightAttribute = (typeof params.mask === 'string') ? geometry.getAttribute(params.mask) : undefined;
+    const corners = geometryCorners(geometry);
+    const vertexMask = new Float64Array(vertexCount).fill(1);
+    const edgeMask = new Float64Array(edgeCount).fill(1);
+
+    ///// Vertices
+    if (weightAttribute) {
+        vertexMask.fill(0);
+        for (let c = 0; c < corners.length; c++) {
+            const weight = Math.min(1, Math.max(0, weightAttribute.getX(corners[c])));
+            vertexMask[cornerVertex[c]] = Math.max(vertexMask[cornerVertex[c]], weight);
+        }
+    }
+    for (let c = 0; c < corners.length; c++) {
+        if (! selection[Math.floor(c / 3)]) vertexMask[cornerVertex[c]] = 0;
+    }
+
+    ///// Edges
+    for (let e = 0; e < edgeCount; e++) {
+        if (weightAttribute) {
+            edgeMask[e] = (vertexMask[edgeVertices[e * 2]] + vertexMask[edgeVertices[(e * 2) + 1]]) / 2;
+        }
+        for (let j = edgeOppositeStart[e]; j < edgeOppositeStart[e + 1]; j++) {
+            if (! selection[Math.floor(edgeOpposites[j] / 3)]) edgeMask[e] = 0;
+        }
+    }
+
+    topology.vertexMask = vertexMask;
+    topology.edgeMask = edgeMask;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Skinning
+/////////////////////////////////////////////////////////////////////////////////////
+
+/** Checks if geometry has bone influences (both 'skinIndex' and 'skinWeight' attributes) */
+function isSkinned(geometry) {
+    return (geometry.getAttribute('skinIndex') !== undefined && geometry.getAttribute('skinWeight') !== undefined);
+}
+
+/**
+ * Subdivides bone influences (skinIndex / skinWeight). Each bone used by the geometry is subdivided as a column of
+ * weights (so the influences of all contributing vertices are merged), then the largest (MAX_INFLUENCES) weights of
+ * each new vertex are kept and renormalized.
+ *
+ * @param {Object} skinIndex, skinWeight - Existing bone influence attributes
+ * @param {Function} subdivide - Subdivides one attribute, returns array of new values
+ * @param {Number} columns - Number of bones subdivided at a time (item size of attribute passed to 'subdivide')
+ * @returns {Object} { skinIndex, skinWeight } new attributes
+ */
+function subdivideSkin(skinIndex, skinWeight, subdivide, columns = MAX_INFLUENCES) {
+    const count = skinIndex.count;
+    const indexValues = readAttribute(skinIndex);
+    const weightValues = readAttribute(skinWeight);
+    const influences = Math.min(skinIndex.itemSize, skinWeight.itemSize, MAX_INFLUENCES);
+    const weightScale = normalizedScale(skinWeight);
+
+    ///// Bones in Use
+    const boneColumn = new Map();
+    const bones = [];
+    for (let i = 0; i < count; i++) {
+        for (let k = 0; k < influences; k++) {
+            const bone = indexValues[(i * skinIndex.itemSize) + k];
+            if (! (weightValues[(i * skinWeight.itemSize) + k] > 0) || boneColumn.has(bone)) continue;
+            boneColumn.set(bone, bones.length);
+            bones.push(bone);
+        }
+    }
+
+    ///// Subdivide Columns, Keep Largest Weights
+    let newCount = 0, topBone, topWeight;
+    for (let first = 0; first === 0 || first < bones.length; first += columns) {
+        const array = new Float32Array(count * columns);
+        for (let i = 0; i < count; i++) {
+            for (let k = 0; k < influences; k++) {
+                const weight = weightValues[(i * skinWeight.itemSize) + k];
+                const column = boneColumn.get(indexValues[(i * skinIndex.itemSize) + k]) - first;
+                if (weight > 0 && column >= 0 && column < columns) array[(i * columns) + column] += weight / weightScale;
+            }
+        }
+        const values = subdivide(new THREE.BufferAttribute(array, columns));
+        if (first === 0) {
+            newCount = values.length / columns;
+            topBone = new Float64Array(newCount * influences).fill(-1);
+            topWeight = new Float64Array(newCount * influences);
+        }
+        for (let v = 0; v < newCount; v++) {
+            for (let column = 0; column < columns && first + column < bones.length; column++) {
+                let weight = values[(v * columns) + column];
+                let bone = bones[first + column];
+                if (! (weight > topWeight[(v * influences) + influences - 1])) continue;
+
+                // Insert (sorted, largest first)
+                for (let k = 0; k < influences; k++) {
+                    const index = (v * influences) + k;
+                    if (weight <= topWeight[index]) continue;
+                    const swapWeight = topWeight[index], swapBone = topBone[index];
+                    topWeight[index] = weight; topBone[index] = bone;
+                    weight = swapWeight; bone = swapBone;
+                }
+            }
+        }
+    }
+
+    ///// Renormalize, Write Integer Indices
+    const newIndex = new skinIndex.array.constructor(newCount * skinIndex.itemSize);
+    const newWeight = new skinWeight.array.constructor(newCount * skinWeight.itemSize);
+    const integerWeight = ! (newWeight instanceof Float32Array || newWeight instanceof Float64Array);
+    for (let v = 0; v < newCount; v++) {
+        let sum = 0;
+        for (let k = 0; k < influences; k++) sum += topWeight[(v * influences) + k];
+        if (! (sum > 0)) continue;
+        for (let k = 0; k < influences; k++) {
+            const bone = topBone[(v * influences) + k];
+            if (bone < 0) continue;
+            const weight = (topWeight[(v * influences) + k] / sum) * weightScale;
+            newIndex[(v * skinIndex.itemSize) + k] = bone;
+            newWeight[(v * skinWeight.itemSize) + k] = (integerWeight) ? Math.round(weight) : weight;
+        }
+    }
+
+    return {
+        skinIndex: new THREE.BufferAttribute(newIndex, skinIndex.itemSize, skinIndex.normalized),
+        skinWeight: new THREE.BufferAttribute(newWeight, skinWeight.itemSize, skinWeight.normalized),
+    };
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Morph Targets
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Checks morph targets have one value per vertex, mismatched targets are replaced (with a warning) by targets that
+ * have no effect (zeros when relative, base values when absolute), so targets stay in line with 'morphTargetDictionary'
+ * and 'morphTargetInfluences'. Returns 'geometry' if all targets match, otherwise a copy with replaced targets.
+ */
+function alignMorphTargets(geometry, source = 'LoopSubdivision') {
+    const vertexCount = geometry.attributes.position.count;
+    let aligned = geometry;
+    for (const attributeName in geometry.morphAttributes) {
+        const base = geometry.getAttribute(attributeName);
+        geometry.morphAttributes[attributeName].forEach((attribute, i) => {
+            if (attribute.count === vertexCount && (! base || attribute.itemSize === base.itemSize)) return;
+            console.warn(`${source}: Morph target ${i} of '${attributeName}' has ${attribute.count} values ` +
+                `(geometry has ${vertexCount} vertices), replaced with a target that has no effect`);
+            if (aligned === geometry) aligned = geometry.clone();
+            const itemSize = (base) ? base.itemSize : attribute.itemSize;
+            const replaced = (base && ! geometry.morphTargetsRelative) ? base.clone() :
+                new THREE.BufferAttribute(new Float32Array(vertexCount * itemSize), itemSize);
+            aligned.morphAttributes[attributeName][i] = replaced;
+        });
+    }
+    return aligned;
+}
+
+/**
+ * Subdivides morph targets of 'existing' into 'target' (which already has subdivided attributes). Relative targets
+ * ('morphTargetsRelative') are added to the base attribute first, new deltas are smoothed(base + delta) - smoothed(base).
+ *
+ * @param {Function} subdivide - Subdivides one attribute (attribute, attributeName), returns array of new values
+ */
+function subdivideMorphTargets(existing, target, subdivide, params) {
+    const relative = existing.morphTargetsRelative;
+    for (const attributeName in existing.morphAttributes) {
+        const base = existing.getAttribute(attributeName);
+        if (target.getAttribute(attributeName) === undefined && base !== undefined) continue;
+        let baseValues, subdividedBase;
+
+        target.morphAttributes[attributeName] = existing.morphAttributes[attributeName].map((attribute) => {
+            const { itemSize, normalized } = attribute;
+            if (! relative || ! base || attributeMode(attributeName, attribute, params) === 'nearest') {
+                return new THREE.BufferAttribute(subdivide(attribute, attributeName), itemSize, normalized);
+            }
+
+            // Relative, Subdivide Absolute Values
+            if (! subdividedBase) {
+                baseValues = readAttribute(base);
+                subdividedBase = subdivide(new THREE.BufferAttribute(baseValues, itemSize, normalized), attributeName);
+            }
+            const values = readAttribute(attribute);
+            for (let i = 0; i < values.length; i++) values[i] += baseValues[i];
+            const absolute = subdivide(new THREE.BufferAttribute(values, itemSize, normalized), attributeName);
+            for (let i = 0; i < absolute.length; i++) absolute[i] -= subdividedBase[i];
+            return new THREE.BufferAttribute(typedValues(absolute, attribute.array.constructor), itemSize, normalized);
+        });
+    }
+    target.morphTargetsRelative = existing.morphTargetsRelative;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Repair
+/////////////////////////////////////////////////////////////////////////////////////
+
+/** Distance from a boundary edge within which a vertex makes a T-junction */
+function junctionDistance(tolerance) {
+    return (tolerance > 0) ? tolerance : (0.5 / _positionShift);
+}
+
+/** Position of each welded vertex (from its first vertex), and first vertex of each welded vertex */
+function weldedPositions(positionAttribute, weld) {
+    const positions = new Float64Array(weld.count * 3);
+    const firstVertex = new Int32Array(weld.count).fill(-1);
+    for (let i = 0; i < positionAttribute.count; i++) {
+        const v = weld.ids[i];
+        if (firstVertex[v] >= 0) continue;
+        firstVertex[v] = i;
+        _temp.fromBufferAttribute(positionAttribute, i).toArray(positions, v * 3);
+    }
+    return { positions, firstVertex };
+}
+
+/** Welded vertex of each corner of repair triangles */
+function triangleVertices(triangles) {
+    const cornerVertex = new Int32Array(triangles.length * 3);
+    triangles.forEach((triangle, t) => triangle.corners.forEach((corner, k) => cornerVertex[(t * 3) + k] = corner.v));
+    return cornerVertex;
+}
+
+/** Weights of a point 's' of the way from 'a' to 'b', as lists of [ vertex, weight ] */
+function blendWeights(a, b, s) {
+    const weights = new Map();
+    a.forEach(([ vertex, weight ]) => weights.set(vertex, (weights.get(vertex) || 0) + (weight * (1 - s))));
+    b.forEach(([ vertex, weight ]) => weights.set(vertex, (weights.get(vertex) || 0) + (weight * s)));
+    return Array.from(weights.entries());
+}
+
+/**
+ * Sorts triangles of welded vertices into kept, degenerate (repeated vertex, or area no more than tolerance squared,
+ * like edgeSplit()) and duplicate (same vertices as an earlier kept triangle, either winding). Returns { kept,
+ * degenerate, duplicate } lists of triangle indices.
+ */
+function sortTriangles(cornerVertex, positions, tolerance) {
+    const table = createTupleTable(cornerVertex.length / 3);
+    const kept = [], degenerate = [], duplicate = [];
+    for (let t = 0; t < cornerVertex.length / 3; t++) {
+        const a = cornerVertex[(t * 3) + 0], b = cornerVertex[(t * 3) + 1], c = cornerVertex[(t * 3) + 2];
+        _vector0.fromArray(positions, a * 3);
+        _vector1.fromArray(positions, b * 3);
+        _vector2.fromArray(positions, c * 3);
+        const area = _triangle.set(_vector0, _vector1, _vector2).getArea();
+        if (a === b || b === c || c === a || fuzzy(area, 0, (tolerance) ? tolerance * tolerance : undefined)) {
+            degenerate.push(t);
+            continue;
+        }
+
+        const key = [ a, b, c ].sort((x, y) => x - y);
+        const count = table.count;
+        tupleIndex(table, key[0], key[1], key[2]);
+        if (table.count === count) duplicate.push(t); else kept.push(t);
+    }
+    return { kept, degenerate, duplicate };
+}
+
+/** Finds welded vertices whose triangles don't form a single fan (on a non-manifold edge, or where fans meet) */
+function nonManifoldVertices(topology) {
+    const { vertexCount, vertexCornerStart, vertexCorners, triangleEdges, edgeCount, edgeOppositeStart } = topology;
+    const edgeMark = new Int32Array(edgeCount).fill(-1);
+    const edgeFan = new Int32Array(edgeCount);
+    const fan = [];
+    const root = (j) => { while (fan[j] !== j) j = fan[j] = fan[fan[j]]; return j; };
+    const vertices = [];
+
+    for (let v = 0; v < vertexCount; v++) {
+        const start = vertexCornerStart[v];
+        const end = vertexCornerStart[v + 1];
+        let manifold = true;
+        fan.length = 0;
+        for (let j = start; j < end; j++) {
+            const c = vertexCorners[j];
+            fan.push(j - start);
+            for (const edge of [ triangleEdges[c], triangleEdges[c - (c % 3) + ((c + 2) % 3)] ]) {
+                if (edgeOppositeStart[edge + 1] - edgeOppositeStart[edge] > 2) manifold = false;
+                if (edgeMark[edge] !== v) {
+                    edgeMark[edge] = v;
+                    edgeFan[edge] = j - start;
+                } else {
+                    fan[root(j - start)] = root(edgeFan[edge]);
+                }
+            }
+        }
+        let fans = 0;
+        for (let j = 0; j < fan.length; j++) if (root(j) === j) fans++;
+        if (! manifold || fans > 1) vertices.push(v);
+    }
+    return vertices;
+}
+
+/**
+ * Finds vertices lying inside boundary edges (within 'distance' of the edge, away from its ends), which are
+ * T-junctions. Returns list of { edge, vertex, s } ('s' is how far along edge the vertex is, from 0 to 1).
+ */
+function findJunctions(topology, positions, distance) {
+    const { vertexCount, edgeCount, edgeVertices, edgeOppositeStart } = topology;
+
+    ///// Boundary Edges, Vertices
+    const edges = [];
+    const boundary = new Uint8Array(vertexCount);
+    let lengthSum = 0;
+    for (let e = 0; e < edgeCount; e++) {
+        if (edgeOppositeStart[e + 1] - edgeOppositeStart[e] !== 1) continue;
+        const a = edgeVertices[(e * 2) + 0], b = edgeVertices[(e * 2) + 1];
+        edges.push(e);
+        boundary[a] = boundary[b] = 1;
+        lengthSum += _vector0.fromArray(positions, a * 3).distanceTo(_vector1.fromArray(positions, b * 3));
+    }
+    if (edges.length === 0) return [];
+
+    ///// Grid of Boundary Vertices (cells about as large as boundary edges)
+    const size = Math.max(distance * 2, lengthSum / edges.length);
+    const cellOf = (value) => Math.floor(value / size);
+    const table = createTupleTable(vertexCount);
+    const cellFirst = new Int32Array(vertexCount).fill(-1);
+    const cellNext = new Int32Array(vertexCount).fill(-1);
+    const vertices = [];
+    for (let v = 0; v < vertexCount; v++) {
+        if (! boundary[v]) continue;
+        vertices.push(v);
+        const cell = tupleIndex(table, hashNumber(cellOf(positions[v * 3])), hashNumber(cellOf(positions[(v * 3) + 1])),
+            hashNumber(cellOf(positions[(v * 3) + 2])));
+        cellNext[v] = cellFirst[cell];
+        cellFirst[cell] = v;
+    }
+
+    ///// Vertices Inside Edges
+    const junctions = [];
+    const toVertex = new THREE.Vector3();
+    edges.forEach((e) => {
+        const a = edgeVertices[(e * 2) + 0], b = edgeVertices[(e * 2) + 1];
+        _vector0.fromArray(positions, a * 3);
+        _vector1.fromArray(positions, b * 3);
+        const length = _vector0.distanceTo(_vector1);
+        if (length <= distance * 2) return;
+        _temp.subVectors(_vector1, _vector0);
+
+        function test(v) {
+            if (v === a || v === b) return;
+            toVertex.fromArray(positions, v * 3).sub(_vector0);
+            const s = toVertex.dot(_temp) / (length * length);
+            if (s * length <= distance || (1 - s) * length <= distance) return;
+            if (toVertex.addScaledVector(_temp, - s).lengthSq() > distance * distance) return;
+            junctions.push({ edge: e, vertex: v, s });
+        }
+
+        // Cells around Edge (very long edges check all boundary vertices)
+        const min = [ 0, 1, 2 ].map((i) => cellOf(Math.min(positions[(a * 3) + i], positions[(b * 3) + i]) - distance));
+        const max = [ 0, 1, 2 ].map((i) => cellOf(Math.max(positions[(a * 3) + i], positions[(b * 3) + i]) + distance));
+        if ((max[0] - min[0] + 1) * (max[1] - min[1] + 1) * (max[2] - min[2] + 1) > vertices.length) {
+            vertices.forEach(test);
+            return;
+        }
+        for (let x = min[0]; x <= max[0]; x++) for (let y = min[1]; y <= max[1]; y++) for (let z = min[2]; z <= max[2]; z++) {
+            const cell = tupleFind(table, hashNumber(x), hashNumber(y), hashNumber(z));
+            for (let v = (cell < 0) ? -1 : cellFirst[cell]; v >= 0; v = cellNext[v]) test(v);
+        }
+    });
+    return junctions;
+}
+
+/**
+ * Finds triangles to flip so that triangles sharing an edge wind the same way, each connected part keeps the winding
+ * of most of its triangles. Returns 1 for each triangle that should be flipped.
+ */
+function windingFlips(topology) {
+    const { cornerVertex, triangleEdges, edgeVertices, edgeOppositeStart, edgeOpposites } = topology;
+    const triangleCount = cornerVertex.length / 3;
+    const orientation = new Int8Array(triangleCount);
+    const flips = new Uint8Array(triangleCount);
+    const direction = (o, e) => (cornerVertex[o - (o % 3) + ((o + 1) % 3)] === edgeVertices[e * 2]) ? 1 : -1;
+    const stack = [];
+    const part = [];
+
+    for (let seed = 0; seed < triangleCount; seed++) {
+        if (orientation[seed] !== 0) continue;
+        orientation[seed] = 1;
+        stack.push(seed);
+        part.length = 0;
+        let flipped = 0;
+        while (stack.length > 0) {
+            const t = stack.pop();
+            part.push(t);
+            if (orientation[t] < 0) flipped++;
+            for (let k = 0; k < 3; k++) {
+                const e = triangleEdges[(t * 3) + k];
+                if (edgeOppositeStart[e + 1] - edgeOppositeStart[e] !== 2) continue;
+                const o0 = edgeOpposites[edgeOppositeStart[e] + 0];
+                const o1 = edgeOpposites[edgeOppositeStart[e] + 1];
+                const mine = ((o0 - (o0 % 3)) / 3 === t) ? o0 : o1;
+                const other = (mine === o0) ? o1 : o0;
+                const u = (other - (other % 3)) / 3;
+                if (orientation[u] !== 0) continue;
+                orientation[u] = - orientation[t] * direction(mine, e) * direction(other, e);
+                stack.push(u);
+            }
+        }
+        const flip = (flipped * 2 > part.length) ? 1 : -1;
+        part.forEach((t) => flips[t] = (orientation[t] === flip) ? 1 : 0);
+    }
+    return flips;
+}
+
+/** Builds attribute of repair triangles, values are copied from vertex 'p' of each corner if 'copy', else blended */
+function repairAttribute(attribute, triangles, copy, mode) {
+    const step = attribute.itemSize;
+    const values = readAttribute(attribute);
+    const floatArray = new Float64Array(triangles.length * 3 * step);
+    let index = 0;
+    triangles.forEach((triangle) => triangle.corners.forEach((corner) => {
+        if (copy || mode === 'nearest') {
+            let vertex = corner.p, largest = 0;
+            if (! copy) corner.weights.forEach(([ v, weight ]) => { if (weight > largest) { vertex = v; largest = weight; } });
+            for (let i = 0; i < step; i++) floatArray[index + i] = values[(vertex * step) + i];
+        } else {
+            corner.weights.forEach(([ vertex, weight ]) => addScaled(floatArray, index, values, vertex * step, step, weight));
+        }
+        index += step;
+    }));
+    const array = (attribute.isInterleavedBufferAttribute === true) ? attribute.data.array : attribute.array;
+    return new THREE.BufferAttribute(typedValues(floatArray, array.constructor), step, attribute.normalized);
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Creases
+/////////////////////////////////////////////////////////////////////////////////////
+
+/** Reads 'params.creases' vertex index pairs as positions, so creases survive the split / index passes */
+function gatherCreases(geometry, params) {
+    if (! Array.isArray(params.creases)) return [];
+    const positionAttribute = geometry.getAttribute('position');
+    const creases = [];
+    params.creases.forEach((crease) => {
+        const [ a, b, sharpness = Infinity ] = crease;
+        if (a >= positionAttribute.count || b >= positionAttribute.count) return;
+        creases.push({
+            a: new THREE.Vector3().fromBufferAttribute(positionAttribute, a),
+            b: new THREE.Vector3().fromBufferAttribute(positionAttribute, b),
+            sharpness,
+        });
+    });
+    return creases;
+}
+
+/** Assigns crease sharpness (from crease positions, crease attribute, or 'creaseAngle') to edges of topology */
+function applyCreases(topology, geometry, creases, params) {
+    const edgeSharpness = new Float64Array(topology.edgeCount);
+    let creased = false;
+
+    function findVertex(vector) {
+        return topology.positionWeld.find(vector);
+    }
+
+    function findEdge(a, b) {
+        if (a < 0 || b < 0) return -1;
+        return tupleFind(topology.edgeTable, Math.min(a, b), Math.max(a, b));
+    }
+
+    function creaseEdge(edge, sharpness) {
+        if (edge < 0 || ! (sharpness > 0)) return;
+        edgeSharpness[edge] = Math.max(edgeSharpness[edge], sharpness);
+        creased = true;
+    }
+
+    ///// Vertex Index Pairs
+    creases.forEach((crease) => {
+        const a = findVertex(crease.a);
+        const b = findVertex(crease.b);
+        const edge = findEdge(a, b);
+        if (edge >= 0) {
+            creaseEdge(edge, crease.sharpness);
+        } else {
+            // Edge may have been split during 'edgeSplit()'
+            const center = findVertex(_center.copy(crease.a).add(crease.b).divideScalar(2.0));
+            creaseEdge(findEdge(a, center), crease.sharpness);
+            creaseEdge(findEdge(center, b), crease.sharpness);
+        }
+    });
+
+    ///// Crease Attribute (edges use lesser value of their two vertices)
+    const creaseAttribute = (typeof params.creases === 'string') ? geometry.getAttribute(params.creases) : undefined;
+    if (creaseAttribute) {
+        const corners = geometryCorners(geometry);
+        for (let c = 0; c < corners.length; c++) {
+            const next = c - (c % 3) + ((c + 1) % 3);
+            creaseEdge(topology.triangleEdges[c], Math.min(creaseAttribute.getX(corners[c]), creaseAttribute.getX(corners[next])));
+        }
+    }
+
+    ///// Crease Angle (dihedral angle between adjacent faces)
+    if (params.creaseAngle !== undefined && params.creaseAngle >= 0) {
+        const threshold = Math.cos(THREE.MathUtils.degToRad(params.creaseAngle));
+        const normals = faceNormals(geometry);
+        const { edgeCount, edgeOppositeStart, edgeOpposites } = topology;
+        for (let e = 0; e < edgeCount; e++) {
+            for (let j = edgeOppositeStart[e]; j < edgeOppositeStart[e + 1]; j++) {
+                const a = Math.floor(edgeOpposites[j] / 3) * 3;
+                for (let k = j + 1; k < edgeOppositeStart[e + 1]; k++) {
+                    const b = Math.floor(edgeOpposites[k] / 3) * 3;
+                    const dot = (normals[a] * normals[b]) + (normals[a + 1] * normals[b + 1]) + (normals[a + 2] * normals[b + 2]);
+                    if (dot < threshold - 1e-6) creaseEdge(e, Infinity);
+                }
+            }
+        }
+    }
+
+    if (creased) topology.edgeSharpness = edgeSharpness;
+
+    ///// Boundary Corners (kept in place by the 'sharp' boundary rule)
+    if (params.boundary === 'sharp') topology.vertexCorner = boundaryCorners(topology, geometry);
+}
+
+/**
+ * Finds welded vertices where an open boundary turns by more than BOUNDARY_CORNER_ANGLE, such as the corners of a
+ * plane (which may be used by one or two triangles). Returns Uint8Array (1 for corners), or undefined if none.
+ */
+function boundaryCorners(topology, geometry) {
+    const { vertexCount, edgeCount, edgeVertices, edgeOppositeStart, cornerVertex } = topology;
+    const positionAttribute = geometry.getAttribute('position');
+    const corners = geometryCorners(geometry);
+    const positions = new Float64Array(vertexCount * 3);
+    for (let c = 0; c < corners.length; c++) {
+        positions[(cornerVertex[c] * 3) + 0] = positionAttribute.getX(corners[c]);
+        positions[(cornerVertex[c] * 3) + 1] = positionAttribute.getY(corners[c]);
+        positions[(cornerVertex[c] * 3) + 2] = positionAttribute.getZ(corners[c]);
+    }
+
+    ///// Boundary Neighbors
+    const boundaryCount = new Int32Array(vertexCount);
+    const boundaryNeighbors = new Int32Array(vertexCount * 2);
+    for (let e = 0; e < edgeCount; e++) {
+        if (edgeOppositeStart[e + 1] - edgeOppositeStart[e] !== 1) continue;
+        const a = edgeVertices[(e * 2) + 0];
+        const b = edgeVertices[(e * 2) + 1];
+        if (boundaryCount[a] < 2) boundaryNeighbors[(a * 2) + boundaryCount[a]] = b;
+        if (boundaryCount[b] < 2) boundaryNeighbors[(b * 2) + boundaryCount[b]] = a;
+        boundaryCount[a]++;
+        boundaryCount[b]++;
+    }
+
+    let found = false;
+    const vertexCorner = new Uint8Array(vertexCount);
+    for (let v = 0; v < vertexCount; v++) {
+        if (boundaryCount[v] !== 2) continue;
+        if (boundaryCorner(positions, 3, v, boundaryNeighbors[(v * 2) + 0], boundaryNeighbors[(v * 2) + 1])) {
+            vertexCorner[v] = 1;
+            found = true;
+        }
+    }
+    return (found) ? vertexCorner : undefined;
+}
+
+/**
+ * Checks if boundary turns by more than BOUNDARY_CORNER_ANGLE at vertex 'v', between its two boundary neighbors 'a'
+ * and 'b' (item indices into 'values', 'step' values per item, positions are the first three)
+ */
+function boundaryCorner(values, step, v, a, b) {
+    let dot = 0, lengthA = 0, lengthB = 0;
+    for (let i = 0; i < 3; i++) {
+        const toA = values[(a * step) + i] - values[(v * step) + i];
+        const toB = values[(b * step) + i] - values[(v * step) + i];
+        dot += toA * toB;
+        lengthA += toA * toA;
+        lengthB += toB * toB;
+    }
+    if (lengthA === 0 || lengthB === 0) return false;
+    const straight = - Math.cos(THREE.MathUtils.degToRad(BOUNDARY_CORNER_ANGLE));
+    return (dot / Math.sqrt(lengthA * lengthB)) > straight + 1e-6;
+}
+
+/** Calculates unit face normal of each triangle, returns flat array (degenerate triangles have zero normal) */
+function faceNormals(geometry) {
+    const positionAttribute = geometry.getAttribute('position');
+    const corners = geometryCorners(geometry);
+    const normals = new Float64Array(corners.length);
+    for (let c = 0; c < corners.length; c += 3) {
+        _vector0.fromBufferAttribute(positionAttribute, corners[c + 0]);
+        _vector1.fromBufferAttribute(positionAttribute, corners[c + 1]);
+        _vector2.fromBufferAttribute(positionAttribute, corners[c + 2]);
+        _triangle.set(_vector0, _vector1, _vector2).getNormal(_normal);
+        normals[c + 0] = _normal.x;
+        normals[c + 1] = _normal.y;
+        normals[c + 2] = _normal.z;
+    }
+    return normals;
+}
+
+/**
+ * Calculates how much each vertex / edge point blends toward crease rules. Vertices with two crease edges use the
+ * crease mask (3/4, 1/8, 1/8), vertices with more than two are corners (left in place). Sharpness below 1 blends
+ * between the smooth and sharp rules. Boundary edges (used by one triangle) are treated as sharp creases, which
+ * gives the Loop boundary masks (1/8, 3/4, 1/8 for vertices and 1/2, 1/2 for edge points).
+ *
+ * @returns {Object} Crease masks, or undefined if geometry has no creases or boundaries
+ */
+function creaseMasks(topology, params) {
+    const { vertexCount, edgeCount, edgeVertices, edgeSharpness, edgeOppositeStart } = topology;
+    const { vertexCornerStart, neighborStart, neighborVertex, vertexCorner } = topology;
+    const vertexBlend = new Float64Array(vertexCount);
+    const vertexCreases = new Int32Array(vertexCount);
+    const vertexSlots = new Int32Array(vertexCount * 2).fill(-1);
+    const vertexBoundary = new Uint8Array(vertexCount);
+    const edgeBlend = new Float64Array(edgeCount);
+    let creased = false;
+
+    function addCrease(vertex, other, blend) {
+        vertexBlend[vertex] += blend;
+        if (vertexCreases[vertex] < 2) {
+            for (let n = neighborStart[vertex]; n < neighborStart[vertex + 1]; n++) {
+                if (neighborVertex[n] === other) vertexSlots[(vertex * 2) + vertexCreases[vertex]] = n;
+            }
+        }
+        vertexCreases[vertex]++;
+    }
+
+    for (let e = 0; e < edgeCount; e++) {
+        const a = edgeVertices[(e * 2) + 0];
+        const b = edgeVertices[(e * 2) + 1];
+        let sharpness = (edgeSharpness) ? edgeSharpness[e] : 0;
+
+        // Boundary Edge
+        if (edgeOppositeStart[e + 1] - edgeOppositeStart[e] === 1) {
+            vertexBoundary[a] = 1;
+            vertexBoundary[b] = 1;
+            sharpness = Infinity;
+        }
+
+        if (! (sharpness > 0)) continue;
+        edgeBlend[e] = Math.min(1, sharpness);
+        addCrease(a, b, edgeBlend[e]);
+        addCrease(b, a, edgeBlend[e]);
+        creased = true;
+    }
+    if (! creased) return undefined;
+
+    for (let v = 0; v < vertexCount; v++) {
+        const faceCount = vertexCornerStart[v + 1] - vertexCornerStart[v];
+        const corner = (faceCount === 1 || (vertexCorner !== undefined && vertexCorner[v] === 1));
+
+        // Fixed boundary, or boundary corner (used by one triangle, or turning sharply) with 'sharp' boundary, left in place
+        if (vertexBoundary[v] && (params.boundary === 'fixed' || (params.boundary === 'sharp' && corner))) {
+            vertexBlend[v] = 1;
+            vertexSlots[(v * 2) + 1] = -1;
+        // Fewer than two crease edges (dart), uses smooth rule
+        } else if (vertexCreases[v] < 2) {
+            vertexBlend[v] = 0;
+        // Corner, left in place
+        } else if (vertexCreases[v] > 2) {
+            vertexBlend[v] = vertexBlend[v] / vertexCreases[v];
+            vertexSlots[(v * 2) + 1] = -1;
+        // Crease
+        } else {
+            vertexBlend[v] = vertexBlend[v] / 2;
+        }
+    }
+
+    return { vertexBlend, vertexSlots, edgeBlend };
+}
+
+/** Returns vertex index of each triangle corner (index buffer values, or sequential if geometry is non-indexed) */
+function geometryCorners(geometry) {
+    if (geometry.index !== null) return Int32Array.from(geometry.index.array);
+    const corners = new Int32Array(geometry.attributes.position.count);
+    for (let i = 0; i < corners.length; i++) corners[i] = i;
+    return corners;
+}
+
+/**
+ * Splits triangle corners into 4 triangles, a new edge point is created for each unique (unordered) vertex pair
+ *
+ * @returns {Object} { count: new vertex count, corners: new triangle corners, midpoints: [ vertexA, vertexB, corner ] }
+ */
+function subdivideCorners(corners, vertexCount) {
+    const triangleCount = corners.length / 3;
+    const midpointTable = createTupleTable(corners.length);
+    const midpointList = [];
+    const nextCorners = new Int32Array(triangleCount * 12);
+    const points = new Int32Array(6);
+    for (let t = 0; t < triangleCount; t++) {
+        const corner = t * 3;
+        for (let v = 0; v < 3; v++) {
+            const a = corners[corner + v];
+            const b = corners[corner + ((v + 1) % 3)];
+            const midpoint = tupleIndex(midpointTable, Math.min(a, b), Math.max(a, b));
+            if (midpoint === midpointList.length / 3) midpointList.push(a, b, corner + v);
+            points[v] = a;
+            points[v + 3] = vertexCount + midpoint;
+        }
+
+        // New Triangles (0, 1, 2 are vertices, 3: 0to1, 4: 1to2, 5: 2to0)
+        const index = t * 12;
+        nextCorners[index +  0] = points[0]; nextCorners[index +  1] = points[3]; nextCorners[index +  2] = points[5];
+        nextCorners[index +  3] = points[1]; nextCorners[index +  4] = points[4]; nextCorners[index +  5] = points[3];
+        nextCorners[index +  6] = points[2]; nextCorners[index +  7] = points[5]; nextCorners[index +  8] = points[4];
+        nextCorners[index +  9] = points[3]; nextCorners[index + 10] = points[4]; nextCorners[index + 11] = points[5];
+    }
+    return {
+        count: vertexCount + midpointTable.count,
+        corners: nextCorners,
+        midpoints: Int32Array.from(midpointList),
+    };
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Hash
+/////////////////////////////////////////////////////////////////////////////////////
+
+const _positionShift = Math.pow(10, POSITION_DECIMALS);
+
+const _hashFloat = new Float64Array(1);
+const _hashInt = new Int32Array(_hashFloat.buffer);
+
+/** Compares two numbers to see if they're almost the same */
+function fuzzy(a, b, tolerance = 0.00001) {
+    return ((a < (b + tolerance)) && (a > (b - tolerance)));
+}
+
+/** Rounds number to the precision positions are compared with */
+function roundShift(num, shift = _positionShift) {
+    return round(num * shift);
+}
+
+/** Generates 32 bit hash from Number (-0 and 0 hash the same) */
+function hashNumber(num) {
+    _hashFloat[0] = num + 0;
+    return _hashInt[0] ^ _hashInt[1];
+}
+
+/** Creates hash table mapping tuples of up to three integers to sequential indices, size is maximum tuple count */
+function createTupleTable(size) {
+    let capacity = 16;
+    while (capacity < size * 2) capacity *= 2;
+    return {
+        count: 0,
+        mask: capacity - 1,
+        keys: new Int32Array(capacity * 3),
+        values: new Int32Array(capacity).fill(-1),
+    };
+}
+
+/** Finds index of integer tuple in hash table, tuple is added (and given next index) if not found */
+function tupleIndex(table, a, b = 0, c = 0) {
+    const { keys, values, mask } = table;
+    let slot = (Math.imul(a, 73856093) ^ Math.imul(b, 19349663) ^ Math.imul(c, 83492791)) & mask;
+    while (values[slot] !== -1) {
+        const key = slot * 3;
+        if (keys[key] === a && keys[key + 1] === b && keys[key + 2] === c) return values[slot];
+        slot = (slot + 1) & mask;
+    }
+
+    keys[slot * 3 + 0] = a;
+    keys[slot * 3 + 1] = b;
+    keys[slot * 3 + 2] = c;
+    values[slot] = table.count++;
+    return values[slot];
+}
+
+/** Finds index of integer tuple in hash table, returns -1 if not found */
+function tupleFind(table, a, b = 0, c = 0) {
+    const { keys, values, mask } = table;
+    let slot = (Math.imul(a, 73856093) ^ Math.imul(b, 19349663) ^ Math.imul(c, 83492791)) & mask;
+    while (values[slot] !== -1) {
+        const key = slot * 3;
+        if (keys[key] === a && keys[key + 1] === b && keys[key + 2] === c) return values[slot];
+        slot = (slot + 1) & mask;
+    }
+    return -1;
+}
+
+function lerp(x, y, t) {
+    return (1 - t) * x + t * y;
+}
+
+function round(x) {
+    return (x + ((x > 0) ? 0.5 : -0.5)) << 0;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Topology
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Welds positions, returns welded count, welded index of each vertex, and find(vector) (welded index, or -1). Without
+ * 'tolerance' positions are rounded to POSITION_DECIMALS. With 'tolerance' each position joins the first welded
+ * position within that distance (positions are bucketed in a grid of tolerance sized cells, neighbor cells are searched).
+ */
+function weldAttribute(attribute, tolerance = undefined) {
+    const ids = new Int32Array(attribute.count);
+
+    ///// Rounded
+    if (! (tolerance > 0)) {
+        const table = createTupleTable(attribute.count);
+        for (let i = 0; i < attribute.count; i++) {
+            _temp.fromBufferAttribute(attribute, i);
+            ids[i] = tupleIndex(table, roundShift(_temp.x), roundShift(_temp.y), roundShift(_temp.z));
+        }
+        const find = (vector) => tupleFind(table, roundShift(vector.x), roundShift(vector.y), roundShift(vector.z));
+        return { count: table.count, ids, find };
+    }
+
+    ///// Within Tolerance (cells are keyed by hashed cell coordinates, so very large coordinates don't overflow)
+    const scale = 1 / tolerance;
+    const toleranceSquared = tolerance * tolerance;
+    const cellTable = createTupleTable(attribute.count);
+    const cellFirst = new Int32Array(attribute.count).fill(-1);
+    const cellNext = new Int32Array(attribute.count).fill(-1);
+    const welded = new Float64Array(attribute.count * 3);
+    let count = 0;
+
+    function find(vector) {
+        const x = Math.floor(vector.x * scale), y = Math.floor(vector.y * scale), z = Math.floor(vector.z * scale);
+        let found = -1;
+        for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) for (let dz = -1; dz <= 1; dz++) {
+            const cell = tupleFind(cellTable, hashNumber(x + dx), hashNumber(y + dy), hashNumber(z + dz));
+            for (let w = (cell < 0) ? -1 : cellFirst[cell]; w >= 0; w = cellNext[w]) {
+                if (found >= 0 && w > found) continue;
+                const ex = welded[(w * 3) + 0] - vector.x;
+                const ey = welded[(w * 3) + 1] - vector.y;
+                const ez = welded[(w * 3) + 2] - vector.z;
+                if ((ex * ex) + (ey * ey) + (ez * ez) <= toleranceSquared) found = w;
+            }
+        }
+        return found;
+    }
+
+    for (let i = 0; i < attribute.count; i++) {
+        _temp.fromBufferAttribute(attribute, i);
+        let id = find(_temp);
+        if (id < 0) {
+            id = count++;
+            _temp.toArray(welded, id * 3);
+            const x = Math.floor(_temp.x * scale), y = Math.floor(_temp.y * scale), z = Math.floor(_temp.z * scale);
+            const cell = tupleIndex(cellTable, hashNumber(x), hashNumber(y), hashNumber(z));
+            cellNext[id] = cellFirst[cell];
+            cellFirst[cell] = id;
+        }
+        ids[i] = id;
+    }
+    return { count, ids, find };
+}
+
+/**
+ * Weld distance from 'params.tolerance', either a distance, or { relative } (fraction of the bounding box diagonal of
+ * geometry). Returns undefined if not set, positions are then rounded to POSITION_DECIMALS.
+ */
+function weldTolerance(geometry, params = {}) {
+    const tolerance = params.tolerance;
+    if (typeof tolerance === 'number') return (tolerance > 0) ? tolerance : undefined;
+    if (tolerance && tolerance.relative > 0) {
+        _box.setFromBufferAttribute(geometry.getAttribute('position'));
+        const diagonal = _box.getSize(_temp).length();
+        return (diagonal > 0) ? diagonal * tolerance.relative : undefined;
+    }
+    return undefined;
+}
+
+/** Welds positions of geometry (see 'weldTolerance()') and builds topology of its triangles */
+function weldTopology(geometry, params = {}) {
+    const weld = weldAttribute(geometry.getAttribute('position'), weldTolerance(geometry, params));
+    const corners = geometryCorners(geometry);
+    const cornerVertex = new Int32Array(corners.length);
+    for (let c = 0; c < corners.length; c++) cornerVertex[c] = weld.ids[corners[c]];
+    const topology = buildTopology(cornerVertex, weld.count);
+    topology.positionWeld = weld;
+    return topology;
+}
+
+/**
+ * Builds integer adjacency tables (compressed rows of typed arrays) for triangles of welded vertex indices
+ *
+ * @param {Int32Array} cornerVertex - Welded vertex index of each triangle corner
+ * @param {Number} vertexCount - Total number of welded vertices
+ * @returns {Object} Topology object
+ *
+ * Topology Object
+ * @param {Int32Array} vertexCornerStart, vertexCorners - Corners using each welded vertex
+ * @param {Int32Array} neighborStart, neighborVertex - Unique neighboring welded vertices of each welded vertex
+ * @param {Int32Array} neighborCornerStart, neighborCorners - Corners found at each neighbor (across adjacent triangles)
+ * @param {Int32Array} cornerVertex - Welded vertex index of each triangle corner
+ * @param {Int32Array} triangleEdges - Edge index of each corner (edge from corner to next corner of triangle)
+ * @param {Object} edgeTable - Hash table of welded vertex pairs (lesser index first) to edge index
+ * @param {Int32Array} edgeVertices - Welded vertex pair of each edge
+ * @param {Int32Array} edgeOppositeStart, edgeOpposites - Corners opposite each edge
+ */
+function buildTopology(cornerVertex, vertexCount) {
+    const cornerCount = cornerVertex.length;
+    const triangleCount = cornerCount / 3;
+
+    ///// Vertex Corners
+    const vertexCornerStart = new Int32Array(vertexCount + 1);
+    const vertexCorners = new Int32Array(cornerCount);
+    for (let c = 0; c < cornerCount; c++) vertexCornerStart[cornerVertex[c] + 1]++;
+    for (let v = 0; v < vertexCount; v++) vertexCornerStart[v + 1] += vertexCornerStart[v];
+    const fill = vertexCornerStart.slice(0, vertexCount);
+    for (let c = 0; c < cornerCount; c++) vertexCorners[fill[cornerVertex[c]]++] = c;
+
+    ///// Neighbors (two per corner, grouped by neighboring welded vertex)
+    const entrySlot = new Int32Array(cornerCount * 2);
+    const slotOf = new Int32Array(vertexCount);
+    const slotStamp = new Int32Array(vertexCount).fill(-1);
+    const neighborStart = new Int32Array(vertexCount + 1);
+    const neighborVertexList = [];
+    const neighborCountList = [];
+    for (let v = 0; v < vertexCount; v++) {
+        for (let j = vertexCornerStart[v]; j < vertexCornerStart[v + 1]; j++) {
+            const c = vertexCorners[j];
+            const first = c - (c % 3);
+            for (let n = 1; n <= 2; n++) {
+                const neighborVertex = cornerVertex[first + ((c + n) % 3)];
+                if (slotStamp[neighborVertex] !== v) {
+                    slotStamp[neighborVertex] = v;
+                    slotOf[neighborVertex] = neighborVertexList.length;
+                    neighborVertexList.push(neighborVertex);
+                    neighborCountList.push(0);
+                }
+                entrySlot[(j * 2) + (n - 1)] = slotOf[neighborVertex];
+                neighborCountList[slotOf[neighborVertex]]++;
+            }
+        }
+        neighborStart[v + 1] = neighborVertexList.length;
+    }
+    const slotCount = neighborVertexList.length;
+    const neighborVertex = Int32Array.from(neighborVertexList);
+    const neighborCornerStart = new Int32Array(slotCount + 1);
+    const neighborCorners = new Int32Array(cornerCount * 2);
+    for (let s = 0; s < slotCount; s++) neighborCornerStart[s + 1] = neighborCornerStart[s] + neighborCountList[s];
+    const slotFill = neighborCornerStart.slice(0, slotCount);
+    for (let j = 0; j < cornerCount; j++) {
+        const c = vertexCorners[j];
+        const first = c - (c % 3);
+        for (let n = 1; n <= 2; n++) {
+            neighborCorners[slotFill[entrySlot[(j * 2) + (n - 1)]]++] = first + ((c + n) % 3);
+        }
+    }
+
+    ///// Edges
+    const edgeTable = createTupleTable(cornerCount);
+    const triangleEdges = new Int32Array(cornerCount);
+    const edgeVertexList = [];
+    for (let c = 0; c < cornerCount; c++) {
+        const a = cornerVertex[c];
+        const b = cornerVertex[c - (c % 3) + ((c + 1) % 3)];
+        const edge = tupleIndex(edgeTable, Math.min(a, b), Math.max(a, b));
+        if (edge === edgeVertexList.length / 2) edgeVertexList.push(a, b);
+        triangleEdges[c] = edge;
+    }
+    const edgeCount = edgeTable.count;
+    const edgeVertices = Int32Array.from(edgeVertexList);
+
+    ///// Edge Opposites
+    const edgeOppositeStart = new Int32Array(edgeCount + 1);
+    const edgeOpposites = new Int32Array(cornerCount);
+    for (let c = 0; c < cornerCount; c++) edgeOppositeStart[triangleEdges[c] + 1]++;
+    for (let e = 0; e < edgeCount; e++) edgeOppositeStart[e + 1] += edgeOppositeStart[e];
+    const edgeFill = edgeOppositeStart.slice(0, edgeCount);
+    for (let c = 0; c < cornerCount; c++) {
+        edgeOpposites[edgeFill[triangleEdges[c]]++] = c - (c % 3) + ((c + 2) % 3);
+    }
+
+    return {
+        vertexCount, triangleCount, cornerVertex,
+        vertexCornerStart, vertexCorners,
+        neighborStart, neighborVertex, neighborCornerStart, neighborCorners,
+        edgeCount, edgeTable, triangleEdges, edgeVertices, edgeOppositeStart, edgeOpposites,
+    };
+}
+
+/**
+ * Builds topology of the next subdivision level, edge midpoints become new welded vertices. Edges split from a
+ * crease edge keep its sharpness, reduced by one.
+ */
+function subdivideTopology(topology) {
+    const { vertexCount, triangleCount, cornerVertex, triangleEdges } = topology;
+    const nextCorners = new Int32Array(triangleCount * 12);
+    const points = new Int32Array(6);
+    for (let t = 0; t < triangleCount; t++) {
+        const corner = t * 3;
+        for (let v = 0; v < 3; v++) {
+            points[v] = cornerVertex[corner + v];
+            points[v + 3] = vertexCount + triangleEdges[corner + v];
+        }
+
+        // New Triangles (matches order of 'subdivideCorners()')
+        const index = t * 12;
+        nextCorners[index +  0] = points[0]; nextCorners[index +  1] = points[3]; nextCorners[index +  2] = points[5];
+        nextCorners[index +  3] = points[1]; nextCorners[index +  4] = points[4]; nextCorners[index +  5] = points[3];
+        nextCorners[index +  6] = points[2]; nextCorners[index +  7] = points[5]; nextCorners[index +  8] = points[4];
+        nextCorners[index +  9] = points[3]; nextCorners[index + 10] = points[4]; nextCorners[index + 11] = points[5];
+    }
+    const nextTopology = buildTopology(nextCorners, vertexCount + topology.edgeCount);
+
+    ///// Crease Sharpness
+    if (topology.edgeSharpness) {
+        const { edgeCount, edgeVertices } = nextTopology;
+        const edgeSharpness = new Float64Array(edgeCount);
+        let creased = false;
+        for (let e = 0; e < edgeCount; e++) {
+            const a = edgeVertices[(e * 2) + 0];
+            const b = edgeVertices[(e * 2) + 1];
+            if ((a < vertexCount) === (b < vertexCount)) continue;
+            const parentEdge = Math.max(a, b) - vertexCount;
+            edgeSharpness[e] = Math.max(0, topology.edgeSharpness[parentEdge] - 1);
+            if (edgeSharpness[e] > 0) creased = true;
+        }
+        if (creased) nextTopology.edgeSharpness = edgeSharpness;
+    }
+
+    ///// Boundary Corners (existing vertices keep their index, edge points are never corners)
+    if (topology.vertexCorner) {
+        nextTopology.vertexCorner = new Uint8Array(nextTopology.vertexCount);
+        nextTopology.vertexCorner.set(topology.vertexCorner);
+    }
+
+    return nextTopology;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Limit Surface
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Moves vertices (and morph target positions) of geometry to the limit surface. Smooth vertices use the limit mask
+ * (1 - k w) v + w sum(p_i), where w = 1 / (3 / (8 beta) + k). Crease and boundary vertices use the cubic B-spline
+ * mask (4 v + a + b) / 6, corners stay in place, semi-sharp vertices blend between the two.
+ */
+function limitPositions(geometry, topology, params) {
+    const corners = geometryCorners(geometry);
+    const weights = vertexWeights(topology, params);
+    const creases = creaseMasks(topology, params);
+    const wedgeVertex = new Int32Array(geometry.attributes.position.count).fill(-1);
+    for (let c = 0; c < corners.length; c++) wedgeVertex[corners[c]] = topology.cornerVertex[c];
+    const limitData = { topology, corners, weights, wedgeVertex, creases };
+
+    function limitAttribute(attribute) {
+        const values = limitValues(readAttribute(attribute), attribute.itemSize, limitData);
+        return new THREE.BufferAttribute(typedValues(values, attribute.array.constructor), attribute.itemSize, attribute.normalized);
+    }
+
+    geometry.setAttribute('position', limitAttribute(geometry.getAttribute('position')));
+    if (geometry.morphAttributes.position) {
+        geometry.morphAttributes.position = geometry.morphAttributes.position.map((attribute) => limitAttribute(attribute));
+    }
+    return geometry;
+}
+
+/** Applies limit masks to vertex values ('step' values per vertex), returns new array */
+function limitValues(values, step, limitData) {
+    const { topology, corners, weights, wedgeVertex, creases } = limitData;
+    const { neighborStart, vertexMask } = topology;
+    const limit = Float64Array.from(values);
+    for (let w = 0; w < wedgeVertex.length; w++) {
+        const v = wedgeVertex[w];
+        if (v < 0 || weights[v] < 0) continue;
+        const k = neighborStart[v + 1] - neighborStart[v];
+        const omega = (weights[v] > 0) ? 1 / ((3 / (8 * weights[v])) + k) : 0;
+        const blend = (creases) ? creases.vertexBlend[v] : 0;
+        for (let i = 0; i < step; i++) {
+            const own = values[(w * step) + i];
+
+            // Smooth
+            let value = own * (1 - (k * omega));
+            for (let n = neighborStart[v]; n < neighborStart[v + 1]; n++) {
+                value += slotAverage(topology, corners, values, step, n, i) * omega;
+            }
+
+            // Crease, Corner
+            if (blend > 0) {
+                const slot0 = creases.vertexSlots[(v * 2) + 0];
+                const slot1 = creases.vertexSlots[(v * 2) + 1];
+                let sharp = own;
+                if (slot1 >= 0) {
+                    sharp = ((own * 4) + slotAverage(topology, corners, values, step, slot0, i)
+                                       + slotAverage(topology, corners, values, step, slot1, i)) / 6;
+                }
+                value = lerp(value, sharp, blend);
+            }
+
+            // Mask
+            if (vertexMask) value = lerp(own, value, vertexMask[v]);
+            limit[(w * step) + i] = value;
+        }
+    }
+    return limit;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Normals
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Generates vertex normals of subdivided geometry. 'recompute' uses angle weighted face normals, smoothed across
+ * edges that aren't creased. 'limit' uses the tangent masks of the Loop limit surface (creased vertices, and corners
+ * left in place, use 'recompute'). Vertices shared by corners with different normals (at creases) are split.
+ */
+function generateNormals(geometry, topology, params) {
+    const limit = (params.normals === 'limit' && topology !== undefined && ! params.flatOnly);
+    if (topology === undefined) topology = weldTopology(geometry, params);
+    const positionAttribute = geometry.getAttribute('position');
+    const corners = geometryCorners(geometry);
+    const { cornerVertex, edgeCount, edgeVertices, edgeOppositeStart, edgeOpposites, edgeSharpness } = topology;
+    const points = [ _vector0, _vector1, _vector2 ];
+
+    ///// Face Normals, Corner Angles
+    const faceNormals = new Float64Array(corners.length);
+    const cornerAngles = new Float64Array(corners.length);
+    for (let c = 0; c < corners.length; c += 3) {
+        for (let j = 0; j < 3; j++) points[j].fromBufferAttribute(positionAttribute, corners[c + j]);
+        _normal.subVectors(_vector2, _vector1).cross(_temp.subVectors(_vector0, _vector1)).normalize();
+        _normal.toArray(faceNormals, c);
+        for (let j = 0; j < 3; j++) {
+            _center.subVectors(points[(j + 1) % 3], points[j]);
+            _midpoint.subVectors(points[(j + 2) % 3], points[j]);
+            cornerAngles[c + j] = _center.angleTo(_midpoint);
+        }
+    }
+
+    ///// Smoothing Fans (corners around a vertex, joined across edges that aren't creased)
+    const fan = new Int32Array(corners.length);
+    for (let c = 0; c < corners.length; c++) fan[c] = c;
+    function findFan(c) {
+        while (fan[c] !== c) c = fan[c] = fan[fan[c]];
+        return c;
+    }
+    function vertexCorner(first, vertex) {
+        for (let j = 0; j < 3; j++) if (cornerVertex[first + j] === vertex) return first + j;
+        return -1;
+    }
+    for (let e = 0; e < edgeCount; e++) {
+        if (edgeOppositeStart[e + 1] - edgeOppositeStart[e] !== 2) continue;
+        if (edgeSharpness && edgeSharpness[e] > 0) continue;
+        const opposite0 = edgeOpposites[edgeOppositeStart[e] + 0];
+        const opposite1 = edgeOpposites[edgeOppositeStart[e] + 1];
+        for (let n = 0; n < 2; n++) {
+            const vertex = edgeVertices[(e * 2) + n];
+            const c0 = vertexCorner(opposite0 - (opposite0 % 3), vertex);
+            const c1 = vertexCorner(opposite1 - (opposite1 % 3), vertex);
+            if (c0 >= 0 && c1 >= 0) fan[findFan(c0)] = findFan(c1);
+        }
+    }
+
+    ///// Recomputed Normals
+    const fanNormals = new Float64Array(corners.length * 3);
+    for (let c = 0; c < corners.length; c++) {
+        const f = findFan(c) * 3;
+        const face = c - (c % 3);
+        for (let i = 0; i < 3; i++) fanNormals[f + i] += faceNormals[face + i] * cornerAngles[c];
+    }
+    const normals = new Float64Array(corners.length * 3);
+    for (let c = 0; c < corners.length; c++) {
+        const f = findFan(c) * 3;
+        _normal.set(fanNormals[f + 0], fanNormals[f + 1], fanNormals[f + 2]).normalize();
+        _normal.toArray(normals, c * 3);
+    }
+
+    ///// Limit Normals
+    if (limit) limitNormals(positionAttribute, corners, topology, normals, params);
+
+    setCornerNormals(geometry, corners, normals);
+    return geometry;
+}
+
+/**
+ * Replaces corner normals with normals of the Loop limit surface, found from tangent masks of the one ring of each
+ * vertex. Interior: t1 = sum(cos(2 pi i / k) p_i), t2 = sum(sin(2 pi i / k) p_i). Boundary: t1 = p_0 - p_k, t2 is
+ * the left eigenvector (eigenvalue 3/8 + cos(pi / k) / 4) of the boundary subdivision matrix, a v + b (p_0 + p_k)
+ * + sum(sin(pi i / k) p_i). Creased and non-manifold vertices are skipped.
+ */
+function limitNormals(positionAttribute, corners, topology, normals, params) {
+    const { vertexCount, vertexCornerStart, vertexCorners, cornerVertex } = topology;
+    const { triangleEdges, edgeOppositeStart, edgeSharpness, vertexMask, vertexCorner } = topology;
+    const vertexWedge = new Int32Array(vertexCount);
+    for (let c = 0; c < corners.length; c++) vertexWedge[cornerVertex[c]] = corners[c];
+    const ring = [];
+    const mask = { center: [ 0, 0 ], u: [], v: [] };
+
+    for (let v = 0; v < vertexCount; v++) {
+        if (vertexMask && vertexMask[v] < 1) continue;
+        const start = vertexCornerStart[v];
+        const end = vertexCornerStart[v + 1];
+        const faces = end - start;
+
+        // Creased, Non-Manifold, or Fixed Vertices keep Recomputed Normals
+        let creased = false, boundary = 0;
+        for (let j = start; j < end; j++) {
+            const c = vertexCorners[j];
+            for (const edge of [ triangleEdges[c], triangleEdges[c - (c % 3) + ((c + 2) % 3)] ]) {
+                const count = edgeOppositeStart[edge + 1] - edgeOppositeStart[edge];
+                if (count > 2 || (edgeSharpness && edgeSharpness[edge] > 0)) creased = true;
+                if (count === 1) boundary++;
+            }
+        }
+        if (creased || (boundary !== 0 && boundary !== 2)) continue;
+        const corner = (faces === 1 || (vertexCorner !== undefined && vertexCorner[v] === 1));
+        if (boundary && (params.boundary === 'fixed' || (params.boundary === 'sharp' && corner))) continue;
+        if (! orderRing(topology, v, boundary, ring)) continue;
+
+        // Tangents
+        ringTangents(ring, boundary, mask);
+        _center.fromBufferAttribute(positionAttribute, vertexWedge[v]);
+        _vector1.copy(_center).multiplyScalar(mask.center[0]);
+        _vector2.copy(_center).multiplyScalar(mask.center[1]);
+        for (let i = 0; i < ring.length; i++) {
+            _vector0.fromBufferAttribute(positionAttribute, vertexWedge[ring[i]]);
+            _vector1.addScaledVector(_vector0, mask.u[i]);
+            _vector2.addScaledVector(_vector0, mask.v[i]);
+        }
+
+        // Normal (facing the same way as the recomputed normal)
+        _normal.crossVectors(_vector1, _vector2);
+        if (_normal.lengthSq() < Number.EPSILON) continue;
+        _temp.fromArray(normals, vertexCorners[start] * 3);
+        if (_normal.dot(_temp) < 0) _normal.negate();
+        _normal.normalize();
+        for (let j = start; j < end; j++) _normal.toArray(normals, vertexCorners[j] * 3);
+    }
+}
+
+/**
+ * Fills 'ring' with the one ring of welded vertex 'v' in order around the vertex, boundary rings (when 'boundary' is
+ * not 0) start and end on the boundary, interior rings don't repeat the first vertex. Returns false if not a single fan.
+ */
+function orderRing(topology, v, boundary, ring) {
+    const { vertexCornerStart, vertexCorners, cornerVertex } = topology;
+    const nextVertex = (c) => cornerVertex[c - (c % 3) + ((c + 1) % 3)];
+    const prevVertex = (c) => cornerVertex[c - (c % 3) + ((c + 2) % 3)];
+    const start = vertexCornerStart[v];
+    const end = vertexCornerStart[v + 1];
+    const faces = end - start;
+
+    let c = vertexCorners[start];
+    for (let j = start; j < end && boundary; j++) {
+        let first = true;
+        for (let k = start; k < end; k++) if (prevVertex(vertexCorners[k]) === nextVertex(vertexCorners[j])) first = false;
+        if (first) c = vertexCorners[j];
+    }
+    ring.length = 0;
+    ring.push(nextVertex(c));
+    let visited = 0;
+    while (c >= 0 && visited < faces) {
+        visited++;
+        const p = prevVertex(c);
+        ring.push(p);
+        c = -1;
+        for (let j = start; j < end; j++) {
+            if (nextVertex(vertexCorners[j]) === p) c = vertexCorners[j];
+        }
+    }
+    if (visited !== faces || ring.length !== faces + 1) return false;
+    if (! boundary) {
+        if (ring[faces] !== ring[0]) return false;
+        ring.pop();
+    }
+    return true;
+}
+
+/** Limit tangent masks of an ordered one ring, fills 'mask' with weights of center ('center') and ring ('u', 'v') */
+function ringTangents(ring, boundary, mask) {
+    const k = ring.length;
+    mask.center[0] = 0;
+    mask.center[1] = 0;
+    mask.u.length = k;
+    mask.v.length = k;
+    if (! boundary) {
+        for (let i = 0; i < k; i++) {
+            mask.u[i] = Math.cos(2 * Math.PI * i / k);
+            mask.v[i] = Math.sin(2 * Math.PI * i / k);
+        }
+        return mask;
+    }
+    const faces = k - 1;
+    mask.u.fill(0);
+    mask.v.fill(0);
+    mask.u[0] = 1;
+    mask.u[faces] = -1;
+    if (faces === 1) {
+        mask.v[0] = 1;
+        mask.v[faces] = 1;
+        mask.center[1] = -2;
+    } else {
+        const theta = Math.PI / faces;
+        const lambda = (3 / 8) + (Math.cos(theta) / 4);
+        let sum = 0;
+        for (let i = 1; i < faces; i++) sum += Math.sin(i * theta);
+        const det = ((lambda - 0.75) * (lambda - 0.5)) - 0.125;
+        const a = ((0.375 * sum * (lambda - 0.5)) + (Math.sin(theta) / 8)) / det;
+        const b = (((lambda - 0.75) * Math.sin(theta)) + (0.375 * sum)) / (8 * det);
+        mask.v[0] = b;
+        mask.v[faces] = b;
+        mask.center[1] = a;
+        for (let i = 1; i < faces; i++) mask.v[i] = Math.sin(i * theta);
+    }
+    return mask;
+}
+
+/** Sets normal of each triangle corner, vertices used by corners with different normals are copied */
+function setCornerNormals(geometry, corners, normals) {
+    const count = geometry.attributes.position.count;
+    const normalList = new Array(count * 3).fill(NaN);
+    const nextCopy = new Array(count).fill(-1);
+    const items = [];
+    const nextCorners = new Int32Array(corners.length);
+    for (let c = 0; c < corners.length; c++) {
+        let vertex = corners[c];
+        while (! isNaN(normalList[vertex * 3])) {
+            let same = true;
+            for (let i = 0; i < 3; i++) if (Math.abs(normalList[(vertex * 3) + i] - normals[(c * 3) + i]) > 1e-6) same = false;
+            if (same) break;
+            if (nextCopy[vertex] === -1) {
+                nextCopy[vertex] = count + items.length;
+                nextCopy.push(-1);
+                normalList.push(NaN, NaN, NaN);
+                items.push(corners[c]);
+            }
+            vertex = nextCopy[vertex];
+        }
+        for (let i = 0; i < 3; i++) normalList[(vertex * 3) + i] = normals[(c * 3) + i];
+        nextCorners[c] = vertex;
+    }
+
+    ///// Copy Split Vertices
+    if (items.length > 0) {
+        const select = new Int32Array(count + items.length);
+        for (let i = 0; i < count; i++) select[i] = i;
+        select.set(items, count);
+        for (const attributeName in geometry.attributes) {
+            geometry.setAttribute(attributeName, selectAttribute(geometry.getAttribute(attributeName), select));
+        }
+        for (const attributeName in geometry.morphAttributes) {
+            geometry.morphAttributes[attributeName] = geometry.morphAttributes[attributeName].map((attribute) => {
+                return selectAttribute(attribute, select);
+            });
+        }
+        const indexArray = (select.length > 65535) ? new Uint32Array(nextCorners) : new Uint16Array(nextCorners);
+        geometry.setIndex(new THREE.BufferAttribute(indexArray, 1));
+    }
+
+    const normalArray = Float32Array.from(normalList, (value) => (isNaN(value)) ? 0 : value);
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normalArray, 3));
+}
+
+/** Regenerates tangents (for normal maps) from uv coordinates, requires 'uv' and 'normal' attributes */
+function generateTangents(geometry, source = 'LoopSubdivision') {
+    if (! geometry.getAttribute('uv') || ! geometry.getAttribute('normal')) {
+        console.warn(`${source}: Tangents require 'uv' and 'normal' attributes`);
+        return geometry;
+    }
+    if (geometry.index === null) {
+        const count = geometry.attributes.position.count;
+        const indexArray = (count > 65535) ? new Uint32Array(count) : new Uint16Array(count);
+        for (let i = 0; i < count; i++) indexArray[i] = i;
+        geometry.setIndex(new THREE.BufferAttribute(indexArray, 1));
+    }
+    geometry.computeTangents();
+    return geometry;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Stencils
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Builds stencils (compressed sparse rows of column indices and weights), 'fillRow(row, add)' adds each
+ * (column, weight) pair of a row, columns can be added more than once
+ */
+function buildStencils(rowCount, fillRow) {
+    const start = new Int32Array(rowCount + 1);
+    const index = [];
+    const weight = [];
+    function add(column, value) {
+        if (value === 0) return;
+        index.push(column);
+        weight.push(value);
+    }
+    for (let r = 0; r < rowCount; r++) {
+        fillRow(r, add);
+        start[r + 1] = index.length;
+    }
+    return { start, index: Int32Array.from(index), weight: Float64Array.from(weight) };
+}
+
+/** Combines stencils, rows of 'rows' are weights of rows of 'stencils', returns stencils of 'columnCount' columns */
+function multiplyStencils(rows, stencils, columnCount) {
+    const sum = new Float64Array(columnCount);
+    const mark = new Int32Array(columnCount).fill(-1);
+    const used = [];
+    return buildStencils(rows.start.length - 1, (r, add) => {
+        used.length = 0;
+        for (let j = rows.start[r]; j < rows.start[r + 1]; j++) {
+            const row = rows.index[j];
+            for (let k = stencils.start[row]; k < stencils.start[row + 1]; k++) {
+                const column = stencils.index[k];
+                if (mark[column] !== r) {
+                    mark[column] = r;
+                    sum[column] = 0;
+                    used.push(column);
+                }
+                sum[column] += rows.weight[j] * stencils.weight[k];
+            }
+        }
+        used.forEach((column) => add(column, sum[column]));
+    });
+}
+
+/** Copies source attributes of first vertex at each position to other vertices there, so they can be indexed together */
+function shareSources(geometry, params) {
+    const weld = weldAttribute(geometry.getAttribute('position'), weldTolerance(geometry, params));
+    const source = geometry.getAttribute(SOURCE_ATTRIBUTE);
+    const sourcePair = geometry.getAttribute(SOURCE_PAIR_ATTRIBUTE);
+    const first = new Int32Array(weld.count).fill(-1);
+    for (let i = 0; i < weld.ids.length; i++) {
+        const id = weld.ids[i];
+        if (first[id] < 0) {
+            first[id] = i;
+        } else {
+            source.array[i] = source.array[first[id]];
+            sourcePair.array[i] = sourcePair.array[first[id]];
+        }
+    }
+}
+
+/** Stencils of welded vertices from source attributes, input vertex (or two input vertices of split edge points) */
+function sourceStencils(geometry, topology) {
+    const source = readAttribute(geometry.getAttribute(SOURCE_ATTRIBUTE));
+    const sourcePair = readAttribute(geometry.getAttribute(SOURCE_PAIR_ATTRIBUTE));
+    const corners = geometryCorners(geometry);
+    const vertexWedge = new Int32Array(topology.vertexCount);
+    for (let c = corners.length - 1; c >= 0; c--) vertexWedge[topology.cornerVertex[c]] = corners[c];
+    return buildStencils(topology.vertexCount, (v, add) => {
+        const w = vertexWedge[v];
+        if (source[w] === sourcePair[w]) {
+            add(source[w], 1);
+        } else {
+            add(source[w], 0.5);
+            add(sourcePair[w], 0.5);
+        }
+    });
+}
+
+/** Stencils of one Loop subdivision step (matches 'loop' mode of subdivideAttribute()), existing vertices then edge points */
+function subdivisionStencils(topology, params, smooth) {
+    const { vertexCount, edgeCount, edgeVertices, edgeOppositeStart, edgeOpposites, cornerVertex } = topology;
+    const { neighborStart, neighborVertex, vertexMask, edgeMask } = topology;
+    const weights = (smooth) ? vertexWeights(topology, params) : undefined;
+    const creases = (smooth) ? creaseMasks(topology, params) : undefined;
+
+    return buildStencils(vertexCount + edgeCount, (r, add) => {
+
+        ///// Existing Vertices
+        if (r < vertexCount) {
+            const v = r;
+            if (! smooth || weights[v] < 0) return add(v, 1);
+            const k = neighborStart[v + 1] - neighborStart[v];
+            const mask = (vertexMask) ? vertexMask[v] : 1;
+            const blend = (creases) ? creases.vertexBlend[v] : 0;
+
+            // Smooth
+            add(v, 1 - mask);
+            add(v, (1 - (weights[v] * k)) * (1 - blend) * mask);
+            for (let n = neighborStart[v]; n < neighborStart[v + 1]; n++) add(neighborVertex[n], weights[v] * (1 - blend) * mask);
+
+            // Crease, Corner
+            if (blend > 0) {
+                const slot0 = creases.vertexSlots[(v * 2) + 0];
+                const slot1 = creases.vertexSlots[(v * 2) + 1];
+                if (slot1 >= 0) {
+                    add(v, 0.75 * blend * mask);
+                    add(neighborVertex[slot0], 0.125 * blend * mask);
+                    add(neighborVertex[slot1], 0.125 * blend * mask);
+                } else {
+                    add(v, blend * mask);
+                }
+            }
+            return;
+        }
+
+        ///// New Edge Points
+        const e = r - vertexCount;
+        const a = edgeVertices[(e * 2) + 0];
+        const b = edgeVertices[(e * 2) + 1];
+        let scale = 0;
+        if (smooth && edgeOppositeStart[e + 1] - edgeOppositeStart[e] === 2) {
+            scale = (creases) ? 1 - creases.edgeBlend[e] : 1;
+            if (edgeMask) scale *= edgeMask[e];
+        }
+        add(a, (0.5 * (1 - scale)) + (0.375 * scale));
+        add(b, (0.5 * (1 - scale)) + (0.375 * scale));
+        if (scale > 0) {
+            for (let j = edgeOppositeStart[e]; j < edgeOppositeStart[e + 1]; j++) add(cornerVertex[edgeOpposites[j]], 0.125 * scale);
+        }
+    });
+}
+
+/** Stencils of limit positions of welded vertices (matches limitValues()) */
+function limitStencils(topology, params) {
+    const { vertexCount, neighborStart, neighborVertex, vertexMask } = topology;
+    const weights = vertexWeights(topology, params);
+    const creases = creaseMasks(topology, params);
+
+    return buildStencils(vertexCount, (v, add) => {
+        if (weights[v] < 0) return add(v, 1);
+        const k = neighborStart[v + 1] - neighborStart[v];
+        const omega = (weights[v] > 0) ? 1 / ((3 / (8 * weights[v])) + k) : 0;
+        const mask = (vertexMask) ? vertexMask[v] : 1;
+        const blend = (creases) ? creases.vertexBlend[v] : 0;
+
+        // Smooth
+        add(v, 1 - mask);
+        add(v, (1 - (k * omega)) * (1 - blend) * mask);
+        for (let n = neighborStart[v]; n < neighborStart[v + 1]; n++) add(neighborVertex[n], omega * (1 - blend) * mask);
+
+        // Crease, Corner
+        if (blend > 0) {
+            const slot0 = creases.vertexSlots[(v * 2) + 0];
+            const slot1 = creases.vertexSlots[(v * 2) + 1];
+            if (slot1 >= 0) {
+                add(v, (4 / 6) * blend * mask);
+                add(neighborVertex[slot0], (1 / 6) * blend * mask);
+                add(neighborVertex[slot1], (1 / 6) * blend * mask);
+            } else {
+                add(v, blend * mask);
+            }
+        }
+    });
+}
+
+/**
+ * Stencils of two tangents of each welded vertex (limit tangent masks of ordered one ring, or edges of first triangle
+ * when vertex isn't a single fan), second tangent is negated where needed so their cross product faces the same way as
+ * the normal of welded vertex 'positions'
+ */
+function tangentStencils(topology, positions) {
+    const { vertexCount, vertexCornerStart, vertexCorners, cornerVertex, triangleEdges, edgeOppositeStart } = topology;
+    const ring = [];
+    const mask = { center: [ 0, 0 ], u: [], v: [] };
+    const sign = new Float64Array(vertexCount);
+    const rings = new Array(vertexCount);
+
+    ///// Masks
+    for (let v = 0; v < vertexCount; v++) {
+        const start = vertexCornerStart[v];
+        const end = vertexCornerStart[v + 1];
+        let boundary = 0, manifold = true;
+        for (let j = start; j < end; j++) {
+            const c = vertexCorners[j];
+            for (const edge of [ triangleEdges[c], triangleEdges[c - (c % 3) + ((c + 2) % 3)] ]) {
+                const count = edgeOppositeStart[edge + 1] - edgeOppositeStart[edge];
+                if (count > 2) manifold = false;
+                if (count === 1) boundary++;
+            }
+        }
+        if (boundary !== 0 && boundary !== 2) manifold = false;
+        if (start === end || ! manifold || ! orderRing(topology, v, boundary, ring)) {
+            if (start === end) continue;
+            const c = vertexCorners[start];
+            ring.length = 0;
+            ring.push(cornerVertex[c - (c % 3) + ((c + 1) % 3)], cornerVertex[c - (c % 3) + ((c + 2) % 3)]);
+            rings[v] = { ring: ring.slice(), center: [ -1, -1 ], u: [ 1, 0 ], v: [ 0, 1 ] };
+        } else {
+            ringTangents(ring, boundary, mask);
+            rings[v] = { ring: ring.slice(), center: mask.center.slice(), u: mask.u.slice(), v: mask.v.slice() };
+        }
+
+        // Orientation
+        _normal.set(0, 0, 0);
+        for (let j = start; j < end; j++) {
+            const c = vertexCorners[j] - (vertexCorners[j] % 3);
+            _vector0.fromArray(positions, cornerVertex[c + 0] * 3);
+            _vector1.fromArray(positions, cornerVertex[c + 1] * 3);
+            _vector2.fromArray(positions, cornerVertex[c + 2] * 3);
+            _normal.add(_temp.subVectors(_vector1, _vector0).cross(_vector2.sub(_vector0)));
+        }
+        const tangents = rings[v];
+        _vector1.fromArray(positions, v * 3).multiplyScalar(tangents.center[0]);
+        _vector2.fromArray(positions, v * 3).multiplyScalar(tangents.center[1]);
+        for (let i = 0; i < tangents.ring.length; i++) {
+            _vector0.fromArray(positions, tangents.ring[i] * 3);
+            _vector1.addScaledVector(_vector0, tangents.u[i]);
+            _vector2.addScaledVector(_vector0, tangents.v[i]);
+        }
+        sign[v] = (_temp.crossVectors(_vector1, _vector2).dot(_normal) < 0) ? -1 : 1;
+    }
+
+    ///// Stencils
+    const tangentStencil = (key, centerIndex, scale) => buildStencils(vertexCount, (v, add) => {
+        if (! rings[v]) return;
+        const s = (scale) ? sign[v] : 1;
+        add(v, rings[v].center[centerIndex] * s);
+        rings[v].ring.forEach((vertex, i) => add(vertex, rings[v][key][i] * s));
+    });
+    return { u: tangentStencil('u', 0, false), v: tangentStencil('v', 1, true) };
+}
+
+/** Merges stencils with the same rows into one table of shared columns, returns { start, index, weights: [] } */
+function mergeStencils(list, columnCount) {
+    const rowCount = list[0].start.length - 1;
+    const start = new Int32Array(rowCount + 1);
+    const mark = new Int32Array(columnCount).fill(-1);
+    const slot = new Int32Array(columnCount);
+    const index = [];
+    const weights = list.map(() => []);
+    for (let r = 0; r < rowCount; r++) {
+        list.forEach((stencils, s) => {
+            for (let j = stencils.start[r]; j < stencils.start[r + 1]; j++) {
+                const column = stencils.index[j];
+                if (mark[column] !== r) {
+                    mark[column] = r;
+                    slot[column] = index.length;
+                    index.push(column);
+                    weights.forEach((weight) => weight.push(0));
+                }
+                weights[s][slot[column]] += stencils.weight[j];
+            }
+        });
+        start[r + 1] = index.length;
+    }
+    return { start, index: Int32Array.from(index), weights: weights.map((weight) => Float64Array.from(weight)) };
+}
+
+/** Multiplies stencils by flat array of 'values' with 'step' values per column, sums into 'target' */
+function applyStencils(stencils, weight, values, step, target) {
+    const rowCount = stencils.start.length - 1;
+    target.fill(0);
+    for (let r = 0; r < rowCount; r++) {
+        for (let j = stencils.start[r]; j < stencils.start[r + 1]; j++) {
+            addScaled(target, r * step, values, stencils.index[j] * step, step, weight[j]);
+        }
+    }
+    return target;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Worker
+/////////////////////////////////////////////////////////////////////////////////////
+
+/** Creates worker from 'factory' function, or the default module worker, returns undefined if Worker isn't available */
+function createWorker(factory) {
+    if (typeof factory === 'function') return factory();
+    if (typeof Worker === 'undefined') return undefined;
+    return new Worker(new URL('./LoopSubdivisionWorker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Subdivides serialized geometry (message from modifyAsync()), returns serialized result. Functions and objects that
+ * can't be sent to a worker ('onProgress', 'signal') are added from 'extra'.
+ */
+function subdivideMessage(message, extra = {}) {
+    const geometry = deserializeGeometry(message.geometry);
+    const params = Object.assign(deserializeParams(message.params), extra);
+    const result = LoopSubdivision.modify(geometry, message.iterations, params);
+    geometry.dispose();
+    return serializeGeometry(result);
+}
+
+/** Throws an 'AbortError' if 'params.signal' has been aborted */
+function checkAbort(params) {
+    if (params.signal && params.signal.aborted) throw abortError(params.signal);
+}
+
+/**
+ * Progress of one modify() call, kept in 'params.progress' (modify() subdivides with a copy of params, so calls
+ * don't share progress). Stages ('split', each iteration, 'finish') share 'total' evenly. Geometries being built by
+ * the running stage are kept in 'working', so they can be disposed of if subdivision is aborted.
+ */
+function progressContext(params, iterations) {
+    const stageCount = iterations + ((params.split) ? 2 : 1);
+    return { iteration: 0, stageCount, total: 0, working: new Set() };
+}
+
+/** Adds geometries built by a stage to the progress context (see progressContext()) */
+function holdGeometry(params, ...geometries) {
+    if (params.progress) geometries.forEach((geometry) => params.progress.working.add(geometry));
+}
+
+/** Removes geometries from the progress context, once built (or disposed of) */
+function releaseGeometry(params, ...geometries) {
+    if (params.progress) geometries.forEach((geometry) => params.progress.working.delete(geometry));
+}
+
+/**
+ * Checks 'params.signal', then reports progress of current stage to 'params.onProgress'. Without a progress context
+ * (edgeSplit(), smooth(), etc. called directly) 'iteration' is 0 and 'total' is the stage fraction.
+ */
+function reportProgress(params, stage, fraction) {
+    checkAbort(params);
+    if (typeof params.onProgress !== 'function') return;
+    const progress = params.progress;
+    let iteration = 0, total = fraction;
+    if (progress) {
+        iteration = progress.iteration;
+        let stageIndex = progress.stageCount - 1;
+        if (stage === 'split') stageIndex = 0;
+        if (stage === 'flat' || stage === 'smooth') stageIndex = iteration - ((params.split) ? 0 : 1);
+        progress.total = Math.min(1, Math.max(progress.total, (stageIndex + fraction) / progress.stageCount));
+        total = progress.total;
+    }
+    params.onProgress({ iteration, stage, fraction, total });
+}
+
+function abortError(signal) {
+    if (signal && signal.reason !== undefined) return signal.reason;
+    if (typeof DOMException !== 'undefined') return new DOMException('Subdivision was aborted', 'AbortError');
+    const error = new Error('Subdivision was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Copies attributes, morph attributes, index, groups and draw range of geometry into plain objects of typed arrays
+ * (interleaved attributes are de-interleaved). If 'copy' is false, arrays of the geometry are used (and can be
+ * transferred).
+ */
+function serializeGeometry(geometry, copy = false) {
+    function serializeAttribute(attribute) {
+        let array = attribute.array;
+        if (attribute.isInterleavedBufferAttribute) {
+            array = typedValues(readAttribute(attribute), attribute.data.array.constructor);
+        } else if (copy) {
+            array = array.slice();
+        }
+        return { array, itemSize: attribute.itemSize, normalized: attribute.normalized };
+    }
+
+    const data = { attributes: {}, morphAttributes: {}, morphTargetsRelative: geometry.morphTargetsRelative, index: null, groups: [] };
+    data.drawRange = { start: geometry.drawRange.start, count: geometry.drawRange.count };
+    for (const attributeName in geometry.attributes) {
+        data.attributes[attributeName] = serializeAttribute(geometry.attributes[attributeName]);
+    }
+    for (const attributeName in geometry.morphAttributes) {
+        data.morphAttributes[attributeName] = geometry.morphAttributes[attributeName].map(serializeAttribute);
+    }
+    if (geometry.index !== null) data.index = serializeAttribute(geometry.index);
+    geometry.groups.forEach((group) => data.groups.push({ start: group.start, count: group.count, materialIndex: group.materialIndex }));
+    return data;
+}
+
+/** Rebuilds BufferGeometry from serializeGeometry() data */
+function deserializeGeometry(data) {
+    function deserializeAttribute(attribute) {
+        return new THREE.BufferAttribute(attribute.array, attribute.itemSize, attribute.normalized);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    for (const attributeName in data.attributes) {
+        geometry.setAttribute(attributeName, deserializeAttribute(data.attributes[attributeName]));
+    }
+    for (const attributeName in data.morphAttributes) {
+        geometry.morphAttributes[attributeName] = data.morphAttributes[attributeName].map(deserializeAttribute);
+    }
+    geometry.morphTargetsRelative = data.morphTargetsRelative;
+    if (data.index) geometry.setIndex(deserializeAttribute(data.index));
+    data.groups.forEach((group) => geometry.addGroup(group.start, group.count, group.materialIndex));
+    if (data.drawRange) geometry.setDrawRange(data.drawRange.start, data.drawRange.count);
+    return geometry;
+}
+
+/** Unique array buffers of serialized geometry, for postMessage() transfer */
+function transferList(data) {
+    const buffers = new Set();
+    const add = (attribute) => buffers.add(attribute.array.buffer);
+    Object.values(data.attributes).forEach(add);
+    Object.values(data.morphAttributes).forEach((attributes) => attributes.forEach(add));
+    if (data.index) add(data.index);
+    return Array.from(buffers);
+}
+
+/** Copies params that can be sent to a worker, 'adaptive.camera' is replaced by its matrices */
+function serializeParams(params) {
+    const data = {};
+    for (const key in params) {
+        if (key === 'signal' || key === 'worker' || typeof params[key] === 'function') continue;
+        data[key] = params[key];
+    }
+    if (params.adaptive && typeof params.adaptive === 'object') {
+        const { angle, edgeLength, camera, pixelTolerance, resolution, matrixWorld } = params.adaptive;
+        data.adaptive = { angle, edgeLength, pixelTolerance };
+        if (camera) {
+            camera.updateMatrixWorld();
+            data.adaptive.camera = {
+                matrixWorldInverse: camera.matrixWorldInverse.toArray(),
+                projectionMatrix: camera.projectionMatrix.toArray(),
+            };
+        }
+        if (resolution) data.adaptive.resolution = [ resolution.x, resolution.y ];
+        if (matrixWorld) data.adaptive.matrixWorld = matrixWorld.toArray();
+    }
+    return data;
+}
+
+/** Rebuilds params from serializeParams() data */
+function deserializeParams(data) {
+    const params = Object.assign({}, data);
+    if (data.adaptive && typeof data.adaptive === 'object') {
+        const { camera, resolution, matrixWorld } = data.adaptive;
+        params.adaptive = Object.assign({}, data.adaptive);
+        if (camera) {
+            params.adaptive.camera = {
+                matrixWorldInverse: new THREE.Matrix4().fromArray(camera.matrixWorldInverse),
+                projectionMatrix: new THREE.Matrix4().fromArray(camera.projectionMatrix),
+            };
+        } else {
+            delete params.adaptive.camera;
+        }
+        if (resolution) params.adaptive.resolution = new THREE.Vector2().fromArray(resolution);
+        if (matrixWorld) params.adaptive.matrixWorld = new THREE.Matrix4().fromArray(matrixWorld);
+    }
+    return params;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions, Geometry
+/////////////////////////////////////////////////////////////////////////////////////
 
 function calcNormal(target, vec1, vec2, vec3) {
     _temp.subVectors(vec1, vec2);
@@ -794,6 +3822,343 @@ function gatherAttributes(geometry) {
     return attributeList;
 }
 
+/** Index range (vertex range of non-indexed geometry) of whole triangles within 'drawRange', as { start, count } */
+function drawnRange(geometry) {
+    const total = triangleCount(geometry) * 3;
+    const start = Math.min(total, Math.max(0, geometry.drawRange.start));
+    const end = Math.min(total, start + Math.max(0, geometry.drawRange.count));
+    return { start, count: (end - start) - ((end - start) % 3) };
+}
+
+/** Input vertex of each vertex of workingGeometry(), or undefined if the whole geometry is drawn (vertices unchanged) */
+function drawnVertices(geometry) {
+    const range = drawnRange(geometry);
+    if (range.start === 0 && range.count === triangleCount(geometry) * 3) return undefined;
+    if (geometry.index === null) return Int32Array.from({ length: range.count }, (value, i) => range.start + i);
+    const used = new Uint8Array(geometry.attributes.position.count);
+    for (let i = range.start; i < range.start + range.count; i++) used[geometry.index.getX(i)] = 1;
+    const vertices = [];
+    used.forEach((value, vertex) => { if (value) vertices.push(vertex); });
+    return Int32Array.from(vertices);
+}
+
+/**
+ * Copies geometry for subdivision, keeping only triangles within 'drawRange' (and the vertices they use). Interleaved
+ * attributes are copied into separate attributes, morph targets are aligned (see alignMorphTargets()), and groups are
+ * clipped to the drawn range. If 'indexed' is true, non-indexed geometry is indexed (see indexGeometry()).
+ */
+function workingGeometry(geometry, source = 'LoopSubdivision', indexed = false) {
+    const aligned = alignMorphTargets(geometry, source);
+    const range = drawnRange(aligned);
+    const vertices = drawnVertices(aligned);
+    const working = new THREE.BufferGeometry();
+
+    ///// Attributes
+    function copyAttribute(attribute) {
+        if (vertices) return selectAttribute(attribute, vertices);
+        if (attribute.isInterleavedBufferAttribute !== true) return attribute.clone();
+        const values = typedValues(readAttribute(attribute), attribute.data.array.constructor);
+        return new THREE.BufferAttribute(values, attribute.itemSize, attribute.normalized);
+    }
+    for (const attributeName in aligned.attributes) {
+        working.setAttribute(attributeName, copyAttribute(aligned.attributes[attributeName]));
+    }
+    for (const attributeName in aligned.morphAttributes) {
+        working.morphAttributes[attributeName] = aligned.morphAttributes[attributeName].map(copyAttribute);
+    }
+    working.morphTargetsRelative = aligned.morphTargetsRelative;
+
+    ///// Index (remapped to kept vertices)
+    if (aligned.index !== null && vertices) {
+        const remap = new Int32Array(aligned.attributes.position.count);
+        vertices.forEach((vertex, i) => remap[vertex] = i);
+        const index = new Uint32Array(range.count);
+        for (let i = 0; i < range.count; i++) index[i] = remap[aligned.index.getX(range.start + i)];
+        working.setIndex(new THREE.BufferAttribute(index, 1));
+    } else if (aligned.index !== null) {
+        working.setIndex(aligned.index.clone());
+    }
+
+    ///// Groups
+    aligned.groups.forEach((group) => {
+        const start = Math.max(group.start, range.start);
+        const end = Math.min(group.start + group.count, range.start + range.count);
+        if (end > start) working.addGroup(start - range.start, end - start, group.materialIndex);
+    });
+
+    if (aligned !== geometry) aligned.dispose();
+    if (! indexed || working.index !== null) return working;
+    const indexedGeometry = indexGeometry(working);
+    working.dispose();
+    return indexedGeometry;
+}
+
+/**
+ * Gives new geometry the layout and metadata of 'source'. Attributes interleaved in 'source' are interleaved again
+ * (same stride and offsets, one new buffer for each buffer of 'source'), attribute 'name' and 'usage' are copied, as
+ * well as geometry 'name' and 'userData' (shallow copy). Bounding volumes that were computed on 'source' are recomputed.
+ */
+function restoreLayout(geometry, source) {
+    const buffers = new Map();
+
+    ///// Attributes
+    function restoreAttribute(attribute, original, assign) {
+        if (! attribute || ! original || attribute.isInterleavedBufferAttribute === true) return;
+        attribute.name = original.name;
+        if (original.isInterleavedBufferAttribute !== true) return attribute.setUsage(original.usage);
+
+        // Only values stored the same way as the buffer can be interleaved (e.g. not recomputed float normals)
+        const data = original.data;
+        const sameType = (attribute.array.constructor === data.array.constructor);
+        if (! sameType || attribute.itemSize !== original.itemSize || attribute.normalized !== original.normalized) {
+            return attribute.setUsage(data.usage);
+        }
+        if (! buffers.has(data)) buffers.set(data, []);
+        buffers.get(data).push({ attribute, original, assign });
+    }
+    for (const attributeName in source.attributes) {
+        restoreAttribute(geometry.attributes[attributeName], source.attributes[attributeName], (interleaved) => {
+            geometry.setAttribute(attributeName, interleaved);
+        });
+    }
+    for (const attributeName in source.morphAttributes) {
+        const targets = geometry.morphAttributes[attributeName];
+        if (! targets) continue;
+        source.morphAttributes[attributeName].forEach((original, i) => {
+            restoreAttribute(targets[i], original, (interleaved) => targets[i] = interleaved);
+        });
+    }
+    if (geometry.index !== null && source.index !== null) {
+        geometry.index.name = source.index.name;
+        geometry.index.setUsage(source.index.usage);
+    }
+
+    ///// Interleaved Buffers
+    buffers.forEach((list, data) => {
+        const count = list[0].attribute.count;
+        const interleavedBuffer = new THREE.InterleavedBuffer(new data.array.constructor(count * data.stride), data.stride);
+        interleavedBuffer.setUsage(data.usage);
+        list.forEach(({ attribute, original, assign }) => {
+            const step = original.itemSize;
+            for (let i = 0; i < count; i++) {
+                for (let j = 0; j < step; j++) {
+                    interleavedBuffer.array[(i * data.stride) + original.offset + j] = attribute.array[(i * step) + j];
+                }
+            }
+            const interleaved = new THREE.InterleavedBufferAttribute(interleavedBuffer, step, original.offset, original.normalized);
+            interleaved.name = original.name;
+            assign(interleaved);
+        });
+    });
+
+    ///// Geometry
+    geometry.name = source.name;
+    geometry.userData = Object.assign({}, source.userData);
+    if (source.boundingBox !== null) geometry.computeBoundingBox();
+    if (source.boundingSphere !== null) geometry.computeBoundingSphere();
+    return geometry;
+}
+
+/**
+ * Returns non-indexed copy of geometry with provenance attributes, index of the input triangle ('sourceTriangle',
+ * counted from 'firstTriangle') and barycentric coordinates within it ('sourceBarycentric'). These are interpolated
+ * like any other attribute (nearest, linear), so they hold through splitting and every iteration. Provenance differs
+ * on either side of input edges, so with 'indexed' vertices are only shared within an input triangle (smoothing
+ * still welds by position, the surface is the same).
+ */
+function addProvenance(geometry, firstTriangle = 0) {
+    const soup = (geometry.index !== null) ? geometry.toNonIndexed() : geometry.clone();
+    const count = soup.attributes.position.count;
+    const triangles = new Int32Array(count);
+    const barycentric = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        triangles[i] = firstTriangle + Math.floor(i / 3);
+        barycentric[(i * 3) + (i % 3)] = 1;
+    }
+    soup.setAttribute(PROVENANCE_TRIANGLE, new THREE.BufferAttribute(triangles, 1));
+    soup.setAttribute(PROVENANCE_BARYCENTRIC, new THREE.BufferAttribute(barycentric, 3));
+    return soup;
+}
+
+/** Merges vertices (of non-indexed geometry) with identical attribute values, returns new indexed geometry */
+function indexGeometry(geometry) {
+    const indexed = new THREE.BufferGeometry();
+    const count = geometry.attributes.position.count;
+
+    ///// Attribute Values
+    const sources = [];
+    for (const attributeName in geometry.attributes) {
+        sources.push(readAttribute(geometry.attributes[attributeName]));
+    }
+    for (const attributeName in geometry.morphAttributes) {
+        geometry.morphAttributes[attributeName].forEach((attribute) => sources.push(readAttribute(attribute)));
+    }
+
+    ///// Find Unique Vertices
+    const buckets = new Map();
+    const remap = new Int32Array(count);
+    const unique = [];
+    for (let i = 0; i < count; i++) {
+        let hash = 0;
+        for (const values of sources) {
+            const step = values.length / count;
+            for (let j = 0; j < step; j++) hash = Math.imul(hash ^ hashNumber(values[(i * step) + j]), 16777619);
+        }
+
+        let bucket = buckets.get(hash);
+        if (bucket === undefined) buckets.set(hash, bucket = []);
+        let match = bucket.find((candidate) => sources.every((values) => {
+            const step = values.length / count;
+            for (let j = 0; j < step; j++) {
+                if (values[(candidate * step) + j] !== values[(i * step) + j]) return false;
+            }
+            return true;
+        }));
+        if (match === undefined) {
+            match = i;
+            bucket.push(i);
+            unique.push(i);
+        }
+        remap[i] = match;
+    }
+
+    ///// Build Geometry
+    const newIndex = new Int32Array(count);
+    unique.forEach((vertex, i) => newIndex[vertex] = i);
+    let source = 0;
+    function compactAttribute(attribute) {
+        const step = attribute.itemSize;
+        const values = sources[source++];
+        const array = new attribute.array.constructor(unique.length * step);
+        for (let i = 0; i < unique.length; i++) {
+            for (let j = 0; j < step; j++) array[(i * step) + j] = values[(unique[i] * step) + j];
+        }
+        return new THREE.BufferAttribute(array, step, attribute.normalized);
+    }
+    for (const attributeName in geometry.attributes) {
+        indexed.setAttribute(attributeName, compactAttribute(geometry.attributes[attributeName]));
+    }
+    for (const attributeName in geometry.morphAttributes) {
+        indexed.morphAttributes[attributeName] = geometry.morphAttributes[attributeName].map(compactAttribute);
+    }
+    indexed.morphTargetsRelative = geometry.morphTargetsRelative;
+
+    const indexArray = (unique.length > 65535) ? new Uint32Array(count) : new Uint16Array(count);
+    for (let i = 0; i < count; i++) indexArray[i] = newIndex[remap[i]];
+    indexed.setIndex(new THREE.BufferAttribute(indexArray, 1));
+
+    geometry.groups.forEach((group) => indexed.addGroup(group.start, group.count, group.materialIndex));
+    return indexed;
+}
+
+/** Number of triangles drawn by geometry */
+function triangleCount(geometry) {
+    return ((geometry.index !== null) ? geometry.index.count : geometry.attributes.position.count) / 3;
+}
+
+/** Converts indexed geometry to non-indexed geometry (disposes of indexed geometry) */
+function toTriangleSoup(geometry) {
+    if (geometry.index === null) return geometry;
+    const soup = geometry.toNonIndexed();
+    geometry.dispose();
+    return soup;
+}
+
+/** Copies attribute values into a flat array (handles interleaved attributes) */
+function readAttribute(attribute) {
+    const itemSize = attribute.itemSize;
+    const interleaved = (attribute.isInterleavedBufferAttribute === true);
+    const array = (interleaved) ? attribute.data.array : attribute.array;
+    const stride = (interleaved) ? attribute.data.stride : itemSize;
+    const offset = (interleaved) ? attribute.offset : 0;
+    const values = new Float64Array(attribute.count * itemSize);
+    for (let i = 0; i < attribute.count; i++) {
+        for (let j = 0; j < itemSize; j++) {
+            values[(i * itemSize) + j] = array[(i * stride) + offset + j];
+        }
+    }
+    return values;
+}
+
+/** Returns new attribute containing only the listed items of 'attribute' */
+function selectAttribute(attribute, items) {
+    const step = attribute.itemSize;
+    const values = readAttribute(attribute);
+    const array = new attribute.array.constructor(items.length * step);
+    for (let i = 0; i < items.length; i++) {
+        for (let j = 0; j < step; j++) array[(i * step) + j] = values[(items[i] * step) + j];
+    }
+    return new THREE.BufferAttribute(array, step, attribute.normalized);
+}
+
+/** Largest value of normalized integer attribute (values are divided by this to give 0 to 1), otherwise 1 */
+function normalizedScale(attribute) {
+    if (! attribute.normalized) return 1;
+    const array = (attribute.isInterleavedBufferAttribute === true) ? attribute.data.array : attribute.array;
+    if (array instanceof Int8Array) return 127;
+    if (array instanceof Uint8Array || array instanceof Uint8ClampedArray) return 255;
+    if (array instanceof Int16Array) return 32767;
+    if (array instanceof Uint16Array) return 65535;
+    if (array instanceof Int32Array) return 2147483647;
+    if (array instanceof Uint32Array) return 4294967295;
+    return 1;
+}
+
+/** Copies attribute values into a new array of 'arrayType', integer values are rounded and clamped to fit the type */
+function typedValues(values, arrayType, count = values.length) {
+    const array = new arrayType(count);
+    let min = -Infinity, max = Infinity;
+    if (array instanceof Int8Array) { min = -128; max = 127; }
+    if (array instanceof Uint8Array || array instanceof Uint8ClampedArray) { min = 0; max = 255; }
+    if (array instanceof Int16Array) { min = -32768; max = 32767; }
+    if (array instanceof Uint16Array) { min = 0; max = 65535; }
+    if (array instanceof Int32Array) { min = -2147483648; max = 2147483647; }
+    if (array instanceof Uint32Array) { min = 0; max = 4294967295; }
+    if (min === -Infinity) {
+        for (let i = 0; i < count; i++) array[i] = values[i];
+    } else {
+        for (let i = 0; i < count; i++) array[i] = Math.min(max, Math.max(min, Math.round(values[i])));
+    }
+    return array;
+}
+
+/** Sets 4th component (handedness) of tangent values to -1 or 1 */
+function tangentSigns(values) {
+    for (let i = 3; i < values.length; i += 4) values[i] = (values[i] < 0) ? -1 : 1;
+}
+
+/** Compares 'step' values at two indices (by first differing value), returns -1, 0 or 1 */
+function compareValues(values, a, b, step) {
+    for (let i = 0; i < step; i++) {
+        if (values[a + i] !== values[b + i]) return (values[a + i] < values[b + i]) ? -1 : 1;
+    }
+    return 0;
+}
+
+/** Reads item of attribute (any item size from 1 to 4) into Vector4, missing components are set to 0 */
+function readValue(target, attribute, index) {
+    const itemSize = attribute.itemSize;
+    target.set(attribute.getX(index), 0, 0, 0);
+    if (itemSize >= 2) target.y = attribute.getY(index);
+    if (itemSize >= 3) target.z = attribute.getZ(index);
+    if (itemSize >= 4) target.w = attribute.getW(index);
+    return target;
+}
+
+/** Midpoint of two values, if 'nearest' the lesser of the two values (same result regardless of order) */
+function midpointValue(target, a, b, nearest = false) {
+    if (! nearest) return target.copy(a).add(b).divideScalar(2.0);
+    const first = (a.x !== b.x) ? a.x < b.x : (a.y !== b.y) ? a.y < b.y : (a.z !== b.z) ? a.z < b.z : a.w <= b.w;
+    return target.copy((first) ? a : b);
+}
+
+/** Adds 'step' values from 'source' (multiplied by 'scale') to 'target' */
+function addScaled(target, targetIndex, source, sourceIndex, step, scale) {
+    for (let i = 0; i < step; i++) {
+        target[targetIndex + i] += source[sourceIndex + i] * scale;
+    }
+}
+
 function setTriangle(positions, index, step, vec0, vec1, vec2) {
     if (step >= 1) {
         positions[index + 0 + (step * 0)] = vec0.x;
@@ -817,19 +4182,19 @@ function setTriangle(positions, index, step, vec0, vec1, vec2) {
     }
 }
 
-function verifyGeometry(geometry) {
+function verifyGeometry(geometry, source = 'LoopSubdivision') {
     if (geometry === undefined) {
-        console.warn(`LoopSubdivision: Geometry provided is undefined`);
+        console.warn(`${source}: Geometry provided is undefined`);
         return false;
     }
 
     if (! geometry.isBufferGeometry) {
-        console.warn(`LoopSubdivision: Geometry provided is not 'BufferGeometry' type`);
+        console.warn(`${source}: Geometry provided is not 'BufferGeometry' type`);
         return false;
     }
 
     if (geometry.attributes.position === undefined) {
-        console.warn(`LoopSubdivision: Geometry provided missing required 'position' attribute`);
+        console.warn(`${source}: Geometry provided missing required 'position' attribute`);
         return false;
     }
 
@@ -838,3 +4203,17 @@ function verifyGeometry(geometry) {
     }
     return true;
 }
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Shared Functions (used by other modifiers in this package, not part of public api)
+/////////////////////////////////////////////////////////////////////////////////////
+
+export {
+    createTupleTable, tupleIndex, tupleFind, roundShift, lerp,
+    weldAttribute, gatherAttributes, indexGeometry, geometryCorners, readAttribute, toTriangleSoup, verifyGeometry,
+    subdivideSkin, attributeMode, isDropped, verifyPolicies, typedValues, tangentSigns, compareValues, normalParams,
+    generateNormals, generateTangents, hashNumber, alignMorphTargets, weldTolerance, verifyTolerance,
+    workingGeometry, restoreLayout, weldTopology, buildTopology, subdivideTopology, subdivideCorners, subdivideAttribute,
+    gatherCreases, applyCreases, boundaryCorner, vertexWeights, creaseMasks, limitValues,
+    subdivideMessage, serializeGeometry, deserializeGeometry, transferList,
+};
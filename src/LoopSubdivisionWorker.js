@@ -0,0 +1,35 @@
+/**
+ * @description Loop Subdivision Worker
+ * @about       Web Worker used by LoopSubdivision.modifyAsync() to subdivide three.js BufferGeometry off the main thread.
+ * @author      Stephens Nunnally <@stevinz>
+ * @license     MIT - Copyright (c) 2022 Stephens Nunnally
+ * @source      https://github.com/stevinz/three-subdivide
+ */
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  Info
+//      Receives { geometry, iterations, params, progress } (geometry serialized into typed arrays), replies with
+//      { geometry } (arrays are transferred back), or { error } if subdivision failed. If 'progress' is true,
+//      { progress } messages are sent while subdividing. Sends { ready } once loaded, so errors after that are not
+//      mistaken for the worker failing to start.
+//
+//      Load as a module worker, this file imports 'three' (through LoopSubdivision.js):
+//          new Worker(new URL('./LoopSubdivisionWorker.js', import.meta.url), { type: 'module' });
+//
+//      The build ('build/LoopSubdivisionWorker.js') bundles 'three', so it loads without an import map or bundler.
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import { subdivideMessage, transferList } from './LoopSubdivision.js';
+
+self.onmessage = function(event) {
+    const onProgress = (event.data.progress) ? (progress) => self.postMessage({ progress }) : undefined;
+    try {
+        const geometry = subdivideMessage(event.data, { onProgress });
+        self.postMessage({ geometry }, transferList(geometry));
+    } catch (error) {
+        self.postMessage({ error: (error && error.message) ? error.message : String(error) });
+    }
+};
+
+self.postMessage({ ready: true });
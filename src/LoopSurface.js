@@ -0,0 +1,439 @@
+/**
+ * @description Loop Limit Surface
+ * @about       Evaluates points on the Loop subdivision limit surface of three.js BufferGeometry.
+ * @author      Stephens Nunnally <@stevinz>
+ * @license     MIT - Copyright (c) 2022 Stephens Nunnally
+ * @source      https://github.com/stevinz/three-subdivide
+ */
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  Functions
+//      evaluate            Finds position, normal, derivatives and attributes at a point on the limit surface
+//
+//  Info
+//      LoopSurface evaluates the limit surface of a control mesh (the smooth surface that LoopSubdivision
+//      converges to) without building a dense mesh. Points are given as a triangle index of the control mesh and
+//      barycentric coordinates (weights of the three corners of the triangle).
+//
+//      Like Stam's method, triangles with regular corners (interior vertices with 6 neighbors, no creases) are
+//      evaluated directly with the 12 quartic box spline basis functions of the surrounding control points. Other
+//      triangles are subdivided locally (only the triangles around the point) until the point falls inside a
+//      regular triangle. Stam uses the eigen structure of the subdivision matrix to jump straight to that level,
+//      here subdivision steps are applied directly, which also handles boundaries and creases with the same rules
+//      as LoopSubdivision.modify().
+//
+//  Note(s)
+//      - Derivatives are with respect to the barycentric coordinates of the control triangle, 'du' moves toward
+//        the second corner of the triangle, 'dv' moves toward the third corner.
+//
+//      - Points on (or very close to) extraordinary vertices, boundaries and creases are found after MAX_DEPTH
+//        levels of subdivision, interpolated between the limit positions of the (very small) triangle found there.
+//
+//      - Other attributes (uv, color, etc.) are interpolated across the control triangle, they are not smoothed.
+//        Integer attributes that aren't normalized use the value of the nearest corner.
+//
+//  Reference(s)
+//      - Evaluation of Loop Subdivision Surfaces, Jos Stam (SIGGRAPH 1998)
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import * as THREE from 'three';
+import {
+    tupleFind, gatherAttributes, indexGeometry, geometryCorners, readAttribute, verifyGeometry, attributeMode,
+    weldTopology, buildTopology, subdivideTopology, subdivideCorners, subdivideAttribute, gatherCreases, applyCreases,
+    vertexWeights, creaseMasks, limitValues,
+} from './LoopSubdivision.js';
+
+///// Constants
+
+const MAX_DEPTH = 16;
+
+/**
+ * Quartic box spline basis functions of a regular patch, as lists of [ coefficient, power u, power v, power w ]
+ * (each function is divided by 12). Control points are numbered by row, the evaluated triangle is (4, 7, 8):
+ *
+ *          1   2
+ *        3   4   5
+ *      6   7   8   9
+ *       10  11  12
+ */
+const BOX_SPLINE = [
+    [ [ 1, 4, 0, 0 ], [ 2, 3, 1, 0 ] ],
+    [ [ 1, 4, 0, 0 ], [ 2, 3, 0, 1 ] ],
+    [ [ 1, 4, 0, 0 ], [ 2, 3, 0, 1 ], [ 6, 3, 1, 0 ], [ 6, 2, 1, 1 ], [ 12, 2, 2, 0 ], [ 6, 1, 2, 1 ], [ 6, 1, 3, 0 ],
+      [ 2, 0, 3, 1 ], [ 1, 0, 4, 0 ] ],
+    [ [ 6, 4, 0, 0 ], [ 24, 3, 0, 1 ], [ 24, 2, 0, 2 ], [ 8, 1, 0, 3 ], [ 1, 0, 0, 4 ], [ 24, 3, 1, 0 ], [ 60, 2, 1, 1 ],
+      [ 36, 1, 1, 2 ], [ 6, 0, 1, 3 ], [ 24, 2, 2, 0 ], [ 36, 1, 2, 1 ], [ 12, 0, 2, 2 ], [ 8, 1, 3, 0 ], [ 6, 0, 3, 1 ],
+      [ 1, 0, 4, 0 ] ],
+    [ [ 1, 4, 0, 0 ], [ 6, 3, 0, 1 ], [ 12, 2, 0, 2 ], [ 6, 1, 0, 3 ], [ 1, 0, 0, 4 ], [ 2, 3, 1, 0 ], [ 6, 2, 1, 1 ],
+      [ 6, 1, 1, 2 ], [ 2, 0, 1, 3 ] ],
+    [ [ 2, 1, 3, 0 ], [ 1, 0, 4, 0 ] ],
+    [ [ 1, 4, 0, 0 ], [ 6, 3, 0, 1 ], [ 12, 2, 0, 2 ], [ 6, 1, 0, 3 ], [ 1, 0, 0, 4 ], [ 8, 3, 1, 0 ], [ 36, 2, 1, 1 ],
+      [ 36, 1, 1, 2 ], [ 8, 0, 1, 3 ], [ 24, 2, 2, 0 ], [ 60, 1, 2, 1 ], [ 24, 0, 2, 2 ], [ 24, 1, 3, 0 ], [ 24, 0, 3, 1 ],
+      [ 6, 0, 4, 0 ] ],
+    [ [ 1, 4, 0, 0 ], [ 8, 3, 0, 1 ], [ 24, 2, 0, 2 ], [ 24, 1, 0, 3 ], [ 6, 0, 0, 4 ], [ 6, 3, 1, 0 ], [ 36, 2, 1, 1 ],
+      [ 60, 1, 1, 2 ], [ 24, 0, 1, 3 ], [ 12, 2, 2, 0 ], [ 36, 1, 2, 1 ], [ 24, 0, 2, 2 ], [ 6, 1, 3, 0 ], [ 8, 0, 3, 1 ],
+      [ 1, 0, 4, 0 ] ],
+    [ [ 2, 1, 0, 3 ], [ 1, 0, 0, 4 ] ],
+    [ [ 2, 0, 3, 1 ], [ 1, 0, 4, 0 ] ],
+    [ [ 2, 1, 0, 3 ], [ 1, 0, 0, 4 ], [ 6, 1, 1, 2 ], [ 6, 0, 1, 3 ], [ 6, 1, 2, 1 ], [ 12, 0, 2, 2 ], [ 2, 1, 3, 0 ],
+      [ 6, 0, 3, 1 ], [ 1, 0, 4, 0 ] ],
+    [ [ 1, 0, 0, 4 ], [ 2, 0, 1, 3 ] ],
+];
+
+/** Change of child triangle parameters (u, v) for each parent parameter, [ du/du, du/dv, dv/du, dv/dv ] */
+const CHILD_JACOBIAN = [
+    [ 2, 0, 0, 2 ],
+    [ 0, 2, -2, -2 ],
+    [ -2, -2, 2, 0 ],
+    [ 2, 2, -2, 0 ],
+];
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Loop Limit Surface
+/////////////////////////////////////////////////////////////////////////////////////
+
+export class LoopSurface {
+
+    /**
+     * Builds limit surface evaluator from control geometry
+     *
+     * @param {Object} geometry - Three.js BufferGeometry (control mesh)
+     * @param {Object} params - Optional parameters object, uses 'creases', 'creaseAngle', 'boundary' and 'tolerance' (see LoopSubdivision.modify())
+     */
+    constructor(geometry, params = {}) {
+
+        if (typeof params !== 'object') params = {};
+
+        ///// Parameters (box spline patches need the original Loop weights)
+        if (params.boundary === undefined) params.boundary = 'smooth';
+        this.params = Object.assign({}, params, { weight: 1, preserveEdges: false });
+
+        this.triangleCount = 0;
+        if (! verifyGeometry(geometry, 'LoopSurface')) return;
+
+        ///// Topology
+        const existing = (geometry.index !== null) ? geometry : indexGeometry(geometry);
+        this.corners = geometryCorners(existing);
+        this.topology = weldTopology(existing, this.params);
+        applyCreases(this.topology, existing, gatherCreases(geometry, this.params), this.params);
+        this.triangleCount = this.corners.length / 3;
+
+        ///// Welded Positions
+        const positions = readAttribute(existing.getAttribute('position'));
+        this.positions = new Float64Array(this.topology.vertexCount * 3);
+        for (let c = 0; c < this.corners.length; c++) {
+            for (let i = 0; i < 3; i++) this.positions[(this.topology.cornerVertex[c] * 3) + i] = positions[(this.corners[c] * 3) + i];
+        }
+
+        ///// Attributes
+        this.attributes = [];
+        gatherAttributes(existing).forEach((attributeName) => {
+            if (attributeName === 'position' || attributeName === 'normal') return;
+            const attribute = existing.getAttribute(attributeName);
+            if (attribute === undefined) return;
+            this.attributes.push({
+                name: attributeName,
+                itemSize: attribute.itemSize,
+                nearest: (attributeMode(attributeName, attribute, {}) === 'nearest'),
+                values: readAttribute(attribute),
+            });
+        });
+
+        if (existing !== geometry) existing.dispose();
+    }
+
+    /**
+     * Evaluates limit surface at a point of a control triangle. Only position, normal and derivatives are on the limit
+     * surface, other attributes are interpolated linearly across the control triangle (not smoothed, so they do not
+     * match the values of modify(), which smooths 'uv' with 'uvSmooth' and other attributes by policy). Integer
+     * attributes that aren't normalized use the value of the nearest corner.
+     *
+     * @param {Number} triangle - Triangle index of control geometry
+     * @param {Object} barycentric - Three.js Vector3, weights of the three corners of the triangle
+     * @param {Object} target - Optional object to store results in
+     * @returns {Object} { position, normal, du, dv (Vector3), attributes: { name: Array of values } }
+     */
+    evaluate(triangle, barycentric, target = {}) {
+        if (! target.position) target.position = new THREE.Vector3();
+        if (! target.normal) target.normal = new THREE.Vector3();
+        if (! target.du) target.du = new THREE.Vector3();
+        if (! target.dv) target.dv = new THREE.Vector3();
+        if (! target.attributes) target.attributes = {};
+
+        if (! (triangle >= 0 && triangle < this.triangleCount)) {
+            console.warn(`LoopSurface: Triangle index ${triangle} is out of range`);
+            return target;
+        }
+
+        ///// Barycentric Coordinates
+        const sum = barycentric.x + barycentric.y + barycentric.z;
+        const b = [ barycentric.x / sum, barycentric.y / sum, barycentric.z / sum ];
+
+        ///// Limit Position, Derivatives
+        const result = limitPoint(this, triangle, b.slice());
+        target.position.set(result[0], result[1], result[2]);
+        target.du.set(result[3], result[4], result[5]);
+        target.dv.set(result[6], result[7], result[8]);
+        target.normal.crossVectors(target.du, target.dv).normalize();
+
+        ///// Attributes
+        const nearest = b.indexOf(Math.max(b[0], b[1], b[2]));
+        this.attributes.forEach((attribute) => {
+            const { name, itemSize, values } = attribute;
+            const array = target.attributes[name] || (target.attributes[name] = []);
+            array.length = itemSize;
+            for (let i = 0; i < itemSize; i++) {
+                if (attribute.nearest) {
+                    array[i] = values[(this.corners[(triangle * 3) + nearest] * itemSize) + i];
+                    continue;
+                }
+                array[i] = 0;
+                for (let j = 0; j < 3; j++) array[i] += values[(this.corners[(triangle * 3) + j] * itemSize) + i] * b[j];
+            }
+        });
+
+        return target;
+    }
+
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions
+/////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Finds limit position and derivatives at barycentric coordinates 'b' of triangle, subdivides around the point until
+ * the point is inside a regular patch, returns Float64Array [ position, du, dv ]
+ */
+function limitPoint(surface, triangle, b) {
+    const result = new Float64Array(9);
+    let level = { topology: surface.topology, positions: surface.positions };
+    let jacobian = [ 1, 0, 0, 1 ];
+
+    for (let depth = 0; ; depth++) {
+
+        // Regular Patch
+        const patch = regularPatch(level.topology, triangle);
+        if (patch) {
+            boxSpline(level.positions, patch, b, result);
+            break;
+        }
+
+        // Extraordinary Vertex, Boundary, Crease
+        if (depth === MAX_DEPTH) {
+            limitTriangle(level, triangle, b, surface.params, result);
+            break;
+        }
+
+        // Subdivide Triangles around Point
+        const region = extractRegion(level, triangle);
+        level = subdivideRegion(region, surface.params);
+        const child = childTriangle(b);
+        const scale = CHILD_JACOBIAN[child];
+        jacobian = [
+            (scale[0] * jacobian[0]) + (scale[1] * jacobian[2]), (scale[0] * jacobian[1]) + (scale[1] * jacobian[3]),
+            (scale[2] * jacobian[0]) + (scale[3] * jacobian[2]), (scale[2] * jacobian[1]) + (scale[3] * jacobian[3]),
+        ];
+        triangle = (region.triangle * 4) + child;
+    }
+
+    ///// Derivatives of Control Triangle Parameters
+    for (let i = 0; i < 3; i++) {
+        const du = result[3 + i];
+        const dv = result[6 + i];
+        result[3 + i] = (du * jacobian[0]) + (dv * jacobian[2]);
+        result[6 + i] = (du * jacobian[1]) + (dv * jacobian[3]);
+    }
+    return result;
+}
+
+/** Finds child triangle (in Loop child order) containing barycentric coordinates 'b', updates 'b' for child */
+function childTriangle(b) {
+    const [ b0, b1, b2 ] = b;
+    if (b0 >= 0.5) {
+        b[0] = (2 * b0) - 1; b[1] = 2 * b1; b[2] = 2 * b2;
+        return 0;
+    } else if (b1 >= 0.5) {
+        b[0] = (2 * b1) - 1; b[1] = 2 * b2; b[2] = 2 * b0;
+        return 1;
+    } else if (b2 >= 0.5) {
+        b[0] = (2 * b2) - 1; b[1] = 2 * b0; b[2] = 2 * b1;
+        return 2;
+    }
+    b[0] = 1 - (2 * b2); b[1] = 1 - (2 * b0); b[2] = 1 - (2 * b1);
+    return 3;
+}
+
+/**
+ * Returns 12 control points (welded vertices, in BOX_SPLINE order) around triangle if the corners of the triangle
+ * are regular (interior, 6 neighbors, no creased edges), otherwise returns undefined
+ */
+function regularPatch(topology, triangle) {
+    const { cornerVertex, neighborStart, vertexCornerStart, vertexCorners, triangleEdges, edgeOppositeStart, edgeSharpness, vertexMask } = topology;
+
+    for (let j = 0; j < 3; j++) {
+        const v = cornerVertex[(triangle * 3) + j];
+        if (neighborStart[v + 1] - neighborStart[v] !== 6) return undefined;
+        if (vertexCornerStart[v + 1] - vertexCornerStart[v] !== 6) return undefined;
+        if (vertexMask && vertexMask[v] < 1) return undefined;
+        for (let k = vertexCornerStart[v]; k < vertexCornerStart[v + 1]; k++) {
+            const corner = vertexCorners[k];
+            const edge = triangleEdges[corner];
+            if (edgeOppositeStart[edge + 1] - edgeOppositeStart[edge] !== 2) return undefined;
+            if (edgeSharpness && edgeSharpness[edge] > 0) return undefined;
+        }
+    }
+
+    function opposite(a, b, not) {
+        if (a < 0 || b < 0) return -1;
+        const edge = tupleFind(topology.edgeTable, Math.min(a, b), Math.max(a, b));
+        if (edge < 0) return -1;
+        for (let j = edgeOppositeStart[edge]; j < edgeOppositeStart[edge + 1]; j++) {
+            const vertex = cornerVertex[topology.edgeOpposites[j]];
+            if (vertex !== not) return vertex;
+        }
+        return -1;
+    }
+
+    const p4 = cornerVertex[(triangle * 3) + 0];
+    const p7 = cornerVertex[(triangle * 3) + 1];
+    const p8 = cornerVertex[(triangle * 3) + 2];
+    const p3 = opposite(p4, p7, p8);
+    const p5 = opposite(p4, p8, p7);
+    const p11 = opposite(p7, p8, p4);
+    const patch = [
+        opposite(p4, p3, p7), opposite(p4, p5, p8),
+        p3, p4, p5,
+        opposite(p7, p3, p4), p7, p8, opposite(p8, p5, p4),
+        opposite(p7, p11, p8), p11, opposite(p8, p11, p7),
+    ];
+    return (patch.includes(-1)) ? undefined : patch;
+}
+
+/** Evaluates box spline of regular patch at barycentric coordinates 'b' into 'result' (position, du, dv) */
+function boxSpline(positions, patch, b, result) {
+    const [ u, v, w ] = b;
+    result.fill(0);
+    for (let p = 0; p < 12; p++) {
+        let value = 0, du = 0, dv = 0, dw = 0;
+        BOX_SPLINE[p].forEach(([ coefficient, pu, pv, pw ]) => {
+            const termU = Math.pow(u, pu), termV = Math.pow(v, pv), termW = Math.pow(w, pw);
+            value += coefficient * termU * termV * termW;
+            if (pu > 0) du += coefficient * pu * Math.pow(u, pu - 1) * termV * termW;
+            if (pv > 0) dv += coefficient * pv * termU * Math.pow(v, pv - 1) * termW;
+            if (pw > 0) dw += coefficient * pw * termU * termV * Math.pow(w, pw - 1);
+        });
+
+        // Parameters are (v, w), u = 1 - v - w
+        const index = patch[p] * 3;
+        for (let i = 0; i < 3; i++) {
+            result[0 + i] += positions[index + i] * value / 12;
+            result[3 + i] += positions[index + i] * (dv - du) / 12;
+            result[6 + i] += positions[index + i] * (dw - du) / 12;
+        }
+    }
+}
+
+/** Interpolates limit positions of the corners of a (very small) triangle into 'result' (position, du, dv) */
+function limitTriangle(level, triangle, b, params, result) {
+    const { topology, positions } = level;
+    const corners = topology.cornerVertex;
+    const wedgeVertex = new Int32Array(topology.vertexCount);
+    for (let v = 0; v < wedgeVertex.length; v++) wedgeVertex[v] = v;
+    const weights = vertexWeights(topology, params);
+    const creases = creaseMasks(topology, params);
+    const limit = limitValues(positions, 3, { topology, corners, weights, wedgeVertex, creases });
+
+    const a = corners[(triangle * 3) + 0] * 3;
+    const c1 = corners[(triangle * 3) + 1] * 3;
+    const c2 = corners[(triangle * 3) + 2] * 3;
+    for (let i = 0; i < 3; i++) {
+        result[0 + i] = (limit[a + i] * b[0]) + (limit[c1 + i] * b[1]) + (limit[c2 + i] * b[2]);
+        result[3 + i] = limit[c1 + i] - limit[a + i];
+        result[6 + i] = limit[c2 + i] - limit[a + i];
+    }
+}
+
+/**
+ * Copies triangles touching the corners of triangle (and their neighbors) into a new topology, enough control
+ * points that the patch of any child triangle is subdivided exactly. Returns { topology, positions, triangle }.
+ */
+function extractRegion(level, triangle) {
+    const { topology, positions } = level;
+    const { cornerVertex, neighborStart, neighborVertex, vertexCornerStart, vertexCorners, edgeSharpness, vertexCorner } = topology;
+
+    ///// Vertices within one Edge of Triangle
+    const near = new Set();
+    for (let j = 0; j < 3; j++) {
+        const v = cornerVertex[(triangle * 3) + j];
+        near.add(v);
+        for (let n = neighborStart[v]; n < neighborStart[v + 1]; n++) near.add(neighborVertex[n]);
+    }
+
+    ///// Triangles touching those Vertices
+    const triangles = new Set([ triangle ]);
+    near.forEach((v) => {
+        for (let j = vertexCornerStart[v]; j < vertexCornerStart[v + 1]; j++) triangles.add(Math.floor(vertexCorners[j] / 3));
+    });
+
+    ///// Local Vertices
+    const vertexMap = new Map();
+    const localCorners = new Int32Array(triangles.size * 3);
+    let c = 0;
+    triangles.forEach((t) => {
+        for (let j = 0; j < 3; j++) {
+            const v = cornerVertex[(t * 3) + j];
+            if (! vertexMap.has(v)) vertexMap.set(v, vertexMap.size);
+            localCorners[c++] = vertexMap.get(v);
+        }
+    });
+    const localPositions = new Float64Array(vertexMap.size * 3);
+    vertexMap.forEach((local, v) => {
+        for (let i = 0; i < 3; i++) localPositions[(local * 3) + i] = positions[(v * 3) + i];
+    });
+
+    ///// Topology, Creases, Boundary Corners
+    const localTopology = buildTopology(localCorners, vertexMap.size);
+    const globalVertex = new Int32Array(vertexMap.size);
+    vertexMap.forEach((local, v) => { globalVertex[local] = v; });
+    if (vertexCorner) localTopology.vertexCorner = Uint8Array.from(globalVertex, (v) => vertexCorner[v]);
+    if (edgeSharpness) {
+        const { edgeCount, edgeVertices } = localTopology;
+        localTopology.edgeSharpness = new Float64Array(edgeCount);
+        for (let e = 0; e < edgeCount; e++) {
+            const a = globalVertex[edgeVertices[(e * 2) + 0]];
+            const b = globalVertex[edgeVertices[(e * 2) + 1]];
+            const edge = tupleFind(topology.edgeTable, Math.min(a, b), Math.max(a, b));
+            localTopology.edgeSharpness[e] = edgeSharpness[edge];
+        }
+    }
+
+    return { topology: localTopology, positions: localPositions, triangle: 0 };
+}
+
+/** Loop subdivides positions of region, returns { topology, positions } of next level */
+function subdivideRegion(region, params) {
+    const { topology, positions } = region;
+    const corners = topology.cornerVertex;
+    const subdivision = subdivideCorners(corners, topology.vertexCount);
+    const wedgeVertex = new Int32Array(topology.vertexCount);
+    for (let v = 0; v < wedgeVertex.length; v++) wedgeVertex[v] = v;
+    const loopData = {
+        topology, corners, subdivision, wedgeVertex,
+        weights: vertexWeights(topology, params),
+        creases: creaseMasks(topology, params),
+        faceVarying: {},
+    };
+    const values = subdivideAttribute('position', new THREE.BufferAttribute(positions, 3), loopData, params);
+
+    ///// Welded Positions of Next Level
+    const nextTopology = subdivideTopology(topology);
+    const nextPositions = new Float64Array(nextTopology.vertexCount * 3);
+    for (let c = 0; c < subdivision.corners.length; c++) {
+        const w = subdivision.corners[c] * 3;
+        const v = nextTopology.cornerVertex[c] * 3;
+        for (let i = 0; i < 3; i++) nextPositions[v + i] = values[w + i];
+    }
+    return { topology: nextTopology, positions: nextPositions };
+}
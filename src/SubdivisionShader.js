@@ -0,0 +1,269 @@
+/**
+ * @description Subdivision Shader
+ * @about       Evaluates prepared Loop subdivision stencils in the vertex shader of three.js materials.
+ * @author      Stephens Nunnally <@stevinz>
+ * @license     MIT - Copyright (c) 2022 Stephens Nunnally
+ * @source      https://github.com/stevinz/three-subdivide
+ */
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  Functions
+//      createTables        Packs stencils of LoopSubdivision.prepare() into arrays ready for data textures
+//      evaluate            CPU reference of the shader, finds positions and normals from packed tables
+//      apply               Patches a material (onBeforeCompile) to find positions and normals on the GPU
+//
+//  Info
+//      LoopSubdivision.prepare() stores every subdivided position as a weighted sum (stencil) of the input
+//      (control) positions, along with two tangents that give the normal. SubdivisionShader moves those sums to
+//      the GPU. Stencil entries are stored in a float texture (one texel per entry: control index, position
+//      weight, tangent weights), each vertex of the subdivided geometry gets a 'stencil' attribute (first entry,
+//      entry count), and control positions are uploaded to a second float texture every frame. The vertex shader
+//      sums its entries in place of the 'position' and 'normal' attributes.
+//
+//      createTables() and evaluate() don't need WebGL (they run in Node), evaluate() follows the same steps as
+//      the shader, reading from the same packed tables.
+//
+//  Note(s)
+//      - Needs float textures and vertex texture fetch (WebGL 2, or WebGL 1 with OES_texture_float).
+//
+//      - Works with materials whose vertex shader includes <begin_vertex> (all built in materials, and
+//        ShaderMaterial using the three.js chunks). Normals are replaced where <beginnormal_vertex> is included.
+//
+//      - Bounding sphere of the geometry is set from the control positions by update(), since the subdivided
+//        positions are only known on the GPU.
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import * as THREE from 'three';
+
+///// Constants
+
+const STENCIL_ATTRIBUTE = 'stencil';
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Subdivision Shader
+/////////////////////////////////////////////////////////////////////////////////////
+
+export class SubdivisionShader {
+
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Tables
+    ////////////////////
+
+    /**
+     * Packs the stencils of a prepared subdivision (from LoopSubdivision.prepare()) into typed arrays.
+     *
+     * @returns {Object} { stencilData, stencilWidth, stencilHeight, vertexStencil, maxCount, controlCount,
+     *                   controlWidth, controlHeight }. 'stencilData' has 4 floats per entry (control index, weight,
+     *                   tangent u weight, tangent v weight), 'vertexStencil' has 2 floats per vertex of the prepared
+     *                   geometry (first entry, entry count)
+     */
+    static createTables(prepared) {
+        const { stencils, outputVertex, controlCount } = prepared;
+        const entryCount = stencils.index.length;
+
+        ///// Stencil Entries
+        const stencilWidth = textureWidth(entryCount);
+        const stencilHeight = Math.max(1, Math.ceil(entryCount / stencilWidth));
+        const stencilData = new Float32Array(stencilWidth * stencilHeight * 4);
+        for (let j = 0; j < entryCount; j++) {
+            stencilData[(j * 4) + 0] = stencils.index[j];
+            stencilData[(j * 4) + 1] = stencils.weight[j];
+            stencilData[(j * 4) + 2] = stencils.tangentU[j];
+            stencilData[(j * 4) + 3] = stencils.tangentV[j];
+        }
+
+        ///// Vertices
+        let maxCount = 1;
+        const vertexStencil = new Float32Array(outputVertex.length * 2);
+        for (let i = 0; i < outputVertex.length; i++) {
+            const v = outputVertex[i];
+            const count = stencils.start[v + 1] - stencils.start[v];
+            vertexStencil[(i * 2) + 0] = stencils.start[v];
+            vertexStencil[(i * 2) + 1] = count;
+            maxCount = Math.max(maxCount, count);
+        }
+
+        ///// Control Positions
+        const controlWidth = textureWidth(controlCount);
+        const controlHeight = Math.max(1, Math.ceil(controlCount / controlWidth));
+
+        return { stencilData, stencilWidth, stencilHeight, vertexStencil, maxCount, controlCount, controlWidth, controlHeight };
+    }
+
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Evaluate
+    ////////////////////
+
+    /**
+     * CPU reference of the vertex shader. Finds positions and normals of the vertices of the prepared geometry
+     * from packed 'tables' (from createTables()) and control positions ('positionArray', 3 values per vertex).
+     *
+     * @returns {Object} { position, normal } Float32Arrays, 3 values per vertex (filled into 'target' if provided)
+     */
+    static evaluate(tables, positionArray, target = {}) {
+        const { stencilData, vertexStencil } = tables;
+        const vertexCount = vertexStencil.length / 2;
+        const position = target.position || new Float32Array(vertexCount * 3);
+        const normal = target.normal || new Float32Array(vertexCount * 3);
+        const sum = new Float64Array(9);
+
+        for (let i = 0; i < vertexCount; i++) {
+            sum.fill(0);
+            const start = vertexStencil[(i * 2) + 0];
+            const count = vertexStencil[(i * 2) + 1];
+            for (let j = start; j < start + count; j++) {
+                const control = stencilData[(j * 4) + 0] * 3;
+                for (let k = 0; k < 3; k++) {
+                    const value = positionArray[control + k];
+                    sum[k + 0] += value * stencilData[(j * 4) + 1];
+                    sum[k + 3] += value * stencilData[(j * 4) + 2];
+                    sum[k + 6] += value * stencilData[(j * 4) + 3];
+                }
+            }
+
+            // Normal, cross product of tangents (or +Z when tangents are parallel, like the shader)
+            const nx = (sum[4] * sum[8]) - (sum[5] * sum[7]);
+            const ny = (sum[5] * sum[6]) - (sum[3] * sum[8]);
+            const nz = (sum[3] * sum[7]) - (sum[4] * sum[6]);
+            const length = Math.sqrt((nx * nx) + (ny * ny) + (nz * nz));
+            position.set([ sum[0], sum[1], sum[2] ], i * 3);
+            normal.set((length > 0) ? [ nx / length, ny / length, nz / length ] : [ 0, 0, 1 ], i * 3);
+        }
+
+        target.position = position;
+        target.normal = normal;
+        return target;
+    }
+
+    /////////////////////////////////////////////////////////////////////////////////////
+    /////   Apply
+    ////////////////////
+
+    /**
+     * Adds the 'stencil' attribute to the prepared geometry, and patches 'material' to find positions and normals
+     * from stencil textures in the vertex shader. Call update() with control positions before rendering.
+     *
+     * @returns {Object} { material, uniforms, tables, update(positionArray), dispose() }
+     */
+    static apply(prepared, material) {
+        const tables = SubdivisionShader.createTables(prepared);
+        const geometry = prepared.geometry;
+        geometry.setAttribute(STENCIL_ATTRIBUTE, new THREE.BufferAttribute(tables.vertexStencil, 2));
+
+        ///// Textures
+        const stencilTexture = new THREE.DataTexture(tables.stencilData, tables.stencilWidth, tables.stencilHeight,
+            THREE.RGBAFormat, THREE.FloatType);
+        stencilTexture.needsUpdate = true;
+        const controlData = new Float32Array(tables.controlWidth * tables.controlHeight * 4);
+        const controlTexture = new THREE.DataTexture(controlData, tables.controlWidth, tables.controlHeight,
+            THREE.RGBAFormat, THREE.FloatType);
+        const uniforms = {
+            stencilTable: { value: stencilTexture },
+            stencilTableSize: { value: new THREE.Vector2(tables.stencilWidth, tables.stencilHeight) },
+            stencilControl: { value: controlTexture },
+            stencilControlSize: { value: new THREE.Vector2(tables.controlWidth, tables.controlHeight) },
+        };
+
+        ///// Material
+        const previousCompile = material.onBeforeCompile;
+        const previousKey = material.customProgramCacheKey;
+        material.onBeforeCompile = function(shader, renderer) {
+            if (typeof previousCompile === 'function') previousCompile.call(this, shader, renderer);
+            Object.assign(shader.uniforms, uniforms);
+            shader.vertexShader = vertexHeader(tables.maxCount) + shader.vertexShader
+                .replace('#include <beginnormal_vertex>', BEGIN_NORMAL_VERTEX)
+                .replace('#include <begin_vertex>', BEGIN_VERTEX);
+        };
+        material.customProgramCacheKey = function() {
+            return previousKey.call(this) + `|subdivision-stencil-${tables.maxCount}`;
+        };
+        material.needsUpdate = true;
+
+        ///// Control Positions
+        const box = new THREE.Box3();
+        function update(positionArray) {
+            for (let i = 0; i < tables.controlCount; i++) {
+                controlData[(i * 4) + 0] = positionArray[(i * 3) + 0];
+                controlData[(i * 4) + 1] = positionArray[(i * 3) + 1];
+                controlData[(i * 4) + 2] = positionArray[(i * 3) + 2];
+            }
+            controlTexture.needsUpdate = true;
+            box.setFromArray(positionArray);
+            if (! geometry.boundingSphere) geometry.boundingSphere = new THREE.Sphere();
+            box.getBoundingSphere(geometry.boundingSphere);
+            return geometry;
+        }
+
+        function dispose() {
+            stencilTexture.dispose();
+            controlTexture.dispose();
+        }
+
+        return { material, uniforms, tables, update, dispose };
+    }
+
+}
+
+/////////////////////////////////////////////////////////////////////////////////////
+/////   Local Functions
+/////////////////////////////////////////////////////////////////////////////////////
+
+/** Width of a roughly square texture holding 'count' texels */
+function textureWidth(count) {
+    return Math.max(1, Math.ceil(Math.sqrt(count)));
+}
+
+function vertexHeader(maxCount) {
+    return /* glsl */`
+        #define STENCIL_MAX_COUNT ${maxCount}
+
+        uniform sampler2D stencilTable;
+        uniform vec2 stencilTableSize;
+        uniform sampler2D stencilControl;
+        uniform vec2 stencilControlSize;
+        attribute vec2 ${STENCIL_ATTRIBUTE};
+
+        vec4 stencilTexel( sampler2D map, vec2 size, float index ) {
+            float y = floor( ( index + 0.5 ) / size.x );
+            float x = index - ( y * size.x );
+            return texture2D( map, ( vec2( x, y ) + 0.5 ) / size );
+        }
+
+        void stencilEvaluate( out vec3 stencilPosition, out vec3 stencilNormal ) {
+            vec3 tangentU = vec3( 0.0 );
+            vec3 tangentV = vec3( 0.0 );
+            stencilPosition = vec3( 0.0 );
+            for ( int i = 0; i < STENCIL_MAX_COUNT; i ++ ) {
+                if ( float( i ) >= ${STENCIL_ATTRIBUTE}.y ) break;
+                vec4 entry = stencilTexel( stencilTable, stencilTableSize, ${STENCIL_ATTRIBUTE}.x + float( i ) );
+                vec3 control = stencilTexel( stencilControl, stencilControlSize, entry.x ).xyz;
+                stencilPosition += control * entry.y;
+                tangentU += control * entry.z;
+                tangentV += control * entry.w;
+            }
+            vec3 stencilCross = cross( tangentU, tangentV );
+            float stencilLength = length( stencilCross );
+            stencilNormal = ( stencilLength > 0.0 ) ? stencilCross / stencilLength : vec3( 0.0, 0.0, 1.0 );
+        }
+    `;
+}
+
+const BEGIN_NORMAL_VERTEX = /* glsl */`
+    vec3 stencilPosition;
+    vec3 objectNormal;
+    stencilEvaluate( stencilPosition, objectNormal );
+    #define STENCIL_EVALUATED
+    #ifdef USE_TANGENT
+        vec3 objectTangent = vec3( tangent.xyz );
+    #endif
+`;
+
+const BEGIN_VERTEX = /* glsl */`
+    #ifndef STENCIL_EVALUATED
+        vec3 stencilPosition;
+        vec3 stencilNormal;
+        stencilEvaluate( stencilPosition, stencilNormal );
+    #endif
+    vec3 transformed = stencilPosition;
+`;
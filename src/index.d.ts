@@ -1,14 +1,163 @@
-import { BufferGeometry } from 'three';
+import { BufferGeometry, Camera, IUniform, Material, Matrix4, Object3D, Vector2, Vector3 } from 'three';
+
+export declare type AdaptiveParams = {
+    angle?: number
+    edgeLength?: number
+    camera?: Camera
+    pixelTolerance?: number
+    resolution?: Vector2
+    matrixWorld?: Matrix4
+}
+
+export declare type AttributePolicy = 'linear' | 'smooth' | 'face-varying' | 'nearest' | 'flat' | 'average' | 'drop' | 'recompute'
+
+export declare type UVBoundaryRule = 'none' | 'corners-only' | 'corners-plus1' | 'boundaries' | 'all'
+
+export declare type WeldTolerance = number | { relative: number }
+
+export declare type SubdivisionProgress = {
+    iteration: number
+    stage: 'split' | 'flat' | 'smooth' | 'finish'
+    fraction: number
+    total: number
+}
 
 export declare type ModifyParams = {
     split?: boolean
     uvSmooth?: boolean
+    uvBoundary?: UVBoundaryRule
     preserveEdges?: boolean
     flatOnly?: boolean
     maxTriangles?: number
     weight?: number
+    indexed?: boolean
+    creases?: Array<[ number, number ] | [ number, number, number ]> | string
+    creaseAngle?: number
+    boundary?: 'smooth' | 'sharp' | 'fixed'
+    adaptive?: boolean | AdaptiveParams
+    mask?: ArrayLike<boolean | number> | number | string
+    attributes?: { [attributeName: string]: AttributePolicy }
+    normals?: 'interpolate' | 'recompute' | 'limit'
+    tangents?: boolean
+    limit?: boolean
+    tolerance?: WeldTolerance
+    repair?: boolean
+    /** With 'indexed', vertices are only shared within the same input triangle */
+    provenance?: boolean
+    onProgress?: (progress: SubdivisionProgress) => void
+    signal?: AbortSignal
+}
+
+export declare type ModifyAsyncParams = ModifyParams & {
+    worker?: () => Worker
+}
+
+export declare type ModifyObjectParams = ModifyParams & {
+    dispose?: boolean
+}
+
+export declare type SubdivisionStencils = {
+    start: Int32Array
+    index: Int32Array
+    weight: Float64Array
+    tangentU: Float64Array
+    tangentV: Float64Array
+}
+
+export declare type PreparedSubdivision = {
+    geometry: BufferGeometry
+    update(positionArray: ArrayLike<number>): BufferGeometry
+    stencils: SubdivisionStencils
+    outputVertex: Int32Array
+    controlCount: number
+}
+
+export declare type MeshReport = {
+    triangleCount: number
+    vertexCount: number
+    boundaryEdges: Array<[ number, number ]>
+    nonManifoldEdges: Array<[ number, number ]>
+    nonManifoldVertices: number[]
+    tJunctions: Array<{ vertex: number, edge: [ number, number ] }>
+    degenerateTriangles: number[]
+    duplicateTriangles: number[]
+    inconsistentEdges: Array<[ number, number ]>
+    valid: boolean
 }
 
 export declare class LoopSubdivision {
     static modify(bufferGeometry: BufferGeometry, iterations: number = 1, params: ModifyParams = {}): BufferGeometry
+    static modifyAsync(bufferGeometry: BufferGeometry, iterations: number = 1, params: ModifyAsyncParams = {}): Promise<BufferGeometry>
+    static modifyObject<T extends Object3D>(object: T, iterations: number = 1, params: ModifyObjectParams = {}): T
+    static prepare(bufferGeometry: BufferGeometry, iterations: number = 1, params: ModifyParams = {}): PreparedSubdivision
+    static toLimit(geometry: BufferGeometry, params: ModifyParams = {}): BufferGeometry
+    static analyze(geometry: BufferGeometry, params: ModifyParams = {}): MeshReport
+    static repair(geometry: BufferGeometry, triangleParents?: number[], params: ModifyParams = {}): BufferGeometry
+}
+
+export declare type LoopSurfaceParams = {
+    creases?: Array<[ number, number ] | [ number, number, number ]> | string
+    creaseAngle?: number
+    boundary?: 'smooth' | 'sharp' | 'fixed'
+    tolerance?: WeldTolerance
+}
+
+export declare type LoopSurfacePoint = {
+    position: Vector3
+    normal: Vector3
+    du: Vector3
+    dv: Vector3
+    attributes: { [attributeName: string]: number[] }
+}
+
+export declare class LoopSurface {
+    constructor(geometry: BufferGeometry, params?: LoopSurfaceParams)
+    readonly triangleCount: number
+    /** Position, normal and derivatives are on the limit surface, other attributes are interpolated linearly across the triangle */
+    evaluate(triangle: number, barycentric: Vector3, target?: Partial<LoopSurfacePoint>): LoopSurfacePoint
+}
+
+export declare type SubdivisionTables = {
+    stencilData: Float32Array
+    stencilWidth: number
+    stencilHeight: number
+    vertexStencil: Float32Array
+    maxCount: number
+    controlCount: number
+    controlWidth: number
+    controlHeight: number
+}
+
+export declare type SubdivisionShaderHandle = {
+    material: Material
+    uniforms: { [uniform: string]: IUniform }
+    tables: SubdivisionTables
+    update(positionArray: ArrayLike<number>): BufferGeometry
+    dispose(): void
+}
+
+export declare class SubdivisionShader {
+    static createTables(prepared: PreparedSubdivision): SubdivisionTables
+    static evaluate(tables: SubdivisionTables, positionArray: ArrayLike<number>, target?: { position?: Float32Array, normal?: Float32Array }): { position: Float32Array, normal: Float32Array }
+    static apply(prepared: PreparedSubdivision, material: Material): SubdivisionShaderHandle
+}
+
+export declare type CatmullClarkParams = {
+    quads?: Array<[ number, number, number, number ]>
+    quadAngle?: number
+    uvSmooth?: boolean
+    uvBoundary?: UVBoundaryRule
+    flatOnly?: boolean
+    maxTriangles?: number
+    boundary?: 'smooth' | 'sharp' | 'fixed'
+    indexed?: boolean
+    attributes?: { [attributeName: string]: AttributePolicy }
+    /** 'limit' is not supported, normals are recomputed instead (creases, 'onProgress' and 'signal' are not supported either) */
+    normals?: 'interpolate' | 'recompute' | 'limit'
+    tangents?: boolean
+    tolerance?: WeldTolerance
+}
+
+export declare class CatmullClarkSubdivision {
+    static modify(bufferGeometry: BufferGeometry, iterations: number = 1, params: CatmullClarkParams = {}): BufferGeometry
 }
@@ -1 +1,4 @@
-export { LoopSubdivision } from './LoopSubdivision.js';
\ No newline at end of file
+export { LoopSubdivision } from './LoopSubdivision.js';
+export { CatmullClarkSubdivision } from './CatmullClarkSubdivision.js';
+export { LoopSurface } from './LoopSurface.js';
+export { SubdivisionShader } from './SubdivisionShader.js';
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { edgeUse } from './helpers.js';
+
+/** Triangle count of geometry */
+function triangles(geometry) {
+    return ((geometry.index) ? geometry.index.count : geometry.attributes.position.count) / 3;
+}
+
+test('adaptive refines curved areas only, without T-junctions', () => {
+    // Closed cylinder: curved side is refined, flat caps are not (split off by their 90 degree edges)
+    const cylinder = new THREE.CylinderGeometry(1, 1, 2, 12, 1);
+    const uniform = LoopSubdivision.modify(cylinder, 3, { split: false, creaseAngle: 45 });
+    const adaptive = LoopSubdivision.modify(cylinder, 3, { split: false, creaseAngle: 45, adaptive: { angle: 20 } });
+    assert.ok(triangles(adaptive) > triangles(cylinder));
+    assert.ok(triangles(adaptive) < triangles(uniform));
+
+    // Conforming: every edge is shared by two triangles (a T-junction leaves edges used once)
+    edgeUse(adaptive).forEach((count) => assert.equal(count, 2));
+});
+
+test('adaptive with edgeLength splits long edges until shorter', () => {
+    const box = new THREE.BoxGeometry(1, 1, 1);
+    const adaptive = LoopSubdivision.modify(box, 6, { adaptive: { edgeLength: 0.3 }, flatOnly: true });
+    edgeUse(adaptive).forEach((count) => assert.equal(count, 2));
+
+    // Flat subdivision, every edge ends up at most 0.3 long
+    const position = adaptive.getAttribute('position');
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    for (let i = 0; i < position.count; i += 3) {
+        for (let c = 0; c < 3; c++) {
+            a.fromBufferAttribute(position, i + c);
+            b.fromBufferAttribute(position, i + ((c + 1) % 3));
+            assert.ok(a.distanceTo(b) <= 0.3 + 1e-6);
+        }
+    }
+});
+
+test('adaptive without any edge over the limit returns the same triangles', () => {
+    const icosahedron = new THREE.IcosahedronGeometry(1, 2);
+    const adaptive = LoopSubdivision.modify(icosahedron, 3, { adaptive: { edgeLength: 10 } });
+    assert.equal(triangles(adaptive), triangles(icosahedron));
+});
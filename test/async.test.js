@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { subdivideMessage } from '../src/LoopSubdivision.js';
+import { maxDifference } from './helpers.js';
+
+/** Fake Worker factory, 'run(worker, message)' is called after the message (and its transfer list) has been sent */
+function fakeWorker(run) {
+    return () => {
+        const worker = {
+            terminated: false,
+            terminate() { worker.terminated = true; },
+            postMessage(message, transfer) {
+                const sent = structuredClone(message, { transfer });
+                setTimeout(() => run(worker, sent), 0);
+            },
+        };
+        return worker;
+    };
+}
+
+/**
+ * Worker factory running 'LoopSubdivisionWorker.js' in a worker thread, 'self' is shimmed with the thread's port. Like
+ * a browser worker, messages are delivered once the script has loaded.
+ */
+function threadWorker() {
+    const file = new URL('../src/LoopSubdivisionWorker.js', import.meta.url).href;
+    const bootstrap = `
+        const { parentPort } = require('node:worker_threads');
+        globalThis.self = { postMessage: (message, transfer) => parentPort.postMessage(message, transfer) };
+        import('${file}').then(() => parentPort.on('message', (data) => self.onmessage({ data })));
+    `;
+    return () => {
+        const thread = new Worker(bootstrap, { eval: true });
+        const worker = {
+            messages: [],
+            postMessage: (message, transfer) => thread.postMessage(message, transfer),
+            terminate: () => thread.terminate(),
+        };
+        thread.on('message', (data) => {
+            worker.messages.push(data);
+            worker.onmessage({ data });
+        });
+        thread.on('error', (error) => worker.onerror(error));
+        return worker;
+    };
+}
+
+/** Asserts subdivided geometry matches modify() of 'geometry' */
+function assertModified(subdivided, geometry, iterations = 1, params = {}) {
+    const expected = LoopSubdivision.modify(geometry, iterations, params);
+    assert.ok(maxDifference(subdivided.attributes.position.array, expected.attributes.position.array) < 1e-6);
+    assert.ok(maxDifference(subdivided.attributes.uv.array, expected.attributes.uv.array) < 1e-6);
+}
+
+test('modifyAsync() subdivides in the worker', async () => {
+    const geometry = new THREE.BoxGeometry();
+    const worker = fakeWorker((worker, message) => worker.onmessage({ data: { geometry: subdivideMessage(message) } }));
+    const subdivided = await LoopSubdivision.modifyAsync(geometry, 2, { worker, creaseAngle: 30 });
+    assertModified(subdivided, geometry, 2, { creaseAngle: 30 });
+    assert.ok(geometry.attributes.position.array.length > 0, 'input arrays are copied, not transferred');
+});
+
+test('worker script subdivides in a worker thread and reports progress', async (context) => {
+    context.mock.method(console, 'warn', () => {});
+    const geometry = new THREE.BoxGeometry();
+    const factory = threadWorker();
+    let created;
+    const worker = () => (created = factory());
+    const progress = [];
+    const subdivided = await LoopSubdivision.modifyAsync(geometry, 2, { worker, onProgress: (report) => progress.push(report) });
+    assertModified(subdivided, geometry, 2);
+    assert.equal(console.warn.mock.calls.length, 0);
+    assert.ok(created.messages[0].ready);
+    assert.ok(progress.length > 0);
+    assert.equal(created.messages.filter((message) => message.progress).length, progress.length);
+});
+
+test('modifyAsync() subdivides on the main thread without Worker support', async () => {
+    // Node has no Worker global, factory returning nothing does the same
+    const geometry = new THREE.BoxGeometry();
+    assertModified(await LoopSubdivision.modifyAsync(geometry, 1), geometry);
+    assertModified(await LoopSubdivision.modifyAsync(geometry, 1, { worker: () => undefined }), geometry);
+});
+
+test('modifyAsync() falls back to the main thread when the worker fails to load', async (context) => {
+    // Geometry arrays were transferred to the worker that failed, they are copied again for the main thread
+    context.mock.method(console, 'warn', () => {});
+    const geometry = new THREE.BoxGeometry();
+    let created;
+    const factory = fakeWorker((worker) => worker.onerror({ message: 'Failed to load', preventDefault() {} }));
+    const worker = () => (created = factory());
+    assertModified(await LoopSubdivision.modifyAsync(geometry, 1, { worker }), geometry);
+    assert.equal(console.warn.mock.calls.length, 1);
+    assert.ok(created.terminated);
+});
+
+test('modifyAsync() rejects on errors after the worker started', async (context) => {
+    context.mock.method(console, 'warn', () => {});
+    const progress = [];
+    const worker = fakeWorker((worker) => {
+        worker.onmessage({ data: { ready: true } });
+        worker.onmessage({ data: { progress: { iteration: 0, stage: 'split', fraction: 0 } } });
+        worker.onerror({ message: 'Out of memory', preventDefault() {} });
+    });
+    const onProgress = (report) => progress.push(report);
+    await assert.rejects(LoopSubdivision.modifyAsync(new THREE.BoxGeometry(), 1, { worker, onProgress }), /Out of memory/);
+    assert.equal(console.warn.mock.calls.length, 0);
+    assert.equal(progress.length, 1);
+});
+
+test('modifyAsync() rejects with worker errors', async () => {
+    const worker = fakeWorker((worker) => worker.onmessage({ data: { error: 'Out of memory' } }));
+    await assert.rejects(LoopSubdivision.modifyAsync(new THREE.BoxGeometry(), 1, { worker }), /Out of memory/);
+});
+
+test('modifyAsync() rejects with AbortError when aborted', async () => {
+    const aborted = new AbortController();
+    aborted.abort();
+    await assert.rejects(LoopSubdivision.modifyAsync(new THREE.BoxGeometry(), 1, { signal: aborted.signal }), { name: 'AbortError' });
+
+    // Aborting while the worker runs terminates it
+    const controller = new AbortController();
+    let created;
+    const factory = fakeWorker(() => controller.abort());
+    const worker = () => (created = factory());
+    await assert.rejects(LoopSubdivision.modifyAsync(new THREE.BoxGeometry(), 1, { signal: controller.signal, worker }), { name: 'AbortError' });
+    assert.ok(created.terminated);
+});
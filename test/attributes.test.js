@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+
+/** Icosahedron with an attribute filled by 'value(vertex, component)' */
+function withAttribute(name, ArrayType, itemSize, normalized, value) {
+    const geometry = new THREE.IcosahedronGeometry(1, 1);
+    const position = geometry.getAttribute('position');
+    const array = new ArrayType(position.count * itemSize);
+    for (let i = 0; i < position.count; i++) {
+        for (let k = 0; k < itemSize; k++) array[(i * itemSize) + k] = value(i, k, position);
+    }
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+    return geometry;
+}
+
+test('attributes with item size 1 to 4 are subdivided', () => {
+    [ 1, 2, 3, 4 ].forEach((itemSize) => {
+        const geometry = withAttribute('custom', Float32Array, itemSize, false, (i, k, position) => position.getY(i) + k);
+        const subdivided = LoopSubdivision.modify(geometry, 1, { flatOnly: true });
+        const custom = subdivided.getAttribute('custom');
+        const output = subdivided.getAttribute('position');
+        assert.equal(custom.itemSize, itemSize);
+        assert.equal(custom.count, output.count);
+
+        // Linear in y, so flat (halfway) subdivision keeps value = y + component
+        for (let i = 0; i < custom.count; i++) {
+            for (let k = 0; k < itemSize; k++) {
+                assert.ok(Math.abs(custom.array[(i * itemSize) + k] - (output.getY(i) + k)) < 1e-5);
+            }
+        }
+    });
+});
+
+test('normalized integer colors keep their array type and range', () => {
+    const geometry = withAttribute('color', Uint8Array, 4, true, (i, k) => (k === 3) ? 255 : ((i * 37) + (k * 80)) % 256);
+    const subdivided = LoopSubdivision.modify(geometry, 2);
+    const color = subdivided.getAttribute('color');
+    assert.ok(color.array instanceof Uint8Array);
+    assert.equal(color.normalized, true);
+    for (let i = 0; i < color.count; i++) assert.equal(color.array[(i * 4) + 3], 255);
+});
+
+test('integer attributes that are not normalized are copied, not averaged', () => {
+    const geometry = withAttribute('id', Uint16Array, 1, false, (i, k, position) => (position.getY(i) > 0) ? 7 : 3);
+    const subdivided = LoopSubdivision.modify(geometry, 2);
+    const id = subdivided.getAttribute('id');
+    assert.ok(id.array instanceof Uint16Array);
+    const values = new Set(id.array);
+    assert.deepEqual([ ...values ].sort(), [ 3, 7 ]);
+});
+
+test('tangent handedness stays -1 or 1', () => {
+    const geometry = withAttribute('tangent', Float32Array, 4, false, (i, k, position) => {
+        if (k === 3) return (position.getX(i) > 0) ? 1 : -1;
+        return (k === 0) ? 1 : 0;
+    });
+    const subdivided = LoopSubdivision.modify(geometry, 1);
+    const tangent = subdivided.getAttribute('tangent');
+    for (let i = 0; i < tangent.count; i++) assert.equal(Math.abs(tangent.getW(i)), 1);
+});
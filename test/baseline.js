@@ -0,0 +1,23 @@
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  Loads LoopSubdivision.js from an earlier commit, for baseline fixtures and benchmarks. The file is written to
+//  'temp/' (git ignored) so that 'three' is resolved from this repository's node_modules.
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import { execFileSync } from 'node:child_process';
+import { mkdirSync, writeFileSync } from 'node:fs';
+
+/** Commit of the original modifier (string position hashes, before topology tables) */
+export const BASELINE = '5fe8c6b';
+
+/** Returns LoopSubdivision class of 'src/LoopSubdivision.js' at git 'ref' */
+export async function loadLoopSubdivision(ref = BASELINE) {
+    const root = new URL('../', import.meta.url);
+    const source = execFileSync('git', [ 'show', `${ref}:src/LoopSubdivision.js` ], { cwd: root });
+    const folder = new URL(`temp/${ref.replace(/[^\w.-]/g, '_')}/`, root);
+    mkdirSync(folder, { recursive: true });
+    const file = new URL('LoopSubdivision.js', folder);
+    writeFileSync(file, source);
+    return (await import(file.href)).LoopSubdivision;
+}
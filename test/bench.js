@@ -0,0 +1,41 @@
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  Times LoopSubdivision.modify() of this tree against an earlier commit (default: the baseline commit)
+//
+//      node test/bench.js [ref]
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import * as THREE from 'three';
+import { BASELINE, loadLoopSubdivision } from './baseline.js';
+import { LoopSubdivision } from '../src/LoopSubdivision.js';
+
+const ref = process.argv[2] || BASELINE;
+const Previous = await loadLoopSubdivision(ref);
+
+const meshes = [
+    [ 'box (2 x 2 x 2)', () => new THREE.BoxGeometry(1, 1, 1, 2, 2, 2), 3 ],
+    [ 'sphere (32 x 16)', () => new THREE.SphereGeometry(1, 32, 16), 2 ],
+    [ 'torus knot (128 x 16)', () => new THREE.TorusKnotGeometry(1, 0.3, 128, 16), 1 ],
+    [ 'torus knot (128 x 16)', () => new THREE.TorusKnotGeometry(1, 0.3, 128, 16), 2 ],
+];
+
+/** Median time (ms) of 'runs' calls of modify() */
+function time(Modifier, geometry, iterations, runs = 5) {
+    const times = [];
+    for (let i = 0; i < runs; i++) {
+        const start = performance.now();
+        Modifier.modify(geometry, iterations).dispose();
+        times.push(performance.now() - start);
+    }
+    return times.sort((a, b) => a - b)[Math.floor(runs / 2)];
+}
+
+console.log(`modify() median ms, ${ref} -> working tree`);
+meshes.forEach(([ name, create, iterations ]) => {
+    const geometry = create();
+    const before = time(Previous, geometry, iterations);
+    const after = time(LoopSubdivision, geometry, iterations);
+    const label = `${name}, ${iterations} iteration${(iterations > 1) ? 's' : ''}`;
+    console.log(`${label.padEnd(36)} ${before.toFixed(1).padStart(8)} ${after.toFixed(1).padStart(8)}  ${(before / after).toFixed(1)}x`);
+});
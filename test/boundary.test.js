@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision, CatmullClarkSubdivision, LoopSurface } from '../src/index.js';
+import { closestVertex } from './helpers.js';
+
+/** 2 x 2 plane, middle vertex of the right border lifted */
+function liftedPlane() {
+    const plane = new THREE.PlaneGeometry(1, 1, 2, 2);
+    const position = plane.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+        if (position.getX(i) === 0.5 && position.getY(i) === 0) position.setZ(i, 0.2);
+    }
+    return plane;
+}
+
+test('boundary rules move open mesh borders with boundary masks', () => {
+    const plane = liftedPlane();
+    const params = { split: false, normals: 'interpolate' };
+    const smooth = LoopSubdivision.modify(plane, 1, { ...params, boundary: 'smooth' });
+    const sharp = LoopSubdivision.modify(plane, 1, { ...params, boundary: 'sharp' });
+    const fixed = LoopSubdivision.modify(plane, 1, { ...params, boundary: 'fixed' });
+
+    // Border vertex: 3/4 of itself, 1/8 of each border neighbor ('fixed' stays in place)
+    assert.ok(Math.abs(closestVertex(smooth, 0.5, 0).z - 0.15) < 1e-6);
+    assert.ok(Math.abs(closestVertex(sharp, 0.5, 0).z - 0.15) < 1e-6);
+    assert.ok(Math.abs(closestVertex(fixed, 0.5, 0).z - 0.2) < 1e-6);
+
+    // Border edge point: halfway along the edge
+    assert.ok(Math.abs(closestVertex(smooth, 0.5, 0.25).z - 0.1) < 1e-6);
+
+    // Corner (away from lifted vertex): smoothed by 'smooth', kept by 'sharp' and 'fixed'
+    assert.ok(closestVertex(smooth, -0.5, 0.5).distanceTo(new THREE.Vector3(-0.4375, 0.4375, 0)) < 1e-6);
+    assert.ok(closestVertex(sharp, -0.5, 0.5).distanceTo(new THREE.Vector3(-0.5, 0.5, 0)) < 1e-6);
+    assert.ok(closestVertex(fixed, -0.5, 0.5).distanceTo(new THREE.Vector3(-0.5, 0.5, 0)) < 1e-6);
+});
+
+/** Checks if geometry has a vertex at 'x, y, z' */
+function hasVertex(geometry, x, y, z = 0) {
+    const position = geometry.getAttribute('position');
+    const target = new THREE.Vector3(x, y, z);
+    const vertex = new THREE.Vector3();
+    for (let i = 0; i < position.count; i++) {
+        if (vertex.fromBufferAttribute(position, i).distanceTo(target) < 1e-6) return true;
+    }
+    return false;
+}
+
+/** Square from -0.5 to 0.5 as 4 triangles around its center (corners are used by two triangles, none are paired) */
+function squareFan() {
+    const corners = [ [ -0.5, -0.5 ], [ 0.5, -0.5 ], [ 0.5, 0.5 ], [ -0.5, 0.5 ] ];
+    const array = [];
+    for (let i = 0; i < 4; i++) array.push(0, 0, 0, ...corners[i], 0, ...corners[(i + 1) % 4], 0);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(array), 3));
+    return geometry;
+}
+
+test('sharp boundary keeps all four corners of a plane', () => {
+    // PlaneGeometry corners are used by one (top left, bottom right) or two triangles
+    const corners = [ [ -0.5, -0.5 ], [ 0.5, -0.5 ], [ 0.5, 0.5 ], [ -0.5, 0.5 ] ];
+    const shapes = [ () => new THREE.PlaneGeometry(1, 1), () => new THREE.PlaneGeometry(1, 1, 3, 2), squareFan ];
+    const sets = [ {}, { split: false }, { limit: true }, { normals: 'limit' }, { adaptive: { edgeLength: 0.2 } } ];
+    shapes.forEach((shape) => {
+        const geometry = shape();
+        sets.forEach((params) => {
+            const subdivided = LoopSubdivision.modify(geometry, 2, { ...params, boundary: 'sharp' });
+            corners.forEach(([ x, y ]) => assert.ok(hasVertex(subdivided, x, y), `${JSON.stringify(params)} ${x}, ${y}`));
+        });
+        const prepared = LoopSubdivision.prepare(geometry, 2, { boundary: 'sharp', limit: true });
+        const updated = prepared.update(geometry.attributes.position.array);
+        const quads = CatmullClarkSubdivision.modify(geometry, 2, { boundary: 'sharp' });
+        corners.forEach(([ x, y ]) => assert.ok(hasVertex(updated, x, y) && hasVertex(quads, x, y), `${x}, ${y}`));
+
+        // Limit surface at control triangle corners
+        const surface = new LoopSurface(geometry, { boundary: 'sharp' });
+        const barycentric = new THREE.Vector3();
+        const positions = [];
+        for (let t = 0; t < surface.triangleCount; t++) {
+            for (let j = 0; j < 3; j++) {
+                barycentric.set(0, 0, 0).setComponent(j, 1);
+                positions.push(surface.evaluate(t, barycentric).position.clone());
+            }
+        }
+        corners.forEach(([ x, y ]) => assert.ok(positions.some((position) => position.distanceTo(new THREE.Vector3(x, y, 0)) < 1e-6)));
+    });
+});
+
+test('sharp boundary smooths round borders', () => {
+    // Rim of a circle turns by 22.5 degrees at each vertex, rim vertices move inward like 'smooth'
+    const circle = new THREE.CircleGeometry(1, 16);
+    const sharp = LoopSubdivision.modify(circle, 1, { split: false, boundary: 'sharp' });
+    const smooth = LoopSubdivision.modify(circle, 1, { split: false, boundary: 'smooth' });
+    assert.ok(! hasVertex(sharp, 1, 0));
+    assert.deepEqual(sharp.attributes.position.array, smooth.attributes.position.array);
+});
+
+test('fixed boundary keeps every border vertex in place', () => {
+    const cylinder = new THREE.CylinderGeometry(1, 1, 2, 8, 1, true);
+    const subdivided = LoopSubdivision.modify(cylinder, 2, { boundary: 'fixed' });
+    const position = cylinder.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+        const vertex = new THREE.Vector3().fromBufferAttribute(position, i);
+        const output = subdivided.getAttribute('position');
+        let found = false;
+        for (let j = 0; j < output.count && ! found; j++) {
+            found = (vertex.distanceTo(new THREE.Vector3().fromBufferAttribute(output, j)) < 1e-6);
+        }
+        assert.ok(found);
+    }
+});
+
+test('border vertices only use border neighbors', () => {
+    // Rim of an open cylinder: 3/4 of itself, 1/8 of each rim neighbor, stays on the plane of the rim
+    const cylinder = new THREE.CylinderGeometry(1, 1, 2, 8, 1, true);
+    const subdivided = LoopSubdivision.modify(cylinder, 1, { split: false });
+    const vertex = closestVertex(subdivided, 0, 1);
+    const expected = 0.75 + (0.25 * Math.cos(Math.PI / 4));
+    assert.ok(Math.abs(vertex.y - 1) < 1e-6);
+    assert.ok(Math.abs(Math.hypot(vertex.x, vertex.z) - expected) < 1e-6);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CatmullClarkSubdivision } from '../src/index.js';
+import { edgeUse, maxDifference } from './helpers.js';
+
+/** Vertex farthest along (1, 1, 1) */
+function farthest(geometry) {
+    const position = geometry.getAttribute('position');
+    const vertex = new THREE.Vector3();
+    let best = undefined;
+    for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i);
+        if (! best || (vertex.x + vertex.y + vertex.z) > (best.x + best.y + best.z)) best = vertex.clone();
+    }
+    return best;
+}
+
+test('quad cube gives expected vertex and face counts', () => {
+    const box = new THREE.BoxGeometry();
+    [ 1, 2 ].forEach((iterations) => {
+        const quads = 6 * Math.pow(4, iterations);
+        const side = Math.pow(2, iterations) + 1;
+        const soup = CatmullClarkSubdivision.modify(box, iterations);
+        const indexed = CatmullClarkSubdivision.modify(box, iterations, { indexed: true });
+        assert.equal(soup.attributes.position.count, quads * 2 * 3);
+        assert.equal(indexed.index.count, quads * 2 * 3);
+        assert.equal(indexed.attributes.position.count, 6 * side * side); /* sides stay split by uv / normal seams */
+        edgeUse(soup).forEach((count) => assert.equal(count, 2));
+    });
+});
+
+test('cube corners use the Catmull-Clark vertex rule', () => {
+    // Valence 3 corner: (average face point + 2 average edge midpoint + 0 * corner) / 3 = 5 / 18
+    const cube = CatmullClarkSubdivision.modify(new THREE.BoxGeometry(), 1);
+    assert.ok(farthest(cube).distanceTo(new THREE.Vector3(5 / 18, 5 / 18, 5 / 18)) < 1e-6);
+});
+
+test('uv coordinates are interpolated within each side', () => {
+    const cube = CatmullClarkSubdivision.modify(new THREE.BoxGeometry(), 1, { indexed: true });
+    const uv = cube.getAttribute('uv');
+    const values = new Set();
+    for (let i = 0; i < uv.count; i++) values.add(`${uv.getX(i)},${uv.getY(i)}`);
+
+    // Each side is a 3 x 3 grid of the same uv values, corners of each side keep 0 and 1
+    assert.equal(values.size, 9);
+    [ 0, 0.5, 1 ].forEach((u) => [ 0, 0.5, 1 ].forEach((v) => assert.ok(values.has(`${u},${v}`))));
+});
+
+test('recomputed normals keep quad cube counts and uv seams', () => {
+    const box = new THREE.BoxGeometry();
+    const interpolated = CatmullClarkSubdivision.modify(box, 2, { indexed: true });
+    const recomputed = CatmullClarkSubdivision.modify(box, 2, { indexed: true, normals: 'recompute' });
+    assert.equal(recomputed.index.count, 6 * 16 * 2 * 3);
+    assert.equal(recomputed.attributes.position.count, interpolated.attributes.position.count);
+    assert.deepEqual(recomputed.index.array, interpolated.index.array);
+    assert.equal(maxDifference(recomputed.attributes.uv.array, interpolated.attributes.uv.array), 0);
+    const normal = recomputed.getAttribute('normal');
+    const vector = new THREE.Vector3();
+    for (let i = 0; i < normal.count; i++) assert.ok(Math.abs(vector.fromBufferAttribute(normal, i).length() - 1) < 1e-6);
+});
+
+test('unsupported creases, limit normals and progress are ignored with a warning', (context) => {
+    context.mock.method(console, 'warn', () => {});
+    const box = new THREE.BoxGeometry();
+    const recomputed = CatmullClarkSubdivision.modify(box, 1, { normals: 'recompute' });
+    const signal = new AbortController().signal;
+    const params = { normals: 'limit', creaseAngle: 30, creases: [ [ 0, 1 ] ], onProgress: () => {}, signal };
+    const limit = CatmullClarkSubdivision.modify(box, 1, params);
+    assert.equal(console.warn.mock.calls.length, 5);
+    assert.equal(maxDifference(limit.attributes.position.array, recomputed.attributes.position.array), 0);
+    assert.equal(maxDifference(limit.attributes.normal.array, recomputed.attributes.normal.array), 0);
+});
+
+test('relative normal morph targets are not normalized', () => {
+    const box = new THREE.BoxGeometry();
+    const normal = box.attributes.normal.array;
+    box.morphAttributes.position = [ new THREE.BufferAttribute(box.attributes.position.array.map((value) => value * 0.5), 3) ];
+    box.morphAttributes.normal = [ new THREE.BufferAttribute(normal.map((value) => value * 0.1), 3) ];
+    box.morphTargetsRelative = true;
+    const cube = CatmullClarkSubdivision.modify(box, 1, { indexed: true });
+    const morphNormal = cube.morphAttributes.normal[0];
+    const delta = new THREE.Vector3();
+    const direction = new THREE.Vector3();
+
+    // Deltas are averaged like normals (corners of the cube average 3 sides), but keep their length
+    for (let i = 0; i < morphNormal.count; i++) {
+        delta.fromBufferAttribute(morphNormal, i);
+        direction.fromBufferAttribute(cube.attributes.normal, i);
+        assert.ok(delta.length() > 0.05 && delta.length() < 0.1 + 1e-6);
+        assert.ok(delta.clone().cross(direction).length() < 1e-6);
+    }
+
+    // Position deltas of a uniform scale are the subdivided positions scaled
+    const position = cube.attributes.position.array;
+    assert.ok(cube.morphAttributes.position[0].array.every((value, i) => Math.abs(value - (position[i] * 0.5)) < 1e-6));
+});
+
+test('drawRange, interleaving and metadata are kept', () => {
+    // Range of the first two sides of an indexed box
+    const box = new THREE.BoxGeometry();
+    box.setDrawRange(0, 12);
+    const ranged = CatmullClarkSubdivision.modify(box, 1);
+    const sides = new THREE.BoxGeometry().toNonIndexed();
+    const firstSides = new THREE.BufferGeometry();
+    for (const name in sides.attributes) {
+        const attribute = sides.attributes[name];
+        firstSides.setAttribute(name, new THREE.BufferAttribute(attribute.array.slice(0, 12 * attribute.itemSize), attribute.itemSize));
+    }
+    const expected = CatmullClarkSubdivision.modify(firstSides, 1);
+    assert.ok(maxDifference(ranged.attributes.position.array, expected.attributes.position.array) < 1e-6);
+    assert.equal(ranged.drawRange.count, Infinity);
+
+    // Position and uv interleaved in one buffer (stride 5)
+    const count = sides.attributes.position.count;
+    const buffer = new THREE.InterleavedBuffer(new Float32Array(count * 5), 5);
+    for (let i = 0; i < count; i++) {
+        buffer.array.set(sides.attributes.position.array.slice(i * 3, (i * 3) + 3), i * 5);
+        buffer.array.set(sides.attributes.uv.array.slice(i * 2, (i * 2) + 2), (i * 5) + 3);
+    }
+    const interleaved = new THREE.BufferGeometry();
+    interleaved.setAttribute('position', new THREE.InterleavedBufferAttribute(buffer, 3, 0));
+    interleaved.setAttribute('uv', new THREE.InterleavedBufferAttribute(buffer, 2, 3));
+    interleaved.name = 'crate';
+    interleaved.userData = { id: 7 };
+    interleaved.computeBoundingBox();
+    const cube = CatmullClarkSubdivision.modify(interleaved, 1);
+    assert.ok(cube.attributes.position.isInterleavedBufferAttribute);
+    assert.equal(cube.attributes.uv.data, cube.attributes.position.data);
+    assert.equal(cube.attributes.position.data.stride, 5);
+    assert.equal(cube.name, 'crate');
+    assert.deepEqual(cube.userData, { id: 7 });
+    assert.ok(cube.boundingBox.equals(new THREE.Box3().setFromBufferAttribute(cube.attributes.position)));
+    assert.equal(cube.attributes.position.count, CatmullClarkSubdivision.modify(new THREE.BoxGeometry(), 1).attributes.position.count);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+test('creaseAngle keeps the edges and faces of a box sharp', () => {
+    const box = LoopSubdivision.modify(new THREE.BoxGeometry(1, 1, 1), 2, { creaseAngle: 30 });
+    const position = box.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+        const largest = Math.max(Math.abs(position.getX(i)), Math.abs(position.getY(i)), Math.abs(position.getZ(i)));
+        assert.ok(Math.abs(largest - 0.5) < 1e-6);
+    }
+});
+
+test('creaseAngle leaves edges below the angle smooth', () => {
+    const sphere = new THREE.SphereGeometry(1, 16, 12);
+    const smooth = LoopSubdivision.modify(sphere, 1);
+    const creased = LoopSubdivision.modify(sphere, 1, { creaseAngle: 60 });
+    assert.ok(maxDifference(creased.attributes.position.array, smooth.attributes.position.array) < 1e-6);
+});
+
+test('creaseAngle keeps recomputed normals of flat subdivision hard', () => {
+    const box = new THREE.BoxGeometry(1, 1, 1);
+    const params = { creaseAngle: 30, normals: 'recompute' };
+    const subdivided = [
+        LoopSubdivision.flat(box, { ...params }),
+        LoopSubdivision.modify(box, 2, { ...params, flatOnly: true }),
+        LoopSubdivision.modify(box, 2, { ...params, flatOnly: true, normals: 'limit', split: false }),
+    ];
+    subdivided.forEach((geometry) => {
+        const normal = geometry.getAttribute('normal');
+        for (let i = 0; i < normal.count; i++) {
+            const largest = Math.max(Math.abs(normal.getX(i)), Math.abs(normal.getY(i)), Math.abs(normal.getZ(i)));
+            assert.ok(Math.abs(largest - 1) < 1e-6);
+        }
+    });
+});
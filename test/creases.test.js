@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { closestVertex } from './helpers.js';
+
+/** Octahedron and crease edges around its equator (vertices at +-x, +-z) */
+function creasedOctahedron(sharpness = Infinity) {
+    const octahedron = new THREE.OctahedronGeometry(1);
+    const position = octahedron.getAttribute('position');
+    const indexOf = (x, z) => {
+        for (let i = 0; i < position.count; i++) {
+            if (position.getX(i) === x && position.getY(i) === 0 && position.getZ(i) === z) return i;
+        }
+        return -1;
+    };
+    const equator = [ indexOf(1, 0), indexOf(0, 1), indexOf(-1, 0), indexOf(0, -1) ];
+    const creases = equator.map((a, i) => [ a, equator[(i + 1) % 4], sharpness ]);
+    return { octahedron, creases };
+}
+
+/** Edge point between +x and +z (on the equator) */
+function edgePoint(geometry) {
+    const position = geometry.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+        if (Math.abs(position.getY(i)) < 1e-6 && Math.abs(position.getX(i) - position.getZ(i)) < 1e-6) {
+            return position.getX(i);
+        }
+    }
+    return undefined;
+}
+
+test('crease edges use crease masks', () => {
+    const { octahedron, creases } = creasedOctahedron();
+    const creased = LoopSubdivision.modify(octahedron, 1, { split: false, creases });
+    const smooth = LoopSubdivision.modify(octahedron, 1, { split: false });
+
+    // Crease vertex: 3/4 of itself, 1/8 of each crease neighbor (smooth: 1 - 4 beta of itself, neighbors sum to 0)
+    assert.ok(Math.abs(closestVertex(creased, 1, 0).x - 0.75) < 1e-6);
+    assert.ok(Math.abs(closestVertex(smooth, 1, 0).x - 0.515625) < 1e-6);
+
+    // Crease edge point: midpoint of the edge (smooth edge point: 3/8 of each end, 1/8 of each opposite vertex)
+    assert.ok(Math.abs(edgePoint(creased) - 0.5) < 1e-6);
+    assert.ok(Math.abs(edgePoint(smooth) - 0.375) < 1e-6);
+});
+
+test('semi-sharp creases blend back to smooth', () => {
+    const sharp = creasedOctahedron(Infinity);
+    const semi = creasedOctahedron(1);
+    const x = (creases, octahedron) => closestVertex(LoopSubdivision.modify(octahedron, 2, { split: false, creases }), 1, 0).x;
+    const sharpX = x(sharp.creases, sharp.octahedron);
+    const semiX = x(semi.creases, semi.octahedron);
+    const smoothX = x(undefined, sharp.octahedron);
+    assert.ok(sharpX > semiX && semiX > smoothX);
+
+    // Sharpness 0 is smooth
+    const zero = creasedOctahedron(0);
+    assert.ok(Math.abs(x(zero.creases, zero.octahedron) - smoothX) < 1e-6);
+});
+
+test('creases can be read from a vertex attribute', () => {
+    const { octahedron } = creasedOctahedron();
+    const position = octahedron.getAttribute('position');
+    const crease = new Float32Array(position.count);
+    for (let i = 0; i < position.count; i++) crease[i] = (position.getY(i) === 0) ? Infinity : 0;
+    octahedron.setAttribute('crease', new THREE.BufferAttribute(crease, 1));
+    const creased = LoopSubdivision.modify(octahedron, 1, { split: false, creases: 'crease' });
+    assert.ok(Math.abs(closestVertex(creased, 1, 0).x - 0.75) < 1e-6);
+});
@@ -0,0 +1,42 @@
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  Writes 'baseline.json', output of the original modifier for closed meshes (see test/modify.test.js)
+//
+//      node test/fixtures/generate-baseline.js [ref]      (ref defaults to the baseline commit)
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import { writeFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { BASELINE, loadLoopSubdivision } from '../baseline.js';
+
+export const geometries = {
+    tetrahedron: () => new THREE.TetrahedronGeometry(1),
+    octahedron: () => new THREE.OctahedronGeometry(1),
+    icosahedron: () => new THREE.IcosahedronGeometry(1),
+    box: () => new THREE.BoxGeometry(1, 1, 1),
+};
+
+export const cases = [
+    [ 'tetrahedron', 2, {} ],
+    [ 'octahedron', 1, {} ],
+    [ 'icosahedron', 1, {} ],
+    [ 'box', 1, {} ],
+    [ 'box', 1, { split: false } ],
+    [ 'box', 1, { flatOnly: true } ],
+];
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+    const LoopSubdivision = await loadLoopSubdivision(process.argv[2] || BASELINE);
+    const round = (array) => Array.from(array, (value) => Math.round(value * 1e6) / 1e6);
+    const fixture = cases.map(([ geometry, iterations, params ]) => {
+        const subdivided = LoopSubdivision.modify(geometries[geometry](), iterations, { ...params });
+        const entry = { geometry, iterations, params, position: round(subdivided.attributes.position.array) };
+        if (geometry === 'box') {
+            entry.normal = round(subdivided.attributes.normal.array);
+            entry.uv = round(subdivided.attributes.uv.array);
+        }
+        return entry;
+    });
+    writeFileSync(new URL('./baseline.json', import.meta.url), JSON.stringify(fixture) + '\n');
+}
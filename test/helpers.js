@@ -0,0 +1,92 @@
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  Shared helpers for tests
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+/** Largest difference between two arrays of the same length */
+export function maxDifference(a, b) {
+    assert.equal(a.length, b.length);
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) difference = Math.max(difference, Math.abs(a[i] - b[i]));
+    return difference;
+}
+
+/** Position of output vertex closest to 'x, y' (for flat test geometry on the xy plane, or points on an axis) */
+export function closestVertex(geometry, x, y) {
+    const position = geometry.getAttribute('position');
+    const vertex = new THREE.Vector3();
+    let closest = undefined;
+    for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i);
+        if (! closest || Math.hypot(vertex.x - x, vertex.y - y) < Math.hypot(closest.x - x, closest.y - y)) {
+            closest = vertex.clone();
+        }
+    }
+    return closest;
+}
+
+/** Welded vertex id of each vertex, positions within 'tolerance' share an id */
+export function weldPositions(geometry, tolerance = 1e-6) {
+    const position = geometry.getAttribute('position');
+    const size = tolerance * 10;
+    const cells = new Map();
+    const points = [];
+    const ids = new Int32Array(position.count);
+
+    function findPoint(vertex, x, y, z) {
+        const cell = cells.get(`${x},${y},${z}`) || [];
+        const found = cell.find((id) => points[id].distanceTo(vertex) <= tolerance);
+        return (found === undefined) ? -1 : found;
+    }
+
+    for (let i = 0; i < position.count; i++) {
+        const vertex = new THREE.Vector3().fromBufferAttribute(position, i);
+        const cx = Math.floor(vertex.x / size);
+        const cy = Math.floor(vertex.y / size);
+        const cz = Math.floor(vertex.z / size);
+        let id = -1;
+        for (let x = cx - 1; x <= cx + 1; x++) {
+            for (let y = cy - 1; y <= cy + 1; y++) {
+                for (let z = cz - 1; z <= cz + 1; z++) {
+                    if (id < 0) id = findPoint(vertex, x, y, z);
+                }
+            }
+        }
+        if (id < 0) {
+            id = points.length;
+            points.push(vertex);
+            const key = `${cx},${cy},${cz}`;
+            if (! cells.has(key)) cells.set(key, []);
+            cells.get(key).push(id);
+        }
+        ids[i] = id;
+    }
+    return ids;
+}
+
+/** Number of distinct vertex positions */
+export function uniquePositions(geometry, tolerance = 1e-6) {
+    return new Set(weldPositions(geometry, tolerance)).size;
+}
+
+/** Counts how many triangles use each edge (vertices welded by position), returns Map of edge key to count */
+export function edgeUse(geometry, tolerance = 1e-6) {
+    const ids = weldPositions(geometry, tolerance);
+    const index = geometry.getIndex();
+    const triangleCount = ((index) ? index.count : ids.length) / 3;
+    const id = (i) => ids[(index) ? index.getX(i) : i];
+    const edges = new Map();
+    for (let t = 0; t < triangleCount; t++) {
+        for (let c = 0; c < 3; c++) {
+            const a = id((t * 3) + c);
+            const b = id((t * 3) + ((c + 1) % 3));
+            const edge = `${Math.min(a, b)},${Math.max(a, b)}`;
+            edges.set(edge, (edges.get(edge) || 0) + 1);
+        }
+    }
+    return edges;
+}
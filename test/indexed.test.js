@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+test('modify() with indexed returns the same triangles', () => {
+    const geometry = new THREE.TorusGeometry(1, 0.4, 6, 8);
+    [ {}, { split: false }, { flatOnly: true }, { uvSmooth: true } ].forEach((params) => {
+        const soup = LoopSubdivision.modify(geometry, 2, { ...params });
+        const indexed = LoopSubdivision.modify(geometry, 2, { ...params, indexed: true });
+        assert.notEqual(indexed.index, null);
+        for (const attributeName in soup.attributes) {
+            const unshared = indexed.toNonIndexed().attributes[attributeName].array;
+            assert.ok(maxDifference(unshared, soup.attributes[attributeName].array) < 1e-6, attributeName);
+        }
+    });
+});
+
+test('indexed geometry shares vertices, keeps vertices split by seams', () => {
+    // Box: 24 vertices (4 per side), after 1 iteration each side is a 3 x 3 grid of 9 vertices
+    const box = LoopSubdivision.modify(new THREE.BoxGeometry(), 1, { split: false, indexed: true });
+    assert.equal(box.attributes.position.count, 6 * 9);
+    assert.equal(box.index.count, 12 * 4 * 3);
+});
+
+test('flat() and smooth() return indexed geometry', () => {
+    const geometry = new THREE.IcosahedronGeometry(1);
+    const flat = LoopSubdivision.flat(geometry, { indexed: true });
+    const smooth = LoopSubdivision.smooth(geometry, { indexed: true });
+    assert.equal(flat.index.count, geometry.attributes.position.count * 4);
+    assert.equal(smooth.index.count, geometry.attributes.position.count * 4);
+    assert.ok(maxDifference(flat.toNonIndexed().attributes.position.array, LoopSubdivision.flat(geometry).attributes.position.array) < 1e-6);
+    assert.ok(maxDifference(smooth.toNonIndexed().attributes.position.array, LoopSubdivision.smooth(geometry).attributes.position.array) < 1e-6);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+/** Non-indexed geometry with the vertices from 'start' to 'start + count' of 'geometry' */
+function slice(geometry, start, count) {
+    const sliced = new THREE.BufferGeometry();
+    for (const name in geometry.attributes) {
+        const attribute = geometry.attributes[name];
+        const array = attribute.array.slice(start * attribute.itemSize, (start + count) * attribute.itemSize);
+        sliced.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized));
+    }
+    return sliced;
+}
+
+/** Box with position, normal and uv interleaved in one buffer (stride 8) */
+function interleavedBox() {
+    const box = new THREE.BoxGeometry(1, 1, 1, 2, 2, 2);
+    const count = box.attributes.position.count;
+    const buffer = new THREE.InterleavedBuffer(new Float32Array(count * 8), 8);
+    const geometry = new THREE.BufferGeometry();
+    [ [ 'position', 3, 0 ], [ 'normal', 3, 3 ], [ 'uv', 2, 6 ] ].forEach(([ name, itemSize, offset ]) => {
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < itemSize; j++) buffer.array[(i * 8) + offset + j] = box.attributes[name].array[(i * itemSize) + j];
+        }
+        geometry.setAttribute(name, new THREE.InterleavedBufferAttribute(buffer, itemSize, offset));
+    });
+    geometry.setIndex(box.index);
+    return { geometry, box };
+}
+
+test('only triangles within drawRange are subdivided', () => {
+    const box = new THREE.BoxGeometry().toNonIndexed();
+    box.setDrawRange(6, 18);
+    const subdivided = LoopSubdivision.modify(box, 1, { split: false });
+    const expected = LoopSubdivision.modify(slice(box, 6, 18), 1, { split: false });
+    assert.ok(maxDifference(subdivided.attributes.position.array, expected.attributes.position.array) < 1e-6);
+    assert.equal(subdivided.drawRange.start, 0);
+    assert.equal(subdivided.drawRange.count, Infinity);
+
+    // Groups are clipped to the range (each side of a box is a group of 6 vertices)
+    assert.deepEqual(subdivided.groups.map((group) => [ group.start, group.count, group.materialIndex ]), [ [ 0, 24, 1 ], [ 24, 24, 2 ], [ 48, 24, 3 ] ]);
+
+    // Indexed geometry, range of the index
+    const indexed = new THREE.BoxGeometry();
+    indexed.setDrawRange(0, 12);
+    const indexedSubdivided = LoopSubdivision.modify(indexed, 1, { split: false });
+    const indexedExpected = LoopSubdivision.modify(slice(indexed.toNonIndexed(), 0, 12), 1, { split: false });
+    assert.ok(maxDifference(indexedSubdivided.attributes.position.array, indexedExpected.attributes.position.array) < 1e-6);
+});
+
+test('interleaved attributes stay interleaved', () => {
+    const { geometry, box } = interleavedBox();
+    [ {}, { indexed: true } ].forEach((params) => {
+        const subdivided = LoopSubdivision.modify(geometry, 1, { ...params });
+        const expected = LoopSubdivision.modify(box, 1, { ...params });
+        const data = subdivided.attributes.position.data;
+        [ [ 'position', 0 ], [ 'normal', 3 ], [ 'uv', 6 ] ].forEach(([ name, offset ]) => {
+            const attribute = subdivided.getAttribute(name);
+            assert.ok(attribute.isInterleavedBufferAttribute, name);
+            assert.equal(attribute.data, data);
+            assert.equal(attribute.offset, offset);
+            const values = [];
+            for (let i = 0; i < attribute.count; i++) {
+                for (let j = 0; j < attribute.itemSize; j++) values.push(data.array[(i * data.stride) + offset + j]);
+            }
+            assert.ok(maxDifference(values, expected.attributes[name].array) < 1e-6, name);
+        });
+        assert.equal(data.stride, 8);
+    });
+});
+
+test('names, usage, userData and bounds are kept', () => {
+    const geometry = new THREE.BoxGeometry();
+    geometry.name = 'crate';
+    geometry.userData = { id: 7, tags: [ 'wood' ] };
+    geometry.attributes.uv.name = 'uv0';
+    geometry.attributes.position.setUsage(THREE.DynamicDrawUsage);
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    [ LoopSubdivision.modify(geometry, 1), LoopSubdivision.modify(geometry, 1, { indexed: true }), LoopSubdivision.flat(geometry) ].forEach((subdivided) => {
+        assert.equal(subdivided.name, 'crate');
+        assert.deepEqual(subdivided.userData, geometry.userData);
+        assert.equal(subdivided.attributes.uv.name, 'uv0');
+        assert.equal(subdivided.attributes.position.usage, THREE.DynamicDrawUsage);
+        const bounds = new THREE.Box3().setFromBufferAttribute(subdivided.attributes.position);
+        assert.ok(subdivided.boundingBox.equals(bounds));
+        assert.ok(subdivided.boundingSphere.radius > 0);
+    });
+
+    // Bounds that weren't computed stay unset
+    const plain = LoopSubdivision.modify(new THREE.BoxGeometry(), 1);
+    assert.equal(plain.boundingBox, null);
+    assert.equal(plain.boundingSphere, null);
+});
+
+test('userData is copied shallowly, values that are not JSON are kept', () => {
+    const geometry = new THREE.BoxGeometry();
+    const material = new THREE.MeshBasicMaterial();
+    geometry.userData = { material, onLoad() {}, size: 2 };
+    const subdivided = LoopSubdivision.modify(geometry, 1);
+    assert.notEqual(subdivided.userData, geometry.userData);
+    assert.equal(subdivided.userData.material, material);
+    assert.equal(subdivided.userData.onLoad, geometry.userData.onLoad);
+    assert.equal(subdivided.userData.size, 2);
+});
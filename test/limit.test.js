@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference, weldPositions } from './helpers.js';
+
+test('toLimit() of subdivided geometry matches modify() with limit', () => {
+    const shapes = [ () => new THREE.IcosahedronGeometry(1), () => new THREE.TorusGeometry(1, 0.4, 6, 8) ];
+    shapes.forEach((shape) => [ {}, { creaseAngle: 30 } ].forEach((params) => {
+        const geometry = shape();
+        const subdivided = LoopSubdivision.modify(geometry, 2, { ...params });
+        const limit = LoopSubdivision.toLimit(subdivided, { ...params });
+        const expected = LoopSubdivision.modify(geometry, 2, { ...params, limit: true });
+        assert.ok(maxDifference(limit.attributes.position.array, expected.attributes.position.array) < 1e-6);
+    }));
+});
+
+test('limit positions do not change with the iteration count', () => {
+    // Limit points of the vertices of 1 iteration are also vertices of 2 iterations
+    const geometry = new THREE.IcosahedronGeometry(1);
+    const once = LoopSubdivision.modify(geometry, 1, { limit: true, split: false });
+    const twice = LoopSubdivision.modify(geometry, 2, { limit: true, split: false });
+    const position = once.getAttribute('position');
+    const combined = new THREE.BufferGeometry();
+    const array = new Float32Array(position.array.length + twice.attributes.position.array.length);
+    array.set(position.array);
+    array.set(twice.attributes.position.array, position.array.length);
+    combined.setAttribute('position', new THREE.BufferAttribute(array, 3));
+    const ids = weldPositions(combined, 1e-6);
+    const twiceIds = new Set(ids.slice(position.count));
+    for (let i = 0; i < position.count; i++) assert.ok(twiceIds.has(ids[i]));
+});
+
+test('toLimit() keeps corners and returns new geometry', () => {
+    const box = new THREE.BoxGeometry();
+    const limit = LoopSubdivision.toLimit(box, { creaseAngle: 30 });
+    assert.notEqual(limit, box);
+    assert.ok(maxDifference(limit.attributes.position.array, box.attributes.position.array) < 1e-6);
+});
+
+test('toLimit() does not change the params object', () => {
+    const params = { creaseAngle: 30 };
+    LoopSubdivision.toLimit(new THREE.BoxGeometry(), params);
+    assert.deepEqual(params, { creaseAngle: 30 });
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { edgeUse, maxDifference } from './helpers.js';
+
+/** Triangles of geometry as arrays of 3 Vector3 */
+function triangleList(geometry) {
+    const source = (geometry.index) ? geometry.toNonIndexed() : geometry;
+    const position = source.getAttribute('position');
+    const list = [];
+    for (let i = 0; i < position.count; i += 3) {
+        list.push([ 0, 1, 2 ].map((c) => new THREE.Vector3().fromBufferAttribute(position, i + c)));
+    }
+    return list;
+}
+
+test('triangle mask subdivides selected triangles, the rest stays unchanged without cracks', () => {
+    const sphere = new THREE.IcosahedronGeometry(1, 1);
+    const input = triangleList(sphere);
+    const mask = input.map((triangle) => triangle[0].y > 0 && triangle[1].y > 0 && triangle[2].y > 0);
+    const subdivided = LoopSubdivision.modify(sphere, 2, { mask });
+    const output = triangleList(subdivided);
+    assert.ok(output.length > input.length && output.length < input.length * 16);
+    edgeUse(subdivided).forEach((count) => assert.equal(count, 2));
+
+    // Unselected triangles away from the mask border keep their vertices
+    const kept = output.filter((triangle) => triangle.every((vertex) => vertex.y < -0.5));
+    const original = input.filter((triangle) => triangle.every((vertex) => vertex.y < -0.5));
+    assert.equal(kept.length, original.length);
+});
+
+test('material index mask subdivides sides of one group', () => {
+    const box = new THREE.BoxGeometry();
+    const subdivided = LoopSubdivision.modify(box, 1, { mask: 0, split: false, flatOnly: true });
+
+    // Side 0 (+x) is split into 8 triangles, other sides keep 2 triangles (plus red-green splits at the border)
+    const output = triangleList(subdivided);
+    const onSide = output.filter((triangle) => triangle.every((vertex) => Math.abs(vertex.x - 0.5) < 1e-6));
+    assert.equal(onSide.length, 8);
+    const far = output.filter((triangle) => triangle.every((vertex) => Math.abs(vertex.x + 0.5) < 1e-6));
+    assert.equal(far.length, 2);
+    edgeUse(subdivided).forEach((count) => assert.equal(count, 2));
+});
+
+test('weight attribute mask scales smoothing', () => {
+    // Weight 0.5 everywhere: halfway between flat and smooth subdivision
+    const sphere = new THREE.IcosahedronGeometry(1, 1);
+    const weights = new Float32Array(sphere.attributes.position.count).fill(0.5);
+    sphere.setAttribute('weight', new THREE.BufferAttribute(weights, 1));
+    const half = LoopSubdivision.modify(sphere, 1, { mask: 'weight' }).attributes.position.array;
+    const flat = LoopSubdivision.modify(sphere, 1, { flatOnly: true }).attributes.position.array;
+    const smooth = LoopSubdivision.modify(sphere, 1).attributes.position.array;
+    const expected = flat.map((value, i) => (value + smooth[i]) / 2);
+    assert.ok(maxDifference(half, expected) < 1e-6);
+
+    // Weight 0 everywhere: nothing selected
+    weights.fill(0);
+    const unselected = LoopSubdivision.modify(sphere, 1, { mask: 'weight' });
+    assert.equal(unselected.attributes.position.count, sphere.attributes.position.count);
+});
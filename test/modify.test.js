@@ -0,0 +1,36 @@
+/////////////////////////////////////////////////////////////////////////////////////
+//
+//  'fixtures/baseline.json' holds output of the original modifier (string position hashes, before topology tables)
+//  for closed meshes, written by 'fixtures/generate-baseline.js'. modify() with the same params must still give the
+//  same vertices in the same order.
+//
+/////////////////////////////////////////////////////////////////////////////////////
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { geometries } from './fixtures/generate-baseline.js';
+import { maxDifference, edgeUse } from './helpers.js';
+
+const baseline = JSON.parse(readFileSync(new URL('./fixtures/baseline.json', import.meta.url)));
+
+test('modify() matches the original modifier on closed meshes', () => {
+    baseline.forEach(({ geometry, iterations, params, position, normal, uv }) => {
+        const subdivided = LoopSubdivision.modify(geometries[geometry](), iterations, { ...params });
+        const label = `${geometry} ${JSON.stringify(params)}`;
+        assert.ok(maxDifference(subdivided.attributes.position.array, position) < 1e-5, label);
+        if (normal) assert.ok(maxDifference(subdivided.attributes.normal.array, normal) < 1e-5, label);
+        if (uv) assert.ok(maxDifference(subdivided.attributes.uv.array, uv) < 1e-5, label);
+    });
+});
+
+test('modify() keeps closed meshes closed', () => {
+    const geometry = new THREE.TorusKnotGeometry(1, 0.3, 32, 6);
+    const unsplit = LoopSubdivision.modify(geometry, 2, { split: false });
+    assert.equal(unsplit.attributes.position.count, geometry.index.count * 16);
+    [ unsplit, LoopSubdivision.modify(geometry, 2) ].forEach((subdivided) => {
+        edgeUse(subdivided).forEach((count) => assert.equal(count, 2));
+    });
+});
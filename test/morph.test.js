@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+/** Positions of geometry moved by a function of position (vertices split by seams stay together) */
+function deformed(geometry, scale) {
+    const array = geometry.attributes.position.array;
+    return array.map((value, i) => ((i % 3) === 1) ? value + (scale * Math.sin(3 * array[i - 1])) : value);
+}
+
+/** Sphere with morph targets 'wave' and 'stretch', as absolute positions or relative offsets */
+function morphedSphere(relative) {
+    const geometry = new THREE.SphereGeometry(1, 8, 6);
+    const base = geometry.attributes.position.array;
+    const targets = [ deformed(geometry, 0.3), base.map((value, i) => ((i % 3) === 0) ? value * 2 : value) ];
+    geometry.morphAttributes.position = targets.map((target) => {
+        const array = (relative) ? target.map((value, i) => value - base[i]) : target;
+        return new THREE.BufferAttribute(array, 3);
+    });
+    geometry.morphTargetsRelative = relative;
+    return { geometry, targets };
+}
+
+/** Subdivided positions of geometry with positions replaced by 'array' */
+function modifiedPositions(geometry, array, params) {
+    const copy = geometry.clone();
+    copy.morphAttributes = {};
+    copy.setAttribute('position', new THREE.BufferAttribute(array, 3));
+    return LoopSubdivision.modify(copy, 2, { ...params }).attributes.position.array;
+}
+
+test('absolute morph targets are subdivided like positions', () => {
+    [ { split: false }, { split: false, indexed: true } ].forEach((params) => {
+        const { geometry, targets } = morphedSphere(false);
+        const subdivided = LoopSubdivision.modify(geometry, 2, { ...params });
+        assert.equal(subdivided.morphTargetsRelative, false);
+        assert.equal(subdivided.morphAttributes.position.length, 2);
+        targets.forEach((target, t) => {
+            const morph = subdivided.morphAttributes.position[t].array;
+            assert.ok(maxDifference(morph, modifiedPositions(geometry, target, params)) < 1e-5, `${t}`);
+        });
+    });
+});
+
+test('relative morph targets are subdivided as base plus delta', () => {
+    [ { split: false }, { split: false, limit: true } ].forEach((params) => {
+        const { geometry, targets } = morphedSphere(true);
+        const subdivided = LoopSubdivision.modify(geometry, 2, { ...params });
+        assert.equal(subdivided.morphTargetsRelative, true);
+        const base = subdivided.attributes.position.array;
+        targets.forEach((target, t) => {
+            const morph = subdivided.morphAttributes.position[t].array;
+            const expected = modifiedPositions(geometry, target, params).map((value, i) => value - base[i]);
+            assert.ok(maxDifference(morph, expected) < 1e-5, `${t}`);
+        });
+    });
+});
+
+test('morph targets with a different vertex count are replaced and warned about', (context) => {
+    context.mock.method(console, 'warn', () => {});
+    const { geometry } = morphedSphere(true);
+    geometry.morphAttributes.position.splice(1, 0, new THREE.BufferAttribute(new Float32Array(9), 3));
+    const subdivided = LoopSubdivision.modify(geometry, 1, { split: false });
+    const morphs = subdivided.morphAttributes.position;
+    assert.equal(morphs.length, 3);
+    morphs.forEach((morph) => assert.equal(morph.count, subdivided.attributes.position.count));
+    assert.ok(morphs[1].array.every((value) => value === 0));
+    assert.ok(morphs[0].array.some((value) => value !== 0) && morphs[2].array.some((value) => value !== 0));
+    assert.ok(console.warn.mock.calls.length >= 1);
+});
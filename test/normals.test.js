@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+
+/** Largest angle (radians) between normals of two geometries with the same vertices */
+function maxAngle(a, b) {
+    const normalA = a.getAttribute('normal');
+    const normalB = b.getAttribute('normal');
+    const vectorA = new THREE.Vector3();
+    const vectorB = new THREE.Vector3();
+    let angle = 0;
+    for (let i = 0; i < normalA.count; i++) {
+        angle = Math.max(angle, vectorA.fromBufferAttribute(normalA, i).angleTo(vectorB.fromBufferAttribute(normalB, i)));
+    }
+    return angle;
+}
+
+test('recomputed and limit normals are unit length', () => {
+    const knot = new THREE.TorusKnotGeometry(1, 0.3, 32, 6);
+    [ 'recompute', 'limit' ].forEach((normals) => {
+        const normal = LoopSubdivision.modify(knot, 1, { normals }).getAttribute('normal');
+        for (let i = 0; i < normal.count; i++) {
+            assert.ok(Math.abs(new THREE.Vector3().fromBufferAttribute(normal, i).length() - 1) < 1e-5, normals);
+        }
+    });
+});
+
+test('limit normals are close to recomputed normals of a finely subdivided mesh', () => {
+    const sphere = new THREE.IcosahedronGeometry(1, 1);
+    const limit = LoopSubdivision.modify(sphere, 3, { normals: 'limit' });
+    const recompute = LoopSubdivision.modify(sphere, 3, { normals: 'recompute' });
+    assert.ok(maxAngle(limit, recompute) < THREE.MathUtils.degToRad(5));
+});
+
+test('recomputed normals stay hard at creases', () => {
+    const box = LoopSubdivision.modify(new THREE.BoxGeometry(), 2, { creaseAngle: 30, normals: 'recompute' });
+    const normal = box.getAttribute('normal');
+    for (let i = 0; i < normal.count; i++) {
+        const components = [ normal.getX(i), normal.getY(i), normal.getZ(i) ].map(Math.abs).sort();
+        assert.ok(components[2] > 1 - 1e-6);
+    }
+});
+
+test('tangents are regenerated from uvs', () => {
+    const sphere = new THREE.SphereGeometry(1, 16, 12);
+    const subdivided = LoopSubdivision.modify(sphere, 1, { tangents: true });
+    const tangent = subdivided.getAttribute('tangent');
+    const normal = subdivided.getAttribute('normal');
+    assert.equal(tangent.itemSize, 4);
+    assert.equal(tangent.count, normal.count);
+    const t = new THREE.Vector3();
+    const n = new THREE.Vector3();
+    for (let i = 0; i < tangent.count; i++) {
+        t.fromBufferAttribute(tangent, i);
+        n.fromBufferAttribute(normal, i);
+        if (t.lengthSq() === 0) continue; /* poles */
+        assert.ok(Math.abs(t.dot(n)) < 1e-2);
+        assert.equal(Math.abs(tangent.getW(i)), 1);
+    }
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+/** Geometry that records whether it has been disposed */
+function trackedBox() {
+    const geometry = new THREE.BoxGeometry();
+    geometry.disposed = false;
+    geometry.addEventListener('dispose', () => { geometry.disposed = true; });
+    return geometry;
+}
+
+test('modifyObject() subdivides shared geometry once', () => {
+    const geometry = new THREE.BoxGeometry();
+    const material = new THREE.MeshBasicMaterial();
+    const scene = new THREE.Group();
+    const meshes = [ new THREE.Mesh(geometry, material), new THREE.Mesh(geometry, material), new THREE.InstancedMesh(geometry, material, 2) ];
+    const nested = new THREE.Group();
+    nested.add(meshes[2]);
+    scene.add(meshes[0], meshes[1], nested);
+
+    assert.equal(LoopSubdivision.modifyObject(scene, 1), scene);
+    assert.notEqual(meshes[0].geometry, geometry);
+    assert.equal(meshes[1].geometry, meshes[0].geometry);
+    assert.equal(meshes[2].geometry, meshes[0].geometry);
+    const expected = LoopSubdivision.modify(geometry, 1);
+    assert.ok(maxDifference(meshes[0].geometry.attributes.position.array, expected.attributes.position.array) < 1e-6);
+});
+
+test('modifyObject() applies per mesh overrides', () => {
+    const geometry = new THREE.BoxGeometry();
+    const scene = new THREE.Group();
+    const meshes = [ 0, 1, 2, 3 ].map(() => new THREE.Mesh(geometry));
+    meshes[1].userData.subdivision = { iterations: 2 };
+    meshes[2].userData.subdivision = { iterations: 2 };
+    meshes[3].userData.subdivision = { flatOnly: true };
+    scene.add(...meshes);
+    LoopSubdivision.modifyObject(scene, 1, { split: false });
+
+    assert.equal(meshes[0].geometry.attributes.position.count, 36 * 4);
+    assert.equal(meshes[1].geometry.attributes.position.count, 36 * 16);
+    assert.equal(meshes[2].geometry, meshes[1].geometry);
+    assert.notEqual(meshes[3].geometry, meshes[0].geometry);
+    const flat = LoopSubdivision.modify(geometry, 1, { split: false, flatOnly: true });
+    assert.ok(maxDifference(meshes[3].geometry.attributes.position.array, flat.attributes.position.array) < 1e-6);
+});
+
+test('modifyObject() skips meshes with subdivision false, points and lines', () => {
+    const geometry = new THREE.BoxGeometry();
+    const scene = new THREE.Group();
+    const skipped = new THREE.Mesh(geometry);
+    skipped.userData.subdivision = false;
+    const points = new THREE.Points(geometry);
+    const line = new THREE.Line(geometry);
+    const mesh = new THREE.Mesh(geometry);
+    scene.add(skipped, points, line, mesh);
+    LoopSubdivision.modifyObject(scene, 1);
+    assert.equal(skipped.geometry, geometry);
+    assert.equal(points.geometry, geometry);
+    assert.equal(line.geometry, geometry);
+    assert.notEqual(mesh.geometry, geometry);
+});
+
+test('modifyObject() disposes replaced geometry that is no longer used', () => {
+    const replaced = trackedBox();
+    const kept = trackedBox();
+    const scene = new THREE.Group();
+    const skipped = new THREE.Mesh(kept);
+    skipped.userData.subdivision = false;
+    scene.add(new THREE.Mesh(replaced), new THREE.Mesh(kept), skipped);
+
+    LoopSubdivision.modifyObject(scene, 1);
+    assert.equal(replaced.disposed, false);
+    assert.equal(kept.disposed, false);
+
+    const again = trackedBox();
+    const otherScene = new THREE.Group();
+    otherScene.add(new THREE.Mesh(again));
+    LoopSubdivision.modifyObject(otherScene, 1, { dispose: true });
+    assert.equal(again.disposed, true);
+    LoopSubdivision.modifyObject(scene, 1, { dispose: true });
+    assert.equal(kept.disposed, false);
+});
+
+test('modifyObject() keeps drawRange, names and userData of geometry', () => {
+    const geometry = new THREE.BoxGeometry();
+    geometry.name = 'crate';
+    geometry.userData = { id: 7 };
+    geometry.setDrawRange(0, 12);
+    const mesh = new THREE.Mesh(geometry);
+    LoopSubdivision.modifyObject(mesh, 1, { split: false });
+    assert.equal(mesh.geometry.name, 'crate');
+    assert.deepEqual(mesh.geometry.userData, { id: 7 });
+    assert.equal(mesh.geometry.attributes.position.count, 12 * 4);
+});
+
+test('modifyObject() caches overrides by value, in any order, and handles cyclic overrides', () => {
+    const geometry = new THREE.BoxGeometry();
+    const creases = [ [ 0, 1 ] ];
+    const cyclic = { flatOnly: true };
+    cyclic.self = cyclic;
+    const overrides = [
+        { split: false, creaseAngle: 30 },
+        { creaseAngle: 30, split: false },
+        { creaseAngle: '30', split: false },
+        { creases, split: false },
+        { split: false, creases },
+        { creases: [ [ 0, 1 ] ], split: false },
+        cyclic,
+    ];
+    const meshes = overrides.map((override) => {
+        const mesh = new THREE.Mesh(geometry);
+        mesh.userData.subdivision = override;
+        return mesh;
+    });
+    const scene = new THREE.Group();
+    scene.add(...meshes);
+    LoopSubdivision.modifyObject(scene, 1);
+
+    const [ angle, reordered, angleString, shared, sharedReordered, copied, flat ] = meshes.map((mesh) => mesh.geometry);
+    assert.equal(reordered, angle);
+    assert.notEqual(angleString, angle);
+    assert.equal(sharedReordered, shared);
+    assert.notEqual(copied, shared);
+    assert.ok(maxDifference(copied.attributes.position.array, shared.attributes.position.array) < 1e-6);
+    const expected = LoopSubdivision.modify(geometry, 1, { flatOnly: true });
+    assert.ok(maxDifference(flat.attributes.position.array, expected.attributes.position.array) < 1e-6);
+});
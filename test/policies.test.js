@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+/** Sphere with 'custom' attribute holding a copy of the positions */
+function sphereWithCopy() {
+    const sphere = new THREE.IcosahedronGeometry(1, 1);
+    sphere.setAttribute('custom', sphere.getAttribute('position').clone());
+    return sphere;
+}
+
+test('smooth and linear policies match smoothed and flat positions', () => {
+    const sphere = sphereWithCopy();
+    const smooth = LoopSubdivision.modify(sphere, 2, { attributes: { custom: 'smooth' } });
+    assert.ok(maxDifference(smooth.attributes.custom.array, smooth.attributes.position.array) < 1e-6);
+    const linear = LoopSubdivision.modify(sphere, 2, { attributes: { custom: 'linear' } });
+    const flat = LoopSubdivision.modify(sphere, 2, { flatOnly: true });
+    assert.ok(maxDifference(linear.attributes.custom.array, flat.attributes.position.array) < 1e-6);
+});
+
+test('average policy normalizes, nearest copies existing values, drop removes', () => {
+    // Average is the policy of normals
+    const sphere = sphereWithCopy();
+    sphere.setAttribute('direction', sphere.getAttribute('normal').clone());
+    const average = LoopSubdivision.modify(sphere, 1, { attributes: { direction: 'average' }, normals: 'interpolate' });
+    assert.ok(maxDifference(average.attributes.direction.array, average.attributes.normal.array) < 1e-6);
+
+    const input = sphere.getAttribute('custom');
+    const values = new Set();
+    for (let i = 0; i < input.count; i++) values.add(`${input.getX(i)},${input.getY(i)},${input.getZ(i)}`);
+    const nearest = LoopSubdivision.modify(sphere, 1, { attributes: { custom: 'nearest' } }).getAttribute('custom');
+    for (let i = 0; i < nearest.count; i++) assert.ok(values.has(`${nearest.getX(i)},${nearest.getY(i)},${nearest.getZ(i)}`));
+
+    const dropped = LoopSubdivision.modify(sphere, 1, { attributes: { custom: 'drop', uv: 'drop' } });
+    assert.equal(dropped.getAttribute('custom'), undefined);
+    assert.equal(dropped.getAttribute('uv'), undefined);
+    assert.notEqual(dropped.getAttribute('normal'), undefined);
+});
+
+test('unknown policies warn', (context) => {
+    context.mock.method(console, 'warn', () => {});
+    LoopSubdivision.modify(sphereWithCopy(), 1, { attributes: { custom: 'cubic' } });
+    assert.equal(console.warn.mock.calls.length, 1);
+});
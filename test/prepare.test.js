@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+test('prepare().update() matches modify()', () => {
+    const sets = [ {}, { indexed: true }, { limit: true }, { creaseAngle: 30 }, { boundary: 'fixed' } ];
+    const shapes = [ () => new THREE.BoxGeometry(1, 1, 1, 2, 2, 2), () => new THREE.PlaneGeometry(1, 1, 2, 2) ];
+    shapes.forEach((shape) => sets.forEach((params) => {
+        const geometry = shape();
+        const prepared = LoopSubdivision.prepare(geometry, 2, { ...params });
+        const updated = prepared.update(geometry.attributes.position.array);
+        const expected = LoopSubdivision.modify(geometry, 2, { ...params });
+        const label = `${geometry.type} ${JSON.stringify(params)}`;
+        assert.equal(updated, prepared.geometry, label);
+        assert.ok(maxDifference(updated.attributes.position.array, expected.attributes.position.array) < 1e-6, label);
+    }));
+});
+
+test('prepare().update() with deformed positions matches modify() of deformed geometry', () => {
+    const geometry = new THREE.TorusGeometry(1, 0.4, 6, 8);
+    const prepared = LoopSubdivision.prepare(geometry, 2, { split: false });
+
+    // Deformation is a function of position, so vertices split by seams stay together
+    const array = geometry.attributes.position.array;
+    const deformed = array.map((value, i) => ((i % 3) === 2) ? value + (0.1 * Math.sin(3 * array[i - 2])) : value * 1.5);
+    const deformedGeometry = geometry.clone();
+    deformedGeometry.setAttribute('position', new THREE.BufferAttribute(deformed, 3));
+
+    const updated = prepared.update(deformed);
+    const expected = LoopSubdivision.modify(deformedGeometry, 2, { split: false });
+    assert.ok(maxDifference(updated.attributes.position.array, expected.attributes.position.array) < 1e-5);
+
+    // Normals are smooth vertex normals of the deformed surface
+    const recomputed = LoopSubdivision.modify(deformedGeometry, 2, { split: false, normals: 'recompute' });
+    const normal = updated.getAttribute('normal');
+    const expectedNormal = recomputed.getAttribute('normal');
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    for (let i = 0; i < normal.count; i++) {
+        a.fromBufferAttribute(normal, i);
+        assert.ok(Math.abs(a.length() - 1) < 1e-5);
+        assert.ok(a.dot(b.fromBufferAttribute(expectedNormal, i)) > 0.99);
+    }
+});
+
+test('prepare().update() with split geometry follows moved control positions', () => {
+    // Rotated, scaled and moved positions keep the same split edges, every split vertex follows its two parents
+    const matrix = new THREE.Matrix4().compose(new THREE.Vector3(1, -2, 3), new THREE.Quaternion().setFromEuler(new THREE.Euler(0.3, 0.7, -0.2)), new THREE.Vector3(2, 2, 2));
+    [ () => new THREE.BoxGeometry(1, 1, 1, 4, 4, 4), () => new THREE.CylinderGeometry(1, 1, 2, 16, 3) ].forEach((shape) => {
+        const geometry = shape();
+        const prepared = LoopSubdivision.prepare(geometry, 1, { creaseAngle: 30 });
+        const moved = geometry.clone().applyMatrix4(matrix);
+        const updated = prepared.update(moved.attributes.position.array);
+        const expected = LoopSubdivision.modify(geometry, 1, { creaseAngle: 30 }).applyMatrix4(matrix);
+        assert.ok(maxDifference(updated.attributes.position.array, expected.attributes.position.array) < 1e-5, geometry.type);
+    });
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { subdivideMessage } from '../src/LoopSubdivision.js';
+
+const STAGES = [ 'split', 'flat', 'smooth', 'finish' ];
+
+/** Asserts progress reports are in order: by iteration, stage, then fraction within [0, 1], 'total' never decreases */
+function assertOrdered(reports) {
+    assert.ok(reports.length > 0);
+    for (let i = 0; i < reports.length; i++) {
+        const { iteration, stage, fraction, total } = reports[i];
+        assert.ok(STAGES.includes(stage), stage);
+        assert.ok(fraction >= 0 && fraction <= 1, `${fraction}`);
+        assert.ok(total >= 0 && total <= 1, `${total}`);
+        if (i === 0) continue;
+        const previous = reports[i - 1];
+        assert.ok(iteration >= previous.iteration);
+        assert.ok(total >= previous.total, `${previous.total} -> ${total}`);
+        if (stage === previous.stage && iteration === previous.iteration) {
+            assert.ok(fraction >= previous.fraction, `${stage} ${previous.fraction} -> ${fraction}`);
+        }
+    }
+    const last = reports[reports.length - 1];
+    assert.equal(last.stage, 'finish');
+    assert.equal(last.fraction, 1);
+    assert.equal(last.total, 1);
+}
+
+test('onProgress reports every stage in order', () => {
+    [ {}, { flatOnly: true }, { indexed: true, normals: 'recompute' } ].forEach((params) => {
+        const reports = [];
+        LoopSubdivision.modify(new THREE.TorusKnotGeometry(1, 0.3, 64, 8), 2, { ...params, onProgress: (progress) => reports.push({ ...progress }) });
+        assertOrdered(reports);
+        const stages = new Set(reports.map((report) => report.stage));
+        assert.ok(stages.has('split') && stages.has('finish'));
+        assert.ok(stages.has((params.flatOnly) ? 'flat' : 'smooth'));
+        assert.deepEqual(new Set(reports.map((report) => report.iteration)), new Set([ 0, 1, 2 ]));
+    });
+});
+
+test('total progress covers every stage once', () => {
+    [ { split: false }, { limit: true }, { adaptive: { angle: 10 } }, { maxTriangles: 3000 } ].forEach((params) => {
+        const reports = [];
+        LoopSubdivision.modify(new THREE.TorusKnotGeometry(1, 0.3, 64, 8), 3, { ...params, onProgress: (progress) => reports.push({ ...progress }) });
+        assertOrdered(reports);
+    });
+
+    // Calls share no progress, a call from onProgress starts again at 0
+    const nested = [];
+    const outer = [];
+    const onProgress = (progress) => {
+        outer.push({ ...progress });
+        if (nested.length === 0) LoopSubdivision.modify(new THREE.BoxGeometry(), 1, { onProgress: (report) => nested.push({ ...report }) });
+    };
+    LoopSubdivision.modify(new THREE.BoxGeometry(), 2, { onProgress });
+    assertOrdered(nested);
+    assertOrdered(outer);
+    assert.equal(nested[0].total, 0);
+    assert.equal(nested[0].iteration, 0);
+});
+
+test('aborting throws an AbortError', () => {
+    const aborted = new AbortController();
+    aborted.abort();
+    assert.throws(() => LoopSubdivision.modify(new THREE.BoxGeometry(), 1, { signal: aborted.signal }), { name: 'AbortError' });
+
+    // Aborted while subdividing, from progress callback
+    [ 'split', 'smooth', 'finish' ].forEach((stage) => {
+        const controller = new AbortController();
+        const onProgress = (progress) => { if (progress.stage === stage) controller.abort(); };
+        const params = { signal: controller.signal, onProgress };
+        assert.throws(() => LoopSubdivision.modify(new THREE.TorusKnotGeometry(1, 0.3, 64, 8), 2, params), { name: 'AbortError' }, stage);
+    });
+});
+
+test('aborting disposes of geometry being built', (context) => {
+    // Every geometry given attributes while subdividing (working copies, stage results) is disposed of
+    const setAttribute = context.mock.method(THREE.BufferGeometry.prototype, 'setAttribute');
+    const dispose = context.mock.method(THREE.BufferGeometry.prototype, 'dispose');
+    [ [ 'split', 0.5 ], [ 'smooth', 0.5 ], [ 'finish', 0 ] ].forEach(([ stage, fraction ]) => {
+        [ {}, { adaptive: { angle: 10 } } ].forEach((params) => {
+            const geometry = new THREE.TorusKnotGeometry(1, 0.3, 64, 8);
+            const controller = new AbortController();
+            const onProgress = (progress) => { if (progress.stage === stage && progress.fraction >= fraction) controller.abort(); };
+            setAttribute.mock.resetCalls();
+            dispose.mock.resetCalls();
+            const modify = () => LoopSubdivision.modify(geometry, 2, { ...params, signal: controller.signal, onProgress });
+            assert.throws(modify, { name: 'AbortError' });
+            const disposed = new Set(dispose.mock.calls.map((call) => call.this));
+            const built = new Set(setAttribute.mock.calls.map((call) => call.this));
+            built.forEach((working) => assert.ok(disposed.has(working), `${stage} ${JSON.stringify(params)}`));
+            assert.ok(! disposed.has(geometry));
+        });
+    });
+});
+
+test('modifyAsync() forwards progress from the worker', async () => {
+    const reports = [];
+    const worker = () => {
+        const fake = {
+            terminate() {},
+            postMessage(message, transfer) {
+                assert.equal(message.progress, true);
+                const sent = structuredClone(message, { transfer });
+                setTimeout(() => {
+                    const onProgress = (progress) => fake.onmessage({ data: { progress } });
+                    fake.onmessage({ data: { geometry: subdivideMessage(sent, { onProgress }) } });
+                }, 0);
+            },
+        };
+        return fake;
+    };
+    const onProgress = (progress) => reports.push({ ...progress });
+    const subdivided = await LoopSubdivision.modifyAsync(new THREE.BoxGeometry(), 2, { worker, onProgress });
+    assert.equal(subdivided.attributes.position.count, LoopSubdivision.modify(new THREE.BoxGeometry(), 2).attributes.position.count);
+    assertOrdered(reports);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision, LoopSurface } from '../src/index.js';
+import { maxDifference, uniquePositions } from './helpers.js';
+
+/** Values of attribute of indexed geometry, in triangle order */
+function toNonIndexed(geometry, attributeName = 'position') {
+    return geometry.toNonIndexed().getAttribute(attributeName).array;
+}
+
+/** Asserts provenance attributes of 'subdivided' point back to the flat position on triangles of 'geometry' */
+function assertProvenance(geometry, subdivided, flat) {
+    const sourceTriangle = subdivided.getAttribute('sourceTriangle');
+    const sourceBarycentric = subdivided.getAttribute('sourceBarycentric');
+    assert.ok(sourceTriangle.array instanceof Int32Array);
+    const corners = (geometry.index) ? geometry.index.array : undefined;
+    const corner = (c) => new THREE.Vector3().fromBufferAttribute(geometry.attributes.position, (corners) ? corners[c] : c);
+    const triangleCount = ((corners) ? corners.length : geometry.attributes.position.count) / 3;
+    const barycentric = new THREE.Vector3();
+    const index = subdivided.getIndex();
+    const vertexCount = (index) ? index.count : subdivided.attributes.position.count;
+    for (let c = 0; c < vertexCount; c++) {
+        const i = (index) ? index.getX(c) : c;
+        const t = sourceTriangle.getX(i);
+        assert.ok(Number.isInteger(t) && t >= 0 && t < triangleCount);
+        if ((c % 3) > 0) assert.equal(t, sourceTriangle.getX((index) ? index.getX(c - (c % 3)) : c - (c % 3)));
+        barycentric.fromBufferAttribute(sourceBarycentric, i);
+        assert.ok(Math.abs(barycentric.x + barycentric.y + barycentric.z - 1) < 1e-6);
+        assert.ok(Math.min(barycentric.x, barycentric.y, barycentric.z) > -1e-6);
+        if (! flat) continue;
+        const point = corner(t * 3).multiplyScalar(barycentric.x)
+            .add(corner((t * 3) + 1).multiplyScalar(barycentric.y))
+            .add(corner((t * 3) + 2).multiplyScalar(barycentric.z));
+        assert.ok(point.distanceTo(new THREE.Vector3().fromBufferAttribute(flat.attributes.position, i)) < 1e-5);
+    }
+}
+
+test('provenance maps flat subdivided vertices back to source triangles', () => {
+    const shapes = [ () => new THREE.BoxGeometry(1, 1, 1, 2, 2, 2), () => new THREE.TorusGeometry(1, 0.4, 6, 8) ];
+    shapes.forEach((shape) => [ {}, { split: false }, { indexed: true } ].forEach((params) => {
+        const geometry = shape();
+        const flat = LoopSubdivision.modify(geometry, 2, { ...params, flatOnly: true, provenance: true });
+        assertProvenance(geometry, flat, flat);
+        const smooth = LoopSubdivision.modify(geometry, 2, { ...params, provenance: true });
+        assertProvenance(geometry, smooth);
+        assert.equal(smooth.attributes.sourceTriangle.count, smooth.attributes.position.count);
+    }));
+});
+
+test('provenance holds through adaptive refinement', () => {
+    const geometry = new THREE.CylinderGeometry(1, 1, 2, 12);
+    const flat = LoopSubdivision.modify(geometry, 3, { flatOnly: true, adaptive: { edgeLength: 0.5 }, provenance: true });
+    assertProvenance(geometry, flat, flat);
+});
+
+test('LoopSurface evaluate() matches vertices of modify() with limit at their provenance', () => {
+    const shapes = [
+        () => new THREE.IcosahedronGeometry(1),                 /* extraordinary vertices only */
+        () => new THREE.TorusGeometry(1, 0.4, 6, 8),            /* regular */
+        () => new THREE.PlaneGeometry(1, 1, 3, 3),              /* boundaries */
+        () => new THREE.BoxGeometry(1, 1, 1),
+    ];
+    const barycentric = new THREE.Vector3();
+    const vertex = new THREE.Vector3();
+    shapes.forEach((shape) => [ 1, 2 ].forEach((iterations) => {
+        // Split geometry has a different control mesh, surface is built from unsplit geometry
+        const geometry = shape();
+        const params = { split: false };
+        const surface = new LoopSurface(geometry, params);
+        const limit = LoopSubdivision.modify(geometry, iterations, { ...params, limit: true, provenance: true });
+
+        // Each output vertex lies on the limit surface at its barycentric coordinates within its source triangle
+        const position = limit.getAttribute('position');
+        const sourceTriangle = limit.getAttribute('sourceTriangle');
+        const sourceBarycentric = limit.getAttribute('sourceBarycentric');
+        for (let i = 0; i < position.count; i++) {
+            barycentric.fromBufferAttribute(sourceBarycentric, i);
+            const point = surface.evaluate(sourceTriangle.getX(i), barycentric);
+            assert.ok(point.position.distanceTo(vertex.fromBufferAttribute(position, i)) < 1e-6, `${geometry.type} ${i}`);
+        }
+    }));
+});
+
+test('indexed provenance shares vertices within each source triangle', () => {
+    // Box positions (8 vertices, normals are added flat), each side is a 5 x 5 grid, with provenance each of the
+    // 12 source triangles is a grid of 15 vertices. Both have 98 distinct positions
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BoxGeometry().toNonIndexed().getAttribute('position'));
+    const params = { indexed: true, split: false };
+    const plain = LoopSubdivision.modify(geometry, 2, { ...params });
+    const subdivided = LoopSubdivision.modify(geometry, 2, { ...params, provenance: true });
+    assert.equal(plain.attributes.position.count, 6 * 25);
+    assert.equal(subdivided.attributes.position.count, 12 * 15);
+    assert.equal(subdivided.index.count, plain.index.count);
+    assert.equal(uniquePositions(plain), 98);
+    assert.equal(uniquePositions(subdivided), 98);
+    assert.ok(maxDifference(toNonIndexed(subdivided), toNonIndexed(plain)) < 1e-6);
+    assert.ok(maxDifference(toNonIndexed(subdivided, 'normal'), toNonIndexed(plain, 'normal')) < 1e-6);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { edgeUse } from './helpers.js';
+
+/** Non-indexed geometry from a list of triangles, each triangle is 3 [ x, y, z ] points */
+function soup(triangles) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(triangles.flat(2)), 3));
+    return geometry;
+}
+
+/** Triangles of geometry as lists of 3 [ x, y, z ] points */
+function triangleList(geometry) {
+    const soupGeometry = (geometry.index) ? geometry.toNonIndexed() : geometry;
+    const array = Array.from(soupGeometry.attributes.position.array);
+    const triangles = [];
+    for (let i = 0; i < array.length; i += 9) {
+        triangles.push([ array.slice(i, i + 3), array.slice(i + 3, i + 6), array.slice(i + 6, i + 9) ]);
+    }
+    return triangles;
+}
+
+/** Square (0, 0) to (2, 2), left triangle's long edge has a T-junction at (1, 1) */
+function tJunctionSquare() {
+    return soup([
+        [ [ 0, 0, 0 ], [ 2, 0, 0 ], [ 0, 2, 0 ] ],
+        [ [ 2, 0, 0 ], [ 2, 2, 0 ], [ 1, 1, 0 ] ],
+        [ [ 1, 1, 0 ], [ 2, 2, 0 ], [ 0, 2, 0 ] ],
+    ]);
+}
+
+test('analyze() finds no problems in clean meshes', () => {
+    const sphere = LoopSubdivision.analyze(new THREE.IcosahedronGeometry(1, 1));
+    assert.equal(sphere.valid, true);
+    assert.equal(sphere.triangleCount, 80);
+    assert.equal(sphere.vertexCount, 42);
+    assert.equal(sphere.boundaryEdges.length, 0);
+
+    // Open borders are allowed
+    const plane = LoopSubdivision.analyze(new THREE.PlaneGeometry(1, 1, 2, 2));
+    assert.equal(plane.valid, true);
+    assert.equal(plane.boundaryEdges.length, 8);
+});
+
+test('analyze() finds non-manifold edges and vertices', () => {
+    // Three triangles on one edge
+    const fin = LoopSubdivision.analyze(soup([
+        [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 0, 1, 0 ] ],
+        [ [ 1, 0, 0 ], [ 0, 0, 0 ], [ 0, -1, 0 ] ],
+        [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 0, 0, 1 ] ],
+    ]));
+    assert.equal(fin.valid, false);
+    assert.equal(fin.nonManifoldEdges.length, 1);
+
+    // Two triangles touching at a point
+    const bowtie = LoopSubdivision.analyze(soup([
+        [ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 1, 1, 0 ] ],
+        [ [ 0, 0, 0 ], [ -1, 0, 0 ], [ -1, -1, 0 ] ],
+    ]));
+    assert.equal(bowtie.valid, false);
+    assert.equal(bowtie.nonManifoldEdges.length, 0);
+    assert.equal(bowtie.nonManifoldVertices.length, 1);
+});
+
+test('repair() splits triangles at T-junctions', () => {
+    const geometry = tJunctionSquare();
+    const report = LoopSubdivision.analyze(geometry);
+    assert.equal(report.valid, false);
+    assert.equal(report.tJunctions.length, 1);
+    const vertex = new THREE.Vector3().fromBufferAttribute(geometry.attributes.position, report.tJunctions[0].vertex);
+    assert.deepEqual(vertex.toArray(), [ 1, 1, 0 ]);
+
+    const triangleParents = [];
+    const repaired = LoopSubdivision.repair(geometry, triangleParents);
+    assert.equal(LoopSubdivision.analyze(repaired).valid, true);
+    assert.equal(triangleList(repaired).length, 4);
+    assert.deepEqual(triangleParents, [ 0, 0, 1, 2 ]);
+
+    // Subdividing with 'repair' leaves no cracks, edges used once are on the square's border
+    const subdivided = LoopSubdivision.modify(tJunctionSquare(), 1, { repair: true, flatOnly: true, split: false });
+    const position = subdivided.getAttribute('position');
+    const edges = edgeUse(subdivided);
+    let borderEdges = 0;
+    edges.forEach((count) => { if (count === 1) borderEdges++; });
+    assert.equal(borderEdges, 8);
+    assert.equal(position.count, 16 * 3);
+});
+
+test('repair() removes degenerate and duplicate triangles and fixes winding', () => {
+    const triangles = triangleList(new THREE.IcosahedronGeometry(1));
+    const flipped = triangles.map((triangle, i) => (i === 5) ? [ triangle[0], triangle[2], triangle[1] ] : triangle);
+    flipped.push([ triangles[3][0], triangles[3][2], triangles[3][1] ]);            /* duplicate, other winding */
+    flipped.push([ triangles[7][0], triangles[7][1], triangles[7][0] ]);            /* repeated vertex */
+    const geometry = soup(flipped);
+
+    const report = LoopSubdivision.analyze(geometry);
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.duplicateTriangles, [ 20 ]);
+    assert.deepEqual(report.degenerateTriangles, [ 21 ]);
+    assert.ok(report.inconsistentEdges.length >= 3);
+
+    const repaired = LoopSubdivision.repair(geometry);
+    assert.equal(LoopSubdivision.analyze(repaired).valid, true);
+    const repairedTriangles = triangleList(repaired);
+    assert.equal(repairedTriangles.length, 20);
+
+    // All triangles face outward again
+    repairedTriangles.forEach(([ a, b, c ]) => {
+        const [ pa, pb, pc ] = [ a, b, c ].map((point) => new THREE.Vector3(...point));
+        const normal = new THREE.Triangle(pa, pb, pc).getNormal(new THREE.Vector3());
+        assert.ok(normal.dot(pa.add(pb).add(pc)) > 0);
+    });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision, SubdivisionShader } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+/** Smallest dot product of normals of two geometries with the same vertices */
+function minDot(a, b) {
+    let dot = 1;
+    for (let i = 0; i < a.length; i += 3) {
+        dot = Math.min(dot, (a[i] * b[i]) + (a[i + 1] * b[i + 1]) + (a[i + 2] * b[i + 2]));
+    }
+    return dot;
+}
+
+/** Torus positions moved by a function of position (vertices split by seams stay together) */
+function deform(array) {
+    return array.map((value, i) => ((i % 3) === 2) ? value + (0.2 * Math.sin(3 * array[i - 2])) : value * 1.5);
+}
+
+test('evaluate() of packed tables matches modify()', () => {
+    const sets = [ {}, { split: false }, { indexed: true }, { limit: true }, { creaseAngle: 30 } ];
+    const shapes = [ () => new THREE.BoxGeometry(1, 1, 1, 2, 2, 2), () => new THREE.TorusGeometry(1, 0.4, 6, 8), () => new THREE.PlaneGeometry(1, 1, 2, 2) ];
+    shapes.forEach((shape) => sets.forEach((params) => {
+        const geometry = shape();
+        const label = `${geometry.type} ${JSON.stringify(params)}`;
+        const prepared = LoopSubdivision.prepare(geometry, 2, { ...params });
+        const tables = SubdivisionShader.createTables(prepared);
+        assert.equal(tables.vertexStencil.length, prepared.geometry.attributes.position.count * 2, label);
+        assert.equal(tables.controlCount, geometry.attributes.position.count, label);
+        assert.ok(tables.stencilData.length >= tables.stencilWidth * 4, label);
+
+        const evaluated = SubdivisionShader.evaluate(tables, geometry.attributes.position.array);
+        const expected = LoopSubdivision.modify(geometry, 2, { ...params });
+        assert.ok(maxDifference(evaluated.position, expected.attributes.position.array) < 1e-5, label);
+
+        // Normals are the cross product of the same tangents that update() uses, close to limit normals (those are
+        // smooth vertex normals, not split at creases, and indexed limit normals have their own vertex layout)
+        const updated = prepared.update(geometry.attributes.position.array);
+        assert.ok(maxDifference(evaluated.normal, updated.attributes.normal.array) < 1e-5, label);
+        if (params.indexed || params.creaseAngle) return;
+        const limitNormals = LoopSubdivision.modify(geometry, 2, { ...params, normals: 'limit' });
+        assert.ok(minDot(evaluated.normal, limitNormals.attributes.normal.array) > 0.99, label);
+    }));
+});
+
+test('evaluate() of a deformed control cage matches modify() of deformed geometry', () => {
+    const geometry = new THREE.TorusGeometry(1, 0.4, 6, 8);
+    [ { split: false }, { split: false, limit: true } ].forEach((params) => {
+        const tables = SubdivisionShader.createTables(LoopSubdivision.prepare(geometry, 2, { ...params }));
+        const deformed = deform(geometry.attributes.position.array);
+        const deformedGeometry = geometry.clone();
+        deformedGeometry.setAttribute('position', new THREE.BufferAttribute(deformed, 3));
+
+        const evaluated = SubdivisionShader.evaluate(tables, deformed);
+        const expected = LoopSubdivision.modify(deformedGeometry, 2, { ...params, normals: 'limit' });
+        assert.ok(maxDifference(evaluated.position, expected.attributes.position.array) < 1e-5);
+        assert.ok(minDot(evaluated.normal, expected.attributes.normal.array) > 0.99);
+    });
+});
+
+test('evaluate() fills target arrays', () => {
+    const geometry = new THREE.BoxGeometry();
+    const tables = SubdivisionShader.createTables(LoopSubdivision.prepare(geometry, 1));
+    const target = { position: new Float32Array(tables.vertexStencil.length * 1.5), normal: new Float32Array(tables.vertexStencil.length * 1.5) };
+    const result = SubdivisionShader.evaluate(tables, geometry.attributes.position.array, target);
+    assert.equal(result, target);
+    assert.ok(target.position.some((value) => value !== 0));
+});
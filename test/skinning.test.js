@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+
+/** Box skinned to 4 bones (weights from position), or to 'boneCount' bones in 4 influences */
+function skinnedBox(boneCount = 4) {
+    const box = new THREE.BoxGeometry(1, 1, 1, 2, 2, 2);
+    const position = box.getAttribute('position');
+    const skinIndex = new Uint16Array(position.count * 4);
+    const skinWeight = new Float32Array(position.count * 4);
+    for (let i = 0; i < position.count; i++) {
+        const weights = [ position.getX(i) + 1, position.getY(i) + 1, position.getZ(i) + 1, 0.5 ];
+        const sum = weights.reduce((a, b) => a + b);
+        for (let k = 0; k < 4; k++) {
+            skinIndex[(i * 4) + k] = (k + i) % boneCount;
+            skinWeight[(i * 4) + k] = weights[k] / sum;
+        }
+    }
+    box.setAttribute('skinIndex', new THREE.BufferAttribute(skinIndex, 4));
+    box.setAttribute('skinWeight', new THREE.BufferAttribute(skinWeight, 4));
+    return box;
+}
+
+/** Checks weights sum to 1, indices are integer bones in use, returns number of influences in use */
+function checkSkin(geometry, boneCount) {
+    const skinIndex = geometry.getAttribute('skinIndex');
+    const skinWeight = geometry.getAttribute('skinWeight');
+    assert.equal(skinIndex.count, geometry.attributes.position.count);
+    let used = 0;
+    for (let i = 0; i < skinIndex.count; i++) {
+        let sum = 0;
+        for (let k = 0; k < 4; k++) {
+            const bone = skinIndex.array[(i * 4) + k];
+            const weight = skinWeight.array[(i * 4) + k];
+            assert.ok(Number.isInteger(bone) && bone >= 0 && bone < boneCount);
+            sum += weight;
+            if (weight > 0) used = Math.max(used, k + 1);
+        }
+        assert.ok(Math.abs(sum - 1) < 1e-6);
+    }
+    return used;
+}
+
+test('skin weights are merged, renormalized and keep 4 influences', () => {
+    const box = skinnedBox();
+    [ { split: true }, { split: false }, { flatOnly: true }, { indexed: true } ].forEach((params) => {
+        const subdivided = LoopSubdivision.modify(box, 2, { ...params });
+        assert.equal(subdivided.getAttribute('skinIndex').array.constructor, Uint16Array);
+        assert.equal(checkSkin(subdivided, 4), 4);
+    });
+});
+
+test('more bones than influences keep the largest weights', () => {
+    const box = skinnedBox(8);
+    const subdivided = LoopSubdivision.modify(box, 1, { split: false });
+    assert.equal(checkSkin(subdivided, 8), 4);
+});
+
+test('edge split keeps 4 influences of more bones', () => {
+    const box = skinnedBox(8);
+    const split = LoopSubdivision.edgeSplit(box);
+    assert.equal(checkSkin(split, 8), 4);
+    [ 1, 2 ].forEach((iterations) => {
+        assert.equal(checkSkin(LoopSubdivision.modify(box, iterations, { split: true }), 8), 4);
+    });
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision, LoopSurface } from '../src/index.js';
+
+/** Barycentric coordinates of parameters (u, v) of a control triangle */
+function at(u, v) {
+    return new THREE.Vector3(1 - u - v, u, v);
+}
+
+test('evaluate() matches vertices of modify() with limit', () => {
+    const shapes = [
+        () => new THREE.IcosahedronGeometry(1),                 /* extraordinary vertices only */
+        () => new THREE.TorusGeometry(1, 0.4, 6, 8),            /* regular */
+        () => new THREE.PlaneGeometry(1, 1, 3, 3),              /* boundaries */
+        () => new THREE.BoxGeometry(1, 1, 1),
+    ];
+    const vertex = new THREE.Vector3();
+    shapes.forEach((shape) => {
+        // Split geometry has a different control mesh, surface is built from unsplit geometry
+        const geometry = shape();
+        const params = { split: false };
+        const surface = new LoopSurface(geometry, params);
+        const limit = LoopSubdivision.modify(geometry, 1, { ...params, limit: true });
+        const position = limit.getAttribute('position');
+
+        // Corners and edge midpoints of control triangles are the vertices of one iteration
+        const points = [ at(0, 0), at(1, 0), at(0, 1), at(0.5, 0), at(0.5, 0.5), at(0, 0.5) ];
+        for (let t = 0; t < surface.triangleCount; t++) {
+            points.forEach((barycentric) => {
+                const point = surface.evaluate(t, barycentric).position;
+                let closest = Infinity;
+                for (let i = 0; i < position.count; i++) {
+                    closest = Math.min(closest, point.distanceTo(vertex.fromBufferAttribute(position, i)));
+                }
+                assert.ok(closest < 1e-6, `${geometry.type} ${t}`);
+            });
+        }
+    });
+});
+
+test('evaluate() is continuous across shared edges at generic points', () => {
+    [ new THREE.IcosahedronGeometry(1), new THREE.TorusGeometry(1, 0.4, 6, 8) ].forEach((geometry) => {
+        const indexed = LoopSubdivision.modify(geometry, 0, { indexed: true, split: false });
+        const surface = new LoopSurface(indexed);
+        const index = indexed.getIndex().array;
+        const position = indexed.getAttribute('position');
+        const round = (value) => Math.round(value * 1e5);
+        const key = (i) => `${round(position.getX(i))},${round(position.getY(i))},${round(position.getZ(i))}`;
+
+        // Triangle and corners of each directed edge
+        const edges = new Map();
+        for (let t = 0; t < index.length / 3; t++) {
+            for (let c = 0; c < 3; c++) {
+                edges.set(`${key(index[(t * 3) + c])}|${key(index[(t * 3) + ((c + 1) % 3)])}`, [ t, c ]);
+            }
+        }
+        let checked = 0;
+        edges.forEach(([ t, c ], edge) => {
+            const [ a, b ] = edge.split('|');
+            const opposite = edges.get(`${b}|${a}`);
+            assert.ok(opposite, geometry.type);
+            const s = 0.3183;
+            const first = new THREE.Vector3();
+            first.setComponent(c, 1 - s);
+            first.setComponent((c + 1) % 3, s);
+            const second = new THREE.Vector3();
+            second.setComponent(opposite[1], s);
+            second.setComponent((opposite[1] + 1) % 3, 1 - s);
+            const p0 = surface.evaluate(t, first).position.clone();
+            const p1 = surface.evaluate(opposite[0], second).position.clone();
+            assert.ok(p0.distanceTo(p1) < 1e-6, `${geometry.type} ${edge}`);
+            checked++;
+        });
+        assert.ok(checked > 0);
+    });
+});
+
+test('evaluate() derivatives match finite differences', () => {
+    const h = 1e-5;
+    [ new THREE.IcosahedronGeometry(1), new THREE.TorusGeometry(1, 0.4, 6, 8), new THREE.PlaneGeometry(1, 1, 3, 3) ].forEach((geometry) => {
+        const surface = new LoopSurface(geometry);
+        for (let t = 0; t < surface.triangleCount; t += 3) {
+            const [ u, v ] = [ 0.2718, 0.3141 ];
+            const point = surface.evaluate(t, at(u, v));
+            const du = surface.evaluate(t, at(u + h, v)).position.clone().sub(surface.evaluate(t, at(u - h, v)).position).divideScalar(2 * h);
+            const dv = surface.evaluate(t, at(u, v + h)).position.clone().sub(surface.evaluate(t, at(u, v - h)).position).divideScalar(2 * h);
+            assert.ok(du.distanceTo(point.du) < 1e-4 * (1 + point.du.length()), `${geometry.type} ${t} du`);
+            assert.ok(dv.distanceTo(point.dv) < 1e-4 * (1 + point.dv.length()), `${geometry.type} ${t} dv`);
+            assert.ok(Math.abs(point.normal.length() - 1) < 1e-6);
+        }
+    });
+});
+
+test('evaluate() near extraordinary vertices approaches their limit position', () => {
+    // Icosahedron corners have 5 neighbors, points within 2^-16 are found after the deepest subdivision level
+    const geometry = new THREE.IcosahedronGeometry(1);
+    const surface = new LoopSurface(geometry);
+    const corner = surface.evaluate(0, at(0, 0)).position.clone();
+    let previous = Infinity;
+    [ 2 ** -8, 2 ** -12, 2 ** -16, 2 ** -20 ].forEach((e) => {
+        const point = surface.evaluate(0, at(e, e));
+        [ 'position', 'du', 'dv', 'normal' ].forEach((name) => assert.ok(point[name].toArray().every(Number.isFinite), name));
+        const distance = point.position.distanceTo(corner);
+        assert.ok(distance < previous && distance < 4 * e, `${e} ${distance}`);
+        previous = distance;
+    });
+});
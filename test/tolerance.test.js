@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision, CatmullClarkSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+/** Subdivides geometry scaled by 'scale', returns positions scaled back to unit size */
+function scaledPositions(Modifier, create, scale, params) {
+    const geometry = create().scale(scale, scale, scale);
+    const subdivided = Modifier.modify(geometry, 2, { ...params });
+    return subdivided.attributes.position.array.map((value) => value / scale);
+}
+
+test('relative tolerance gives the same shape at any model size', () => {
+    const create = () => new THREE.SphereGeometry(1, 12, 8);
+    const unit = scaledPositions(LoopSubdivision, create, 1, {});
+    [ 0.001, 1000 ].forEach((scale) => {
+        const scaled = scaledPositions(LoopSubdivision, create, scale, { tolerance: { relative: 1e-6 } });
+        assert.ok(maxDifference(scaled, unit) < 1e-4, `${scale}`);
+    });
+
+    // Rounding to 2 decimals collapses a millimetre scale model
+    const collapsed = scaledPositions(LoopSubdivision, create, 0.001, {});
+    assert.ok(collapsed.length !== unit.length || maxDifference(collapsed, unit) > 1e-2);
+});
+
+test('absolute tolerance welds by distance', () => {
+    const create = () => new THREE.TorusGeometry(1, 0.4, 6, 8);
+    const unit = scaledPositions(LoopSubdivision, create, 1, {});
+    const scaled = scaledPositions(LoopSubdivision, create, 0.001, { tolerance: 1e-7 });
+    assert.ok(maxDifference(scaled, unit) < 1e-4);
+    [ {}, { indexed: true } ].forEach((params) => {
+        const unitQuads = scaledPositions(CatmullClarkSubdivision, () => new THREE.BoxGeometry(), 1, params);
+        const scaledQuads = scaledPositions(CatmullClarkSubdivision, () => new THREE.BoxGeometry(), 0.001, { ...params, tolerance: 1e-7 });
+        assert.ok(maxDifference(scaledQuads, unitQuads) < 1e-4);
+    });
+});
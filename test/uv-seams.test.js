@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { LoopSubdivision } from '../src/index.js';
+import { maxDifference } from './helpers.js';
+
+test('smoothed uvs stay within their island', () => {
+    // Each side of a box is its own uv island covering 0 to 1
+    const box = LoopSubdivision.modify(new THREE.BoxGeometry(1, 1, 1, 2, 2, 2), 2, { uvSmooth: true });
+    const uv = box.getAttribute('uv');
+    const corners = new Set();
+    for (let i = 0; i < uv.count; i++) {
+        assert.ok(uv.getX(i) >= -1e-6 && uv.getX(i) <= 1 + 1e-6);
+        assert.ok(uv.getY(i) >= -1e-6 && uv.getY(i) <= 1 + 1e-6);
+        if ((uv.getX(i) === 0 || uv.getX(i) === 1) && (uv.getY(i) === 0 || uv.getY(i) === 1)) {
+            corners.add(`${uv.getX(i)},${uv.getY(i)}`);
+        }
+    }
+
+    // Island corners stay in place ('corners-only')
+    assert.equal(corners.size, 4);
+});
+
+test('smoothed uvs differ from interpolated uvs inside islands', () => {
+    const box = new THREE.BoxGeometry(1, 1, 1, 2, 2, 2);
+    const smooth = LoopSubdivision.modify(box, 1, { uvSmooth: true });
+    const linear = LoopSubdivision.modify(box, 1);
+    assert.ok(maxDifference(smooth.attributes.uv.array, linear.attributes.uv.array) > 1e-3);
+});
+
+test('uvBoundary all interpolates, boundaries keeps seams linear', () => {
+    const box = new THREE.BoxGeometry(1, 1, 1, 2, 2, 2);
+    const linear = LoopSubdivision.modify(box, 2);
+    const all = LoopSubdivision.modify(box, 2, { uvSmooth: true, uvBoundary: 'all' });
+    assert.ok(maxDifference(all.attributes.uv.array, linear.attributes.uv.array) < 1e-6);
+
+    // Seam (island border) vertices of 'boundaries' stay on the border of the island
+    const boundaries = LoopSubdivision.modify(box, 2, { uvSmooth: true, uvBoundary: 'boundaries' });
+    const uv = boundaries.getAttribute('uv');
+    const linearUv = linear.getAttribute('uv');
+    for (let i = 0; i < uv.count; i++) {
+        const onBorder = [ linearUv.getX(i), linearUv.getY(i) ].some((value) => value === 0 || value === 1);
+        if (onBorder) {
+            assert.ok(Math.abs(uv.getX(i) - linearUv.getX(i)) < 1e-6 && Math.abs(uv.getY(i) - linearUv.getY(i)) < 1e-6);
+        }
+    }
+});